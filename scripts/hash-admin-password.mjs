@@ -0,0 +1,19 @@
+/**
+ * Generate ADMIN_PASSWORD_HASH for the admin login
+ *
+ * Usage: npm run admin:hash-password -- '<password>'
+ */
+import crypto from 'crypto';
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error("Usage: npm run admin:hash-password -- '<password>'");
+  process.exit(1);
+}
+
+// Verified by verifyPassword() in src/app/utils/adminAuth.js
+const salt = crypto.randomBytes(16).toString('hex');
+const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+
+console.log(`ADMIN_PASSWORD_HASH=scrypt:${salt}:${hash}`);
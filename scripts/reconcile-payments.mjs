@@ -0,0 +1,56 @@
+/**
+ * Reconcile pending payments with the payment gateways
+ * Calls POST /api/admin/reconciliation on a running deployment and prints the report.
+ *
+ * Usage: npm run payments:reconcile -- [--dry-run] [--min-age <minutes>] [--limit <n>] [--url <baseUrl>]
+ *
+ * Environment Variables:
+ * - ADMIN_API_TOKEN: Admin bearer token (required)
+ * - NEXT_PUBLIC_BASE_URL: Base URL used when --url is not given (defaults to http://localhost:3000)
+ *
+ * Exits with code 1 if the request fails and 2 if discrepancies remain unresolved.
+ */
+
+const args = process.argv.slice(2);
+
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+const token = process.env.ADMIN_API_TOKEN;
+if (!token) {
+  console.error('❌ ADMIN_API_TOKEN is not set');
+  process.exit(1);
+}
+
+const baseUrl = (getOption('--url') || process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const body = { dryRun: args.includes('--dry-run') };
+if (getOption('--min-age') !== undefined) body.minAgeMinutes = Number(getOption('--min-age'));
+if (getOption('--limit') !== undefined) body.limit = Number(getOption('--limit'));
+
+const response = await fetch(`${baseUrl}/api/admin/reconciliation`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: JSON.stringify(body)
+});
+const data = await response.json().catch(() => ({}));
+
+if (!response.ok) {
+  console.error(`❌ Reconciliation failed (${response.status}): ${data.details || data.error || response.statusText}`);
+  process.exit(1);
+}
+
+const { report } = data;
+console.log(`Reconciliation${report.dryRun ? ' (dry run)' : ''}: ${report.checked} checked, ${report.updated} updated, ${report.emailsSent} email(s) sent, ${report.abandonedCheckoutEmails ?? 0} abandoned checkout reminder(s)`);
+
+if (report.discrepancies.length === 0) {
+  console.log('✅ No discrepancies');
+} else {
+  console.table(report.discrepancies.map(({ merchantTransactionId, type, stored, gateway, action, details }) => ({
+    merchantTransactionId, type, stored, gateway, action, details
+  })));
+}
+
+const unresolved = report.discrepancies.filter(item => !['updated', 'emails_sent'].includes(item.action));
+process.exit(unresolved.length > 0 ? 2 : 0);
@@ -0,0 +1,54 @@
+/**
+ * Client helpers for the admin pages
+ * Requests use the HTTP-only session cookie; POST/PUT/PATCH/DELETE requests also
+ * send the session's CSRF token, fetched once from /api/admin/session.
+ */
+
+let csrfToken = null;
+
+function redirectToLogin() {
+  window.location.href = `/admin/login?next=${encodeURIComponent(window.location.pathname)}`;
+}
+
+async function getCsrfToken() {
+  if (!csrfToken) {
+    const response = await fetch('/api/admin/session');
+    const data = await response.json();
+    csrfToken = data.csrfToken || null;
+  }
+  return csrfToken;
+}
+
+/**
+ * Fetch an admin API route and return the parsed JSON
+ * Redirects to the login page when the session has expired
+ */
+export async function adminFetch(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = { ...options.headers };
+
+  if (!['GET', 'HEAD'].includes(method)) {
+    headers['x-csrf-token'] = await getCsrfToken();
+  }
+
+  const response = await fetch(url, { ...options, method, headers });
+  const data = await response.json();
+
+  if (response.status === 401) {
+    redirectToLogin();
+    throw new Error('Your session has expired. Please log in again.');
+  }
+  if (!response.ok) {
+    throw new Error(data.details || data.error || 'Request failed');
+  }
+  return data;
+}
+
+/**
+ * End the admin session and go back to the login page
+ */
+export async function adminLogout() {
+  await fetch('/api/admin/logout', { method: 'POST' });
+  csrfToken = null;
+  window.location.href = '/admin/login';
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import { useState } from 'react';
+
+export default function LoginForm({ returnTo }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/admin/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details ? `${data.error}. ${data.details}` : data.error || 'Login failed');
+      }
+
+      window.location.href = returnTo;
+    } catch (loginError) {
+      setError(loginError.message);
+      setPassword('');
+      setIsLoading(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-gray-900';
+
+  return (
+    <section className="min-h-screen pt-32 pb-20 bg-gray-50">
+      <div className="max-w-sm mx-auto px-4">
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg p-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-6 text-center">Admin Login</h1>
+          <label htmlFor="admin-username" className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+          <input
+            id="admin-username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className={`${inputClassName} mb-4`}
+            required
+          />
+          <label htmlFor="admin-password" className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+          <input
+            id="admin-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClassName}
+            required
+          />
+          {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full mt-6 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-semibold py-2.5 px-6 rounded-lg transition-colors"
+          >
+            {isLoading ? 'Logging in...' : 'Log in'}
+          </button>
+        </form>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,15 @@
+import LoginForm from './loginForm';
+
+export const metadata = {
+  title: 'Admin Login',
+  robots: { index: false, follow: false }
+};
+
+export default async function AdminLoginPage({ searchParams }) {
+  const { next } = await searchParams;
+
+  // Only redirect back to admin pages after login
+  const returnTo = typeof next === 'string' && next.startsWith('/admin/') ? next : '/admin/payments';
+
+  return <LoginForm returnTo={returnTo} />;
+}
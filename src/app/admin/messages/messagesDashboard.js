@@ -0,0 +1,296 @@
+'use client';
+
+import { useEffect, useState, useCallback } from 'react';
+import { adminFetch, adminLogout } from '../adminFetch';
+
+const STATUSES = ['new', 'read', 'replied', 'quarantined'];
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' })
+  : '—';
+
+const STATUS_STYLES = {
+  new: 'bg-indigo-100 text-indigo-800',
+  read: 'bg-gray-100 text-gray-800',
+  replied: 'bg-green-100 text-green-800',
+  quarantined: 'bg-orange-100 text-orange-800'
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+      {status}
+    </span>
+  );
+}
+
+function StatCard({ label, value, accent }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className={`text-2xl font-bold mt-1 ${accent || 'text-gray-900'}`}>{value}</p>
+    </div>
+  );
+}
+
+function ReplyForm({ message, onReplied }) {
+  const [body, setBody] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const data = await adminFetch(`/api/admin/messages/${encodeURIComponent(message.messageId)}/reply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body })
+      });
+      setBody('');
+      onReplied(data.message);
+    } catch (replyError) {
+      setError(replyError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={5}
+        placeholder={`Reply to ${message.email}`}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+        required
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+      >
+        {isSubmitting ? 'Sending...' : 'Send Reply'}
+      </button>
+    </form>
+  );
+}
+
+function MessageDetail({ message, onClose, onChange }) {
+  const handleStatus = async (status) => {
+    try {
+      const data = await adminFetch(`/api/admin/messages/${encodeURIComponent(message.messageId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      onChange(data.message);
+    } catch (statusError) {
+      alert(statusError.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg max-w-3xl w-full shadow-xl max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center p-6 pb-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">{message.subject}</h3>
+            <p className="text-sm text-gray-500 break-all">
+              {message.messageId} · <StatusBadge status={message.status} />
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-6">
+          <div className="text-sm text-gray-700 space-y-1">
+            <p><span className="font-semibold">From:</span> {message.name} &lt;{message.email}&gt;</p>
+            <p><span className="font-semibold">Phone:</span> {message.phone || 'Not provided'}</p>
+            <p><span className="font-semibold">Received:</span> {formatDate(message.createdAt)}</p>
+            {message.spamReasons?.length > 0 && (
+              <p className="text-orange-600">Flagged as spam: {message.spamReasons.join(', ')}</p>
+            )}
+            {!message.notifiedAt && message.status !== 'quarantined' && (
+              <p className="text-orange-600">{message.notificationError || 'Notification email not sent'}</p>
+            )}
+          </div>
+
+          <div className="space-y-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-xs text-gray-500 mb-2">{message.name} · {formatDate(message.createdAt)}</p>
+              <p className="text-sm text-gray-900 whitespace-pre-line">{message.message}</p>
+            </div>
+            {message.replies.map(reply => (
+              <div key={reply.id} className="bg-indigo-50 rounded-lg p-4 ml-8">
+                <p className="text-xs text-gray-500 mb-2">{reply.sentBy || 'You'} · {formatDate(reply.sentAt)}</p>
+                <p className="text-sm text-gray-900 whitespace-pre-line">{reply.body}</p>
+              </div>
+            ))}
+          </div>
+
+          <ReplyForm message={message} onReplied={onChange} />
+
+          <div className="flex gap-4 text-sm">
+            {message.status === 'quarantined' ? (
+              <button onClick={() => handleStatus('new')} className="text-indigo-600 hover:text-indigo-800">Not spam</button>
+            ) : (
+              <>
+                {message.status !== 'new' && (
+                  <button onClick={() => handleStatus('new')} className="text-indigo-600 hover:text-indigo-800">Mark as unread</button>
+                )}
+                {message.status !== 'replied' && (
+                  <button onClick={() => handleStatus('replied')} className="text-indigo-600 hover:text-indigo-800">Mark as replied</button>
+                )}
+                <button onClick={() => handleStatus('quarantined')} className="text-orange-600 hover:text-orange-800">Mark as spam</button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function MessagesDashboard({ username }) {
+  const [statusFilter, setStatusFilter] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadMessages = useCallback(async (status) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams(status ? { status } : {});
+      const data = await adminFetch(`/api/admin/messages?${params}`);
+      setMessages(data.messages);
+      setStats(data.stats);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMessages('');
+  }, [loadMessages]);
+
+  const handleFilterChange = (e) => {
+    setStatusFilter(e.target.value);
+    loadMessages(e.target.value);
+  };
+
+  const handleChange = (message) => {
+    setSelected(message);
+    loadMessages(statusFilter);
+  };
+
+  const handleOpenMessage = async (message) => {
+    setSelected(message);
+    if (message.status !== 'new') {
+      return;
+    }
+    try {
+      const data = await adminFetch(`/api/admin/messages/${encodeURIComponent(message.messageId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'read' })
+      });
+      handleChange(data.message);
+    } catch (readError) {
+      setError(readError.message);
+    }
+  };
+
+  return (
+    <section className="min-h-screen pt-28 pb-20 bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Messages</h1>
+          <div className="flex items-center gap-4">
+            <a href="/admin/payments" className="text-sm text-indigo-600 hover:text-indigo-800">Payments</a>
+            <span className="text-sm text-gray-500">{username}</span>
+            <button onClick={adminLogout} className="text-sm text-gray-600 hover:text-gray-900">Log out</button>
+          </div>
+        </div>
+
+        {stats && (
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-8">
+            <StatCard label="Total" value={stats.total} />
+            <StatCard label="New" value={stats.new} accent="text-indigo-600" />
+            <StatCard label="Read" value={stats.read} />
+            <StatCard label="Replied" value={stats.replied} accent="text-green-600" />
+            <StatCard label="Not Notified" value={stats.undelivered} accent="text-orange-600" />
+            <StatCard label="Quarantined" value={stats.quarantined} accent="text-orange-600" />
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow p-4 mb-6">
+          <select value={statusFilter} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900">
+            <option value="">Inbox</option>
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Date', 'Message ID', 'From', 'Subject', 'Status'].map(heading => (
+                  <th key={heading} className="px-4 py-3 text-left font-semibold text-gray-700">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {messages.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">
+                    {isLoading ? 'Loading messages...' : 'No messages found.'}
+                  </td>
+                </tr>
+              )}
+              {messages.map(message => (
+                <tr
+                  key={message.messageId}
+                  onClick={() => handleOpenMessage(message)}
+                  className={`hover:bg-indigo-50 cursor-pointer ${message.status === 'new' ? 'font-semibold' : ''}`}
+                >
+                  <td className="px-4 py-3 text-gray-700 whitespace-nowrap">{formatDate(message.createdAt)}</td>
+                  <td className="px-4 py-3 text-gray-700 font-mono text-xs">{message.messageId}</td>
+                  <td className="px-4 py-3">
+                    <p className="text-gray-900">{message.name}</p>
+                    <p className="text-xs text-gray-500">{message.email}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{message.subject}</td>
+                  <td className="px-4 py-3"><StatusBadge status={message.status} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && (
+        <MessageDetail
+          key={selected.messageId}
+          message={selected}
+          onClose={() => setSelected(null)}
+          onChange={handleChange}
+        />
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,13 @@
+import { requireAdminPage } from '../../utils/adminAuth';
+import MessagesDashboard from './messagesDashboard';
+
+export const metadata = {
+  title: 'Messages | Admin',
+  robots: { index: false, follow: false }
+};
+
+export default async function AdminMessagesPage() {
+  const session = await requireAdminPage('/admin/messages');
+
+  return <MessagesDashboard username={session.sub} />;
+}
@@ -0,0 +1,13 @@
+import { requireAdminPage } from '../../utils/adminAuth';
+import PaymentsDashboard from './paymentsDashboard';
+
+export const metadata = {
+  title: 'Payments | Admin',
+  robots: { index: false, follow: false }
+};
+
+export default async function AdminPaymentsPage() {
+  const session = await requireAdminPage('/admin/payments');
+
+  return <PaymentsDashboard username={session.sub} />;
+}
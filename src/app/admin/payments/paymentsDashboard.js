@@ -0,0 +1,365 @@
+'use client';
+
+import { useEffect, useState, useCallback } from 'react';
+import basicInfo from '../../../data/basicInfo.json';
+import { adminFetch, adminLogout } from '../adminFetch';
+
+const STATUSES = ['pending', 'completed', 'failed', 'refund_pending', 'refunded', 'refund_failed'];
+const REFUNDABLE_STATUSES = ['completed', 'success', 'refund_pending', 'refunded', 'refund_failed'];
+const ENVIRONMENTS = ['SANDBOX', 'PRODUCTION'];
+const SERVICE_NAMES = [...(basicInfo.services || []).map(service => service.title), 'Donation'];
+
+// Payment amounts are stored in paise
+const formatAmount = (paise) => `₹${((paise || 0) / 100).toFixed(2)}`;
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' })
+  : '—';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  success: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  refund_pending: 'bg-blue-100 text-blue-800',
+  refunded: 'bg-gray-100 text-gray-800',
+  refund_failed: 'bg-orange-100 text-orange-800'
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+      {status || 'unknown'}
+    </span>
+  );
+}
+
+function StatCard({ label, value, accent }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className={`text-2xl font-bold mt-1 ${accent || 'text-gray-900'}`}>{value}</p>
+    </div>
+  );
+}
+
+function RefundForm({ payment, onRefunded }) {
+  const refundableAmount = (payment.amount || 0) - (payment.refunds || [])
+    .filter(refund => refund.status !== 'refund_failed')
+    .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+  const [amount, setAmount] = useState((refundableAmount / 100).toFixed(2));
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  if (refundableAmount <= 0) {
+    return <p className="text-sm text-gray-500">Nothing left to refund.</p>;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const paise = Math.round(parseFloat(amount) * 100);
+    if (!window.confirm(`Refund ${formatAmount(paise)} to ${payment.customerEmail || 'the customer'}?`)) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await adminFetch(`/api/admin/payments/${encodeURIComponent(payment.merchantTransactionId)}/refunds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: paise, reason })
+      });
+      onRefunded();
+    } catch (refundError) {
+      setError(refundError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+      <input
+        type="number"
+        step="0.01"
+        min="0.01"
+        max={(refundableAmount / 100).toFixed(2)}
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+        aria-label="Refund amount in rupees"
+        required
+      />
+      <input
+        type="text"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder="Reason (optional)"
+        className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+      />
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+      >
+        {isSubmitting ? 'Refunding...' : 'Refund'}
+      </button>
+      <p className="md:col-span-4 text-xs text-gray-500">Refundable: {formatAmount(refundableAmount)}</p>
+      {error && <p className="md:col-span-4 text-sm text-red-600">{error}</p>}
+    </form>
+  );
+}
+
+function PaymentDetail({ detail, onClose, onRefresh }) {
+  const { payment, timeline } = detail;
+
+  const handleCheckRefunds = async () => {
+    try {
+      await adminFetch(`/api/admin/payments/${encodeURIComponent(payment.merchantTransactionId)}/refunds`);
+      onRefresh();
+    } catch (refundError) {
+      alert(refundError.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg max-w-3xl w-full shadow-xl max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center p-6 pb-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">{payment.customerName || 'Payment'}</h3>
+            <p className="text-sm text-gray-500 break-all">{payment.merchantTransactionId}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-6">
+          {REFUNDABLE_STATUSES.includes(payment.status) && (
+            <div>
+              <div className="flex justify-between items-center mb-3">
+                <h4 className="font-semibold text-gray-900">Refunds</h4>
+                {payment.status === 'refund_pending' && (
+                  <button onClick={handleCheckRefunds} className="text-sm text-indigo-600 hover:text-indigo-800">Check status</button>
+                )}
+              </div>
+              {payment.refunds?.length > 0 && (
+                <ul className="mb-4 divide-y divide-gray-100 text-sm">
+                  {payment.refunds.map(refund => (
+                    <li key={refund.refundId} className="py-2 flex justify-between gap-4">
+                      <span className="text-gray-700 break-all">{formatDate(refund.createdAt)} · {refund.reason || refund.refundId}</span>
+                      <span className="flex items-center gap-2 whitespace-nowrap">
+                        {formatAmount(refund.amount)} <StatusBadge status={refund.status} />
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <RefundForm key={payment.updatedAt} payment={payment} onRefunded={onRefresh} />
+            </div>
+          )}
+
+          <div>
+            <h4 className="font-semibold text-gray-900 mb-3">Timeline</h4>
+            {timeline.length === 0 ? (
+              <p className="text-sm text-gray-500">No events recorded.</p>
+            ) : (
+              <ol className="border-l-2 border-indigo-200 ml-2 space-y-4">
+                {timeline.map((entry, index) => (
+                  <li key={`${entry.at}-${index}`} className="ml-4">
+                    <p className="text-xs text-gray-500">{formatDate(entry.at)}</p>
+                    <p className="text-sm font-medium text-gray-900">{entry.label}</p>
+                    {entry.details && <p className="text-xs text-gray-600 break-all">{entry.details}</p>}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-gray-900 mb-3">Record</h4>
+            <pre className="bg-gray-50 rounded-lg p-4 text-xs text-gray-800 overflow-x-auto">
+              {JSON.stringify(payment, null, 2)}
+            </pre>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function PaymentsDashboard({ username }) {
+  const [filters, setFilters] = useState({ status: '', environment: '', serviceName: '', email: '' });
+  const [payments, setPayments] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadPayments = useCallback(async (activeFilters) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams(
+        Object.entries(activeFilters).filter(([, value]) => value)
+      );
+      const data = await adminFetch(`/api/admin/payments?${params}`);
+      setPayments(data.payments);
+      setStats(data.stats);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPayments({});
+  }, [loadPayments]);
+
+  const handleFilterChange = (e) => {
+    setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    loadPayments(filters);
+  };
+
+  const handleResetFilters = () => {
+    const emptyFilters = { status: '', environment: '', serviceName: '', email: '' };
+    setFilters(emptyFilters);
+    loadPayments(emptyFilters);
+  };
+
+  const handleOpenPayment = async (merchantTransactionId) => {
+    try {
+      const data = await adminFetch(`/api/admin/payments/${encodeURIComponent(merchantTransactionId)}`);
+      setDetail(data);
+    } catch (detailError) {
+      setError(detailError.message);
+    }
+  };
+
+  return (
+    <section className="min-h-screen pt-28 pb-20 bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Payments</h1>
+          <div className="flex items-center gap-4">
+            <a href="/admin/messages" className="text-sm text-indigo-600 hover:text-indigo-800">Messages</a>
+            <span className="text-sm text-gray-500">{username}</span>
+            <button onClick={adminLogout} className="text-sm text-gray-600 hover:text-gray-900">Log out</button>
+          </div>
+        </div>
+
+        {stats && (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-7 gap-4 mb-8">
+            <StatCard label="Total" value={stats.total} />
+            <StatCard label="Successful" value={stats.successful} accent="text-green-600" />
+            <StatCard label="Failed" value={stats.failed} accent="text-red-600" />
+            <StatCard label="Pending" value={stats.pending} accent="text-yellow-600" />
+            <StatCard label="Total Received" value={formatAmount(stats.totalAmount)} accent="text-indigo-600" />
+            <StatCard label="Refunded" value={formatAmount(stats.refundedAmount)} accent="text-orange-600" />
+            <StatCard
+              label="Sandbox / Production"
+              value={`${stats.byEnvironment.SANDBOX} / ${stats.byEnvironment.PRODUCTION}`}
+            />
+          </div>
+        )}
+
+        <form onSubmit={handleApplyFilters} className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4">
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900">
+            <option value="">All statuses</option>
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <select name="environment" value={filters.environment} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900">
+            <option value="">All environments</option>
+            {ENVIRONMENTS.map(environment => <option key={environment} value={environment}>{environment}</option>)}
+          </select>
+          <select name="serviceName" value={filters.serviceName} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900">
+            <option value="">All services</option>
+            {SERVICE_NAMES.map(serviceName => <option key={serviceName} value={serviceName}>{serviceName}</option>)}
+          </select>
+          <input
+            type="email"
+            name="email"
+            value={filters.email}
+            onChange={handleFilterChange}
+            placeholder="Customer email"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+          />
+          <div className="flex gap-2">
+            <button type="submit" className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors">
+              Filter
+            </button>
+            <button type="button" onClick={handleResetFilters} className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition-colors">
+              Reset
+            </button>
+          </div>
+        </form>
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Date', 'Customer', 'Service', 'Amount', 'Status', 'Environment'].map(heading => (
+                  <th key={heading} className="px-4 py-3 text-left font-semibold text-gray-700">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {payments.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-8 text-center text-gray-500">
+                    {isLoading ? 'Loading payments...' : 'No payments found.'}
+                  </td>
+                </tr>
+              )}
+              {payments.map(payment => (
+                <tr
+                  key={payment.merchantTransactionId}
+                  onClick={() => handleOpenPayment(payment.merchantTransactionId)}
+                  className="hover:bg-indigo-50 cursor-pointer"
+                >
+                  <td className="px-4 py-3 text-gray-700 whitespace-nowrap">{formatDate(payment.createdAt)}</td>
+                  <td className="px-4 py-3">
+                    <p className="text-gray-900">{payment.customerName || '—'}</p>
+                    <p className="text-xs text-gray-500">{payment.customerEmail}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{payment.serviceName || '—'}</td>
+                  <td className="px-4 py-3 text-gray-900 whitespace-nowrap">
+                    {formatAmount(payment.amount)}
+                    {payment.couponCode && (
+                      <div className="text-xs text-green-700">{payment.couponCode} (-{formatAmount(payment.discountAmount)})</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3"><StatusBadge status={payment.status} /></td>
+                  <td className="px-4 py-3 text-gray-700">{payment.environment}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {detail && (
+        <PaymentDetail
+          detail={detail}
+          onClose={() => setDetail(null)}
+          onRefresh={() => {
+            handleOpenPayment(detail.payment.merchantTransactionId);
+            loadPayments(filters);
+          }}
+        />
+      )}
+    </section>
+  );
+}
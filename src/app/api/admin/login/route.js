@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { handleAdminLogin } from '../../../utils/adminAuth';
+import { providerErrorResponse } from '../../../utils/payments/providerError';
+
+/**
+ * Admin login
+ * Body: { username, password }
+ * Sets the HTTP-only session cookie and returns the CSRF token
+ */
+export async function POST(request) {
+  try {
+    return await handleAdminLogin(request);
+  } catch (error) {
+    console.error('❌ Error during admin login:', error);
+    const [body, status] = providerErrorResponse(error, 'Login failed');
+    return NextResponse.json(body, { status });
+  }
+}
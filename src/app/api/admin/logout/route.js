@@ -0,0 +1,8 @@
+import { handleAdminLogout } from '../../../utils/adminAuth';
+
+/**
+ * Admin logout (revokes the session and clears the cookie)
+ */
+export async function POST(request) {
+  return handleAdminLogout(request);
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getAdminSession } from '../../../../../utils/adminAuth';
+import { replyToContactMessage } from '../../../../../utils/contactMessages';
+import { providerErrorResponse } from '../../../../../utils/payments/providerError';
+import { parseJsonBody } from '../../../../../utils/validation';
+import { messageReplySchema } from '../../../../../utils/validation/schemas';
+
+/**
+ * Email a reply to a contact form message (admin only)
+ * The reply is threaded with the original notification and earlier replies.
+ *
+ * Body: { body: string }
+ */
+export async function POST(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { messageId } = await params;
+
+  try {
+    const { body } = await parseJsonBody(request, messageReplySchema);
+    const message = await replyToContactMessage(messageId, {
+      body,
+      sentBy: getAdminSession(request)?.sub
+    });
+
+    return NextResponse.json({ success: true, message });
+  } catch (error) {
+    console.error('❌ Error replying to contact message:', error);
+    const [responseBody, status] = providerErrorResponse(error, 'Failed to send reply');
+    return NextResponse.json(responseBody, { status });
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { getContactMessage, updateContactMessageStatus } from '../../../../utils/contactMessages';
+import { providerErrorResponse } from '../../../../utils/payments/providerError';
+import { parseJsonBody } from '../../../../utils/validation';
+import { messageStatusSchema } from '../../../../utils/validation/schemas';
+
+/**
+ * A contact form message with its replies (admin only)
+ *
+ * GET: returns the message
+ * PATCH: marks it new, read or replied
+ *   Body: { status: 'new' | 'read' | 'replied' }
+ */
+export async function GET(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { messageId } = await params;
+  const message = getContactMessage(messageId);
+
+  if (!message) {
+    return NextResponse.json(
+      { error: 'Message not found' },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ success: true, message });
+}
+
+export async function PATCH(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { messageId } = await params;
+
+  try {
+    const { status } = await parseJsonBody(request, messageStatusSchema);
+    const message = updateContactMessageStatus(messageId, status);
+
+    return NextResponse.json({ success: true, message });
+  } catch (error) {
+    console.error('❌ Error updating contact message:', error);
+    const [body, status] = providerErrorResponse(error, 'Failed to update message');
+    return NextResponse.json(body, { status });
+  }
+}
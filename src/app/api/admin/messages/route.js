@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../utils/adminAuth';
+import { getContactMessages, getContactMessageStats } from '../../../utils/contactMessages';
+
+/**
+ * List contact form messages, newest first, with inbox counts (admin only)
+ *
+ * Query params (all optional): status ('new' | 'read' | 'replied'), email
+ */
+export async function GET(request) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(request.url);
+
+  const messages = getContactMessages({
+    status: searchParams.get('status'),
+    email: searchParams.get('email')?.trim()
+  });
+
+  return NextResponse.json({
+    success: true,
+    total: messages.length,
+    messages,
+    stats: getContactMessageStats()
+  });
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../../utils/adminAuth';
+import { getRefundableAmount } from '../../../../../utils/paymentStorage';
+import { initiateRefund, pollRefundStatus } from '../../../../../utils/payments/refunds';
+import { providerErrorResponse } from '../../../../../utils/payments/providerError';
+import { parseJsonBody } from '../../../../../utils/validation';
+import { refundSchema } from '../../../../../utils/validation/schemas';
+
+/**
+ * Refunds for a payment (admin only)
+ *
+ * GET: checks pending refunds with the gateway and returns the payment's refunds
+ * POST: initiates a refund
+ *   Body: { amount?: number (paise, defaults to the full refundable amount), reason?: string }
+ */
+export async function GET(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { merchantTransactionId } = await params;
+
+  try {
+    const payment = await pollRefundStatus(merchantTransactionId);
+    if (!payment) {
+      return NextResponse.json(
+        { error: 'Payment not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      status: payment.status,
+      refunds: payment.refunds || [],
+      refundedAmount: payment.refundedAmount || 0,
+      refundableAmount: getRefundableAmount(payment)
+    });
+  } catch (error) {
+    console.error('❌ Error checking refunds:', error);
+    const [body, status] = providerErrorResponse(error, 'Failed to check refund status');
+    return NextResponse.json(body, { status });
+  }
+}
+
+export async function POST(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { merchantTransactionId } = await params;
+
+  try {
+    const { amount, reason } = await parseJsonBody(request, refundSchema);
+    const result = await initiateRefund(merchantTransactionId, { amount, reason });
+
+    return NextResponse.json({
+      success: true,
+      refund: result.refund,
+      status: result.payment.status,
+      refundableAmount: getRefundableAmount(result.payment),
+      emailSent: result.emailSent
+    });
+  } catch (error) {
+    console.error('❌ Error initiating refund:', error);
+    const [body, status] = providerErrorResponse(error, 'Failed to initiate refund');
+    return NextResponse.json(body, { status });
+  }
+}
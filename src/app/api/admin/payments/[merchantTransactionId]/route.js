@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { getPayment } from '../../../../utils/paymentStorage';
+import { getPaymentTimeline } from '../../../../utils/paymentTimeline';
+
+/**
+ * Get a payment record with its timeline (admin only)
+ */
+export async function GET(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { merchantTransactionId } = await params;
+  const payment = getPayment(merchantTransactionId);
+
+  if (!payment) {
+    return NextResponse.json(
+      { error: 'Payment not found' },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    payment,
+    timeline: getPaymentTimeline(payment)
+  });
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../utils/adminAuth';
+import { getAllPayments, getPaymentStats } from '../../../utils/paymentStorage';
+
+/**
+ * List payments with summary stats (admin only)
+ *
+ * Query params (all optional): status, environment, serviceName, email
+ */
+export async function GET(request) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(request.url);
+
+  const payments = getAllPayments({
+    status: searchParams.get('status'),
+    environment: searchParams.get('environment'),
+    serviceName: searchParams.get('serviceName'),
+    customerEmail: searchParams.get('email')?.trim()
+  });
+
+  return NextResponse.json({
+    success: true,
+    total: payments.length,
+    payments,
+    stats: getPaymentStats()
+  });
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../utils/adminAuth';
+import { reconcilePayments } from '../../../utils/payments/reconciliation';
+
+/**
+ * Reconcile pending payments with the payment gateways (admin only)
+ *
+ * Body (all optional): { dryRun: boolean, minAgeMinutes: number, limit: number }
+ * Returns the discrepancy report from reconcilePayments()
+ */
+export async function POST(request) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const report = await reconcilePayments({
+      dryRun: body.dryRun === true,
+      minAgeMinutes: Number.isFinite(body.minAgeMinutes) ? body.minAgeMinutes : undefined,
+      limit: Number.isInteger(body.limit) && body.limit > 0 ? body.limit : undefined
+    });
+
+    return NextResponse.json({ success: true, report });
+  } catch (error) {
+    console.error('❌ Error reconciling payments:', error);
+    return NextResponse.json(
+      { error: 'Failed to reconcile payments', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { pollPendingRefunds } from '../../../../utils/payments/refunds';
+
+/**
+ * Check every pending refund with its gateway (admin only)
+ * Suitable for a cron job: curl -X POST -H "Authorization: Bearer $ADMIN_API_TOKEN" .../api/admin/refunds/poll
+ */
+export async function POST(request) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  try {
+    const results = await pollPendingRefunds();
+    return NextResponse.json({ success: true, checked: results.length, results });
+  } catch (error) {
+    console.error('❌ Error polling refunds:', error);
+    return NextResponse.json(
+      { error: 'Failed to poll refunds', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { getAdminSession } from '../../../utils/adminAuth';
+
+/**
+ * Current admin session
+ * Returns the username and CSRF token for the logged-in admin
+ */
+export async function GET(request) {
+  const session = getAdminSession(request);
+
+  if (!session) {
+    return NextResponse.json({ authenticated: false }, { status: 401 });
+  }
+
+  return NextResponse.json({
+    authenticated: true,
+    username: session.sub,
+    csrfToken: session.csrf,
+    expiresAt: new Date(session.exp).toISOString()
+  });
+}
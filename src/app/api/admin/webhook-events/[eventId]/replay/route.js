@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../../utils/adminAuth';
+import { getWebhookEvent } from '../../../../../utils/webhookEventLog';
+import { processPhonePeWebhook } from '../../../../../utils/payments/phonepeWebhook';
+
+/**
+ * Replay a logged webhook event through the current handler (admin only)
+ *
+ * The stored body is processed again as if PhonePe had resent it. Credentials
+ * are not stored, so instead of re-checking the signature the replay is
+ * trusted as much as the original delivery was (event.signature.valid);
+ * unauthenticated events are still confirmed with PhonePe by the handlers.
+ * The replay is logged as a new event with replayOf set to the original event id.
+ */
+
+export async function POST(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { eventId } = await params;
+  const event = getWebhookEvent(eventId);
+
+  if (!event) {
+    return NextResponse.json(
+      { error: 'Webhook event not found' },
+      { status: 404 }
+    );
+  }
+
+  if (event.provider !== 'phonepe') {
+    return NextResponse.json(
+      { error: 'Replay not supported', details: `Events from ${event.provider} cannot be replayed` },
+      { status: 400 }
+    );
+  }
+
+  const replayRequest = new Request(new URL(event.url || '/api/phonepe-webhook', request.url), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: event.body
+  });
+
+  console.log(`🔁 Replaying webhook event ${eventId} (${event.eventType || 'unknown event'})`);
+  const response = await processPhonePeWebhook(replayRequest, event.environment, {
+    replayOf: eventId,
+    authenticated: event.signature?.valid === true
+  });
+  const result = await response.json();
+
+  return NextResponse.json({
+    success: response.ok && result.success !== false,
+    replayOf: eventId,
+    replayEventId: result.eventId,
+    status: response.status,
+    result
+  });
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { getWebhookEvent } from '../../../../utils/webhookEventLog';
+
+/**
+ * Get a logged webhook event with its raw body and headers (admin only)
+ */
+export async function GET(request, { params }) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { eventId } = await params;
+  const event = getWebhookEvent(eventId);
+
+  if (!event) {
+    return NextResponse.json(
+      { error: 'Webhook event not found' },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ success: true, event });
+}
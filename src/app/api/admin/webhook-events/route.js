@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../utils/adminAuth';
+import { getWebhookEvents } from '../../../utils/webhookEventLog';
+
+/**
+ * List logged webhook events (admin only)
+ *
+ * Query params (all optional): provider, environment, eventType, outcome,
+ * merchantTransactionId, limit (default 50)
+ */
+export async function GET(request) {
+  const denied = requireAdmin(request);
+  if (denied) return denied;
+
+  const { searchParams } = new URL(request.url);
+  const limit = Math.min(parseInt(searchParams.get('limit') || '50', 10) || 50, 500);
+
+  const events = getWebhookEvents({
+    provider: searchParams.get('provider'),
+    environment: searchParams.get('environment'),
+    eventType: searchParams.get('eventType'),
+    outcome: searchParams.get('outcome'),
+    merchantTransactionId: searchParams.get('merchantTransactionId')
+  });
+
+  return NextResponse.json({
+    success: true,
+    total: events.length,
+    // Bodies and headers are only returned by /api/admin/webhook-events/{eventId}
+    events: events.slice(0, limit).map(({ body, headers, ...event }) => event)
+  });
+}
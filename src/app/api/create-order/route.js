@@ -1,68 +0,0 @@
-import { NextResponse } from 'next/server';
-
-export async function POST(request) {
-  try {
-    const { amount, serviceId, serviceName, customerDetails } = await request.json();
-
-    if (!amount || amount < 1) {
-      return NextResponse.json(
-        { error: 'Invalid amount' },
-        { status: 400 }
-      );
-    }
-
-    // Check if Razorpay keys are configured
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-      return NextResponse.json(
-        { error: 'Razorpay keys not configured. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in your environment variables.' },
-        { status: 500 }
-      );
-    }
-
-    // Initialize Razorpay (you'll need to install: npm install razorpay)
-    const Razorpay = (await import('razorpay')).default;
-    
-    const razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID,
-      key_secret: process.env.RAZORPAY_KEY_SECRET,
-    });
-
-    const options = {
-      amount: amount, // amount in paise
-      currency: 'INR',
-      receipt: `receipt_${Date.now()}_${serviceId || 'donation'}`,
-      notes: {
-        serviceId: serviceId || 'donation',
-        serviceName: serviceName || 'Donation',
-        customerName: customerDetails?.name || '',
-        customerEmail: customerDetails?.email || '',
-        customerPhone: customerDetails?.phone || '',
-        customerMessage: customerDetails?.message || ''
-      }
-    };
-
-    const order = await razorpay.orders.create(options);
-
-    return NextResponse.json({
-      id: order.id,
-      amount: order.amount,
-      currency: order.currency,
-    });
-  } catch (error) {
-    console.error('Error creating order:', error);
-    
-    // Handle Razorpay not installed
-    if (error.code === 'MODULE_NOT_FOUND') {
-      return NextResponse.json(
-        { error: 'Razorpay package not installed. Please run: npm install razorpay' },
-        { status: 500 }
-      );
-    }
-    
-    return NextResponse.json(
-      { error: 'Failed to create order', details: error.message },
-      { status: 500 }
-    );
-  }
-}
-
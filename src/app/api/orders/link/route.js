@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getClientIp } from '../../../utils/adminAuth';
+import { getBaseUrl } from '../../../utils/payments';
+import { providerErrorResponse } from '../../../utils/payments/providerError';
+import { requestOrderHistoryLink } from '../../../utils/orderHistory';
+import { parseJsonBody } from '../../../utils/validation';
+import { orderLinkSchema } from '../../../utils/validation/schemas';
+
+/**
+ * Email a one-time "My orders" link
+ * The response is the same whether or not the email has orders.
+ *
+ * Body: { email }
+ */
+export async function POST(request) {
+  try {
+    const { email } = await parseJsonBody(request, orderLinkSchema);
+
+    await requestOrderHistoryLink(email, { ip: getClientIp(request), baseUrl: getBaseUrl(request) });
+
+    return NextResponse.json({
+      success: true,
+      message: 'If we have orders for this email, a sign-in link is on its way. Please check your inbox.'
+    });
+  } catch (error) {
+    const [body, status] = providerErrorResponse(error, 'Failed to send sign-in link');
+    return NextResponse.json(body, {
+      status,
+      headers: body.retryAfterSeconds ? { 'Retry-After': String(body.retryAfterSeconds) } : undefined
+    });
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getBaseUrl } from '../../utils/payments';
+import { redeemOrderHistoryLink, getOrderHistory } from '../../utils/orderHistory';
+import { providerErrorResponse } from '../../utils/payments/providerError';
+import { parseJsonBody } from '../../utils/validation';
+import { orderTokenSchema } from '../../utils/validation/schemas';
+
+/**
+ * Exchange a one-time "My orders" link token for the customer's order history
+ * The token is used up by this call.
+ *
+ * Body: { token }
+ */
+export async function POST(request) {
+  let token;
+  try {
+    ({ token } = await parseJsonBody(request, orderTokenSchema));
+  } catch (error) {
+    const [body, status] = providerErrorResponse(error, 'Invalid request data');
+    return NextResponse.json(body, { status });
+  }
+
+  const email = redeemOrderHistoryLink(token);
+  if (!email) {
+    return NextResponse.json(
+      { error: 'Invalid link', details: 'This link has expired or was already used. Please request a new one.' },
+      { status: 403 }
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    email,
+    orders: getOrderHistory(email, getBaseUrl(request))
+  });
+}
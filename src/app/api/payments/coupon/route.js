@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { priceOrder } from '../../../utils/payments/priceCatalogue';
+import { applyCoupon } from '../../../utils/payments/coupons';
+import { providerErrorResponse } from '../../../utils/payments/providerError';
+import { parseJsonBody } from '../../../utils/validation';
+import { couponPreviewSchema } from '../../../utils/validation/schemas';
+
+/**
+ * Preview a coupon for the checkout price breakdown
+ * Nothing is reserved here; the coupon is checked again when the order is created.
+ *
+ * Body: { couponCode, serviceId, email? }
+ */
+export async function POST(request) {
+  try {
+    const { couponCode, serviceId, email } = await parseJsonBody(request, couponPreviewSchema);
+
+    const pricing = applyCoupon(priceOrder({ serviceId }), couponCode, email);
+    return NextResponse.json({
+      success: true,
+      couponCode: pricing.couponCode,
+      description: pricing.coupon.description,
+      originalAmount: pricing.originalAmount,
+      discountAmount: pricing.discountAmount,
+      amount: pricing.amount
+    });
+  } catch (error) {
+    const [body, status] = providerErrorResponse(error, 'Failed to apply coupon');
+    return NextResponse.json(body, { status });
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { retryPaymentOrder, getBaseUrl } from '../../../utils/payments';
+import { providerErrorResponse } from '../../../utils/payments/providerError';
+import { parseJsonBody } from '../../../utils/validation';
+import { transactionSchema } from '../../../utils/validation/schemas';
+
+/**
+ * Retry a failed or abandoned PhonePe payment
+ * Creates a new order for the same service and customer details, linked to the original record.
+ *
+ * Body: { merchantTransactionId }
+ * Returns the new merchantTransactionId and the PhonePe paymentUrl.
+ */
+export async function POST(request) {
+  try {
+    const { merchantTransactionId } = await parseJsonBody(request, transactionSchema);
+
+    const { payment, paymentUrl } = await retryPaymentOrder(merchantTransactionId, getBaseUrl(request));
+
+    return NextResponse.json({
+      success: true,
+      merchantTransactionId: payment.merchantTransactionId,
+      retryOf: payment.retryOf,
+      paymentUrl,
+      amount: payment.amount,
+      serviceName: payment.serviceName
+    });
+  } catch (error) {
+    console.error('❌ Error retrying payment:', error);
+
+    const [body, status] = providerErrorResponse(error, 'Failed to retry payment');
+    return NextResponse.json(body, { status });
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { createPaymentOrder, getBaseUrl, DEFAULT_PROVIDER } from '../../utils/payments';
+import { providerErrorResponse } from '../../utils/payments/providerError';
+import { parseJsonBody } from '../../utils/validation';
+import { checkoutSchema } from '../../utils/validation/schemas';
+
+/**
+ * Create a payment order with any supported provider
+ *
+ * Body (checkoutSchema): { provider: 'phonepe' | 'razorpay', serviceId, customerDetails, amount?, couponCode? }
+ * The amount is looked up from the price catalogue by serviceId; it is only
+ * taken from the body for donations (serviceId 'donation', amount in paise).
+ * A couponCode is validated and redeemed here (see utils/payments/coupons.js).
+ * Returns paymentUrl (redirect providers) or checkout (in-page providers such as Razorpay).
+ */
+export async function POST(request) {
+  try {
+    const { provider = DEFAULT_PROVIDER, amount, serviceId, couponCode, customerDetails } = await parseJsonBody(request, checkoutSchema);
+
+    const { payment, paymentUrl, checkout } = await createPaymentOrder(
+      provider,
+      { amount, serviceId, couponCode, customerDetails },
+      getBaseUrl(request)
+    );
+
+    return NextResponse.json({
+      success: true,
+      provider: payment.provider,
+      merchantTransactionId: payment.merchantTransactionId,
+      paymentUrl,
+      checkout,
+      amount: payment.amount,
+      originalAmount: payment.originalAmount,
+      discountAmount: payment.discountAmount,
+      couponCode: payment.couponCode,
+      serviceId: payment.serviceId,
+      serviceName: payment.serviceName
+    });
+  } catch (error) {
+    console.error('❌ Error creating payment order:', error);
+
+    const [body, status] = providerErrorResponse(error, 'Failed to create payment order');
+    return NextResponse.json(body, { status });
+  }
+}
@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import { refreshPaymentStatus, getBaseUrl } from '../../../utils/payments';
+import { providerErrorResponse } from '../../../utils/payments/providerError';
+import { getPayment } from '../../../utils/paymentStorage';
+import { getPaymentReceiptUrl } from '../../../utils/receipts';
+import { parseJsonBody, parseSearchParams } from '../../../utils/validation';
+import { transactionSchema } from '../../../utils/validation/schemas';
+
+/**
+ * The payment fields both checks return
+ * Anyone with the merchantTransactionId can call them, so no customer details.
+ * receiptUrl is the link sent with the confirmation email (see getPaymentReceiptUrl),
+ * not a fresh one, so it still expires.
+ */
+function toStatusResponse(payment, request) {
+  const isCompleted = payment.status === 'completed' || payment.status === 'success';
+  return {
+    success: true,
+    merchantTransactionId: payment.merchantTransactionId,
+    provider: payment.provider,
+    status: payment.status,
+    isCompleted,
+    isPending: payment.status === 'pending',
+    isFailed: payment.status === 'failed',
+    transactionId: payment.transactionId,
+    amount: payment.amount,
+    originalAmount: payment.originalAmount,
+    discountAmount: payment.discountAmount,
+    couponCode: payment.couponCode,
+    paymentMode: payment.paymentMode,
+    serviceId: payment.serviceId,
+    serviceName: payment.serviceName,
+    errorCode: payment.errorCode,
+    failureReason: payment.failureReason,
+    retriedBy: payment.retriedBy || [],
+    receiptUrl: isCompleted ? getPaymentReceiptUrl(payment.merchantTransactionId, getBaseUrl(request)) : null,
+    createdAt: payment.createdAt,
+    updatedAt: payment.updatedAt
+  };
+}
+
+/**
+ * Read a payment's status from storage only (no gateway call)
+ * Cheap enough for the success page to poll while the webhook updates the record.
+ *
+ * GET /api/payments/status?merchantTransactionId=...
+ */
+export async function GET(request) {
+  let merchantTransactionId;
+  try {
+    ({ merchantTransactionId } = parseSearchParams(request, transactionSchema));
+  } catch (error) {
+    const [body, status] = providerErrorResponse(error, 'Invalid request data');
+    return NextResponse.json(body, { status });
+  }
+
+  const payment = getPayment(merchantTransactionId);
+  if (!payment) {
+    return NextResponse.json(
+      { error: 'Payment not found', details: `No payment record for ${merchantTransactionId}` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json(toStatusResponse(payment, request), {
+    headers: { 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * Check a payment with its gateway (see refreshPaymentStatus) and return the stored record
+ * The success page calls this from "Check Again" and when polling times out,
+ * so a missed webhook doesn't leave the payment pending.
+ *
+ * Body: { merchantTransactionId }
+ */
+export async function POST(request) {
+  try {
+    const { merchantTransactionId } = await parseJsonBody(request, transactionSchema);
+
+    const result = await refreshPaymentStatus(merchantTransactionId);
+    if (!result) {
+      return NextResponse.json(
+        { error: 'Payment not found', details: `No payment record for ${merchantTransactionId}` },
+        { status: 404 }
+      );
+    }
+
+    const { payment, gatewayStatus } = result;
+    return NextResponse.json({ ...toStatusResponse(payment, request), providerState: gatewayStatus.providerState }, {
+      headers: { 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    console.error('❌ Error checking payment status:', error);
+    const [body, status] = providerErrorResponse(error, 'Failed to check payment status');
+    return NextResponse.json(body, { status });
+  }
+}
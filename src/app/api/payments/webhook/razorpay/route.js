@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import { razorpayProvider } from '../../../../utils/payments/razorpayProvider';
+import { getPayment, updatePaymentStatus, SETTLED_STATUSES, REFUND_STATUSES } from '../../../../utils/paymentStorage';
+import { providerErrorResponse } from '../../../../utils/payments/providerError';
+import { parseJson } from '../../../../utils/validation';
+
+/**
+ * Razorpay Webhook Handler
+ *
+ * Webhook URL to configure in the Razorpay Dashboard:
+ * https://yourdomain.com/api/payments/webhook/razorpay
+ *
+ * Events handled: payment.captured, order.paid, payment.failed
+ *
+ * Environment Variables Required:
+ * - RAZORPAY_WEBHOOK_SECRET: Secret entered when creating the webhook
+ */
+
+const EVENT_STATUS = {
+  'payment.captured': 'completed',
+  'order.paid': 'completed',
+  'payment.failed': 'failed'
+};
+
+export async function POST(request) {
+  try {
+    const body = await request.text();
+
+    const verification = razorpayProvider.verifyWebhook(body, request.headers);
+    if (!verification.valid) {
+      console.error('❌ Razorpay webhook rejected:', verification.reason);
+      return NextResponse.json(
+        { success: false, error: 'Invalid signature', reason: verification.reason },
+        { status: verification.reason === 'not_configured' ? 500 : 401 }
+      );
+    }
+
+    let payload;
+    try {
+      payload = parseJson(body);
+    } catch (parseError) {
+      console.error('❌ Razorpay webhook body is not valid JSON');
+      const [errorBody, status] = providerErrorResponse(parseError, 'Invalid request data');
+      return NextResponse.json({ success: false, ...errorBody }, { status });
+    }
+    const status = EVENT_STATUS[payload.event];
+    if (!status) {
+      console.log('ℹ️ Ignoring Razorpay webhook event:', payload.event);
+      return NextResponse.json({ success: true, ignored: true, event: payload.event });
+    }
+
+    const paymentEntity = payload.payload?.payment?.entity;
+    const orderEntity = payload.payload?.order?.entity;
+    const merchantTransactionId = paymentEntity?.notes?.merchantTransactionId
+      || orderEntity?.notes?.merchantTransactionId
+      || orderEntity?.receipt;
+
+    const payment = merchantTransactionId ? getPayment(merchantTransactionId) : null;
+    if (!payment) {
+      console.warn('⚠️ Razorpay webhook for unknown payment:', merchantTransactionId || paymentEntity?.order_id);
+      return NextResponse.json({ success: true, ignored: true, event: payload.event });
+    }
+
+    // A late payment.failed for an earlier attempt must not undo a paid order,
+    // and a duplicate capture must not turn a refunded one back into 'completed'
+    const updated = updatePaymentStatus(merchantTransactionId, status, {
+      transactionId: paymentEntity?.id || payment.transactionId,
+      paymentMode: paymentEntity?.method || payment.paymentMode,
+      errorCode: paymentEntity?.error_code || undefined,
+      webhookEvent: payload.event
+    }, { protectedStatuses: status === 'completed' ? REFUND_STATUSES : SETTLED_STATUSES });
+    if (!updated) {
+      return NextResponse.json({ success: true, event: payload.event, status: getPayment(merchantTransactionId)?.status });
+    }
+    console.log(`✅ Razorpay webhook processed: ${payload.event} -> ${status} (${merchantTransactionId})`);
+
+    return NextResponse.json({ success: true, event: payload.event, status });
+  } catch (error) {
+    console.error('❌ Error processing Razorpay webhook:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to process webhook', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET() {
+  return NextResponse.json({
+    message: 'Razorpay Webhook Endpoint',
+    status: 'active',
+    timestamp: new Date().toISOString(),
+    url: '/api/payments/webhook/razorpay',
+    instructions: 'This endpoint accepts POST requests from Razorpay webhooks',
+    requiredEnvVars: ['RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET', 'RAZORPAY_WEBHOOK_SECRET']
+  });
+}
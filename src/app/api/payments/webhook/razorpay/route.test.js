@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { POST } from './route';
+import { savePayment, getPayment } from '../../../../utils/paymentStorage';
+
+/**
+ * Razorpay webhook status transitions: a late payment.failed or a duplicate
+ * capture must not change a paid or refunded donation
+ */
+
+const WEBHOOK_SECRET = 'razorpay-webhook-secret';
+
+function seedPayment(status) {
+  const merchantTransactionId = crypto.randomUUID();
+  savePayment({ merchantTransactionId, provider: 'razorpay', status, amount: 50000, serviceName: 'Donation' });
+  return merchantTransactionId;
+}
+
+async function sendEvent(merchantTransactionId, event) {
+  const body = JSON.stringify({
+    event,
+    payload: { payment: { entity: { id: 'pay_123', method: 'upi', notes: { merchantTransactionId } } } }
+  });
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+  const response = await POST(new Request('http://localhost/api/payments/webhook/razorpay', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-razorpay-signature': signature },
+    body
+  }));
+  return response.json();
+}
+
+beforeEach(() => {
+  vi.stubEnv('RAZORPAY_WEBHOOK_SECRET', WEBHOOK_SECRET);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('Razorpay webhook', () => {
+  it('records a capture and a failure of a pending payment', async () => {
+    const captured = seedPayment('pending');
+    const failed = seedPayment('pending');
+
+    await sendEvent(captured, 'payment.captured');
+    await sendEvent(failed, 'payment.failed');
+
+    expect(getPayment(captured).status).toBe('completed');
+    expect(getPayment(failed).status).toBe('failed');
+  });
+
+  it.each(['completed', 'refund_pending', 'refunded', 'refund_failed'])(
+    'ignores payment.failed for a %s payment',
+    async (status) => {
+      const id = seedPayment(status);
+      expect((await sendEvent(id, 'payment.failed')).status).toBe(status);
+      expect(getPayment(id).status).toBe(status);
+    }
+  );
+
+  it.each(['refund_pending', 'refunded', 'refund_failed'])(
+    'does not turn a %s payment back into completed',
+    async (status) => {
+      const id = seedPayment(status);
+      await sendEvent(id, 'payment.captured');
+      expect(getPayment(id).status).toBe(status);
+    }
+  );
+});
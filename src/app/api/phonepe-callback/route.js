@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server';
 import crypto from 'crypto';
+import { providerErrorResponse } from '../../utils/payments/providerError';
+import { parseJson } from '../../utils/validation';
 
 /**
  * PhonePe Payment Callback Handler
@@ -11,7 +13,13 @@ import crypto from 'crypto';
 export async function POST(request) {
   try {
     const body = await request.text();
-    const payload = JSON.parse(body);
+    let payload;
+    try {
+      payload = parseJson(body);
+    } catch (parseError) {
+      const [errorBody, status] = providerErrorResponse(parseError, 'Invalid request data');
+      return NextResponse.json({ success: false, ...errorBody }, { status });
+    }
 
     // Get headers for signature verification
     const headers = request.headers;
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { createContactChallenge } from '../../../utils/contactSpam';
+import { providerErrorResponse } from '../../../utils/payments/providerError';
+
+/**
+ * Issue a proof-of-work challenge for the contact form
+ * The form solves it in the browser and sends { challenge, nonce } with the message.
+ *
+ * GET /api/send/challenge -> { challenge, difficulty } (challenge is null when disabled in development)
+ * 503 in production when CONTACT_CHALLENGE_SECRET is not set
+ */
+export async function GET() {
+  try {
+    return NextResponse.json(createContactChallenge(), {
+      headers: { 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    const [body, status] = providerErrorResponse(error, 'Failed to create challenge');
+    return NextResponse.json(body, { status, headers: { 'Cache-Control': 'no-store' } });
+  }
+}
@@ -1,49 +0,0 @@
-import { NextResponse } from 'next/server';
-import crypto from 'crypto';
-
-export async function POST(request) {
-  try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = await request.json();
-
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return NextResponse.json(
-        { error: 'Missing payment details' },
-        { status: 400 }
-      );
-    }
-
-    // Verify the payment signature
-    const text = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(text)
-      .digest('hex');
-
-    if (generatedSignature !== razorpay_signature) {
-      return NextResponse.json(
-        { success: false, error: 'Invalid payment signature' },
-        { status: 400 }
-      );
-    }
-
-    // Payment is verified successfully
-    // Here you can:
-    // 1. Save payment details to database
-    // 2. Send confirmation email
-    // 3. Update user records, etc.
-
-    return NextResponse.json({
-      success: true,
-      message: 'Payment verified successfully',
-      payment_id: razorpay_payment_id,
-      order_id: razorpay_order_id,
-    });
-  } catch (error) {
-    console.error('Error verifying payment:', error);
-    return NextResponse.json(
-      { success: false, error: 'Failed to verify payment', details: error.message },
-      { status: 500 }
-    );
-  }
-}
-
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { getReceiptVerification } from '../../../utils/receipts/verification';
+
+/**
+ * Public receipt verification
+ * GET /api/verify/<receiptId> (same data as the /verify/<receiptId> page)
+ *
+ * Confirms that a receipt ID belongs to a payment we received, with the
+ * customer's name masked.
+ */
+export async function GET(request, { params }) {
+  const { receiptId } = await params;
+  const verification = getReceiptVerification(receiptId);
+
+  if (!verification) {
+    return NextResponse.json(
+      { authentic: false, error: 'Receipt not found', details: 'No payment matches this receipt ID.' },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json(verification);
+}
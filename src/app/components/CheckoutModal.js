@@ -3,6 +3,16 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import basicInfo from '../../data/basicInfo.json';
+import gstStates from '../../data/gstStates.json';
+import { validate } from '../utils/validation';
+import { customerDetailsSchema } from '../utils/validation/schemas';
+
+// Server field paths are relative to the request body (e.g. 'customerDetails.email')
+function toFormErrors(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([path, message]) => [path.replace(/^customerDetails\./, ''), message])
+  );
+}
 
 export default function CheckoutModal({ service, onClose }) {
   const [isProcessing, setIsProcessing] = useState(false);
@@ -10,11 +20,24 @@ export default function CheckoutModal({ service, onClose }) {
     name: '',
     email: '',
     phone: '',
-    message: ''
+    message: '',
+    gstin: '',
+    state: ''
   });
+  const [errors, setErrors] = useState({});
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState('');
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
 
   const { name } = basicInfo.personalInfo;
 
+  // Display prices in rupees; the server recalculates the amount charged
+  const fee = parseFloat(service.preRegistrationFee || '150');
+  const discount = appliedCoupon ? appliedCoupon.discountAmount / 100 : 0;
+  const amountToPay = appliedCoupon ? appliedCoupon.amount / 100 : fee;
+  const formatRupees = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
   // PhonePe doesn't require loading a script - we redirect to their payment page
 
   const handleInputChange = (e) => {
@@ -23,25 +46,58 @@ export default function CheckoutModal({ service, onClose }) {
       ...prev,
       [name]: value
     }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
-  const handleCheckout = async () => {
-    // Validate required fields
-    if (!customerDetails.name || !customerDetails.email || !customerDetails.phone) {
-      alert('Please fill in all required fields (Name, Email, Phone)');
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) {
+      setCouponError('Please enter a coupon code');
       return;
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(customerDetails.email)) {
-      alert('Please enter a valid email address');
-      return;
+    setIsApplyingCoupon(true);
+    setCouponError('');
+
+    try {
+      const response = await fetch('/api/payments/coupon', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          couponCode,
+          serviceId: service.id,
+          email: customerDetails.email
+        }),
+      });
+      const couponData = await response.json();
+
+      if (!response.ok) {
+        setAppliedCoupon(null);
+        setCouponError(couponData.details || couponData.error || 'This coupon cannot be applied');
+        return;
+      }
+
+      setAppliedCoupon(couponData);
+    } catch (error) {
+      console.error('Coupon error:', error);
+      setCouponError('Could not check the coupon. Please try again.');
+    } finally {
+      setIsApplyingCoupon(false);
     }
+  };
 
-    // Validate phone (basic validation)
-    if (customerDetails.phone.length < 10) {
-      alert('Please enter a valid phone number');
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+    setCouponError('');
+  };
+
+  const handleCheckout = async () => {
+    // Same rules as the server (GSTIN is optional, for a tax invoice in the business's name)
+    const { errors: fieldErrors } = validate(customerDetailsSchema, customerDetails);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length) {
       return;
     }
 
@@ -49,15 +105,15 @@ export default function CheckoutModal({ service, onClose }) {
 
     try {
       // Create PhonePe payment order on your backend
-      const response = await fetch('/api/create-phonepe-order', {
+      const response = await fetch('/api/payments', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
-          amount: parseFloat(service.preRegistrationFee || '150') * 100, // Convert to paise
-          serviceId: service.id,
-          serviceName: service.title,
+          provider: 'phonepe',
+          serviceId: service.id, // The server looks up the fee from the price catalogue
+          couponCode: appliedCoupon?.couponCode,
           customerDetails: customerDetails
         }),
       });
@@ -74,6 +130,24 @@ export default function CheckoutModal({ service, onClose }) {
           troubleshooting: orderData.troubleshooting
         });
 
+        // Problems with a form field (coupon, GSTIN, state, ...) aren't gateway errors: show them inline
+        if (orderData.field) {
+          const { couponCode: couponMessage, ...detailErrors } = toFormErrors(
+            orderData.fields || { [orderData.field]: orderData.details || orderData.error }
+          );
+          if (couponMessage) {
+            setAppliedCoupon(null);
+            setCouponError(couponMessage);
+          }
+          setErrors(detailErrors);
+          // e.g. an unknown service: nothing in the form to point at
+          if (Object.keys(detailErrors).some(field => !(field in customerDetails))) {
+            alert(`${orderData.error}: ${orderData.details}`);
+          }
+          setIsProcessing(false);
+          return;
+        }
+
         // Show detailed error message
         let errorMessage = orderData.details 
           ? `${orderData.error || 'Payment failed'}: ${orderData.details}`
@@ -172,6 +246,74 @@ export default function CheckoutModal({ service, onClose }) {
               </div>
             </div>
 
+            {/* Coupon */}
+            <div className="mb-6">
+              <label htmlFor="couponCode" className="block text-sm font-medium text-gray-700 mb-1">
+                Coupon Code (Optional)
+              </label>
+              {appliedCoupon ? (
+                <div className="flex items-center justify-between px-4 py-2 border border-green-300 bg-green-50 rounded-md">
+                  <div>
+                    <span className="font-mono font-semibold text-green-700">{appliedCoupon.couponCode}</span>
+                    {appliedCoupon.description && (
+                      <p className="text-xs text-green-700">{appliedCoupon.description}</p>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleRemoveCoupon}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    id="couponCode"
+                    name="couponCode"
+                    value={couponCode}
+                    onChange={(e) => {
+                      setCouponCode(e.target.value.toUpperCase());
+                      setCouponError('');
+                    }}
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900 uppercase"
+                    placeholder="Enter coupon code"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleApplyCoupon}
+                    disabled={isApplyingCoupon}
+                    className="px-4 py-2 border border-indigo-600 text-indigo-600 font-semibold rounded-md hover:bg-indigo-50 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    {isApplyingCoupon ? 'Checking...' : 'Apply'}
+                  </button>
+                </div>
+              )}
+              {couponError && (
+                <p className="text-xs text-red-600 mt-1">{couponError}</p>
+              )}
+            </div>
+
+            {/* Price Breakdown */}
+            <div className="border border-gray-200 rounded-lg p-4 mb-6 text-sm">
+              <div className="flex justify-between py-1 text-gray-700">
+                <span>Pre-Registration Fee</span>
+                <span>₹{formatRupees(fee)}</span>
+              </div>
+              {appliedCoupon && (
+                <div className="flex justify-between py-1 text-green-700">
+                  <span>Discount ({appliedCoupon.couponCode})</span>
+                  <span>-₹{formatRupees(discount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between pt-2 mt-1 border-t border-gray-200 font-bold text-gray-900">
+                <span>Total</span>
+                <span>₹{formatRupees(amountToPay)}</span>
+              </div>
+            </div>
+
             {/* Customer Details Form */}
             <div className="space-y-4">
               <div>
@@ -188,6 +330,9 @@ export default function CheckoutModal({ service, onClose }) {
                   className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   placeholder="Enter your full name"
                 />
+                {errors.name && (
+                  <p className="text-xs text-red-600 mt-1">{errors.name}</p>
+                )}
               </div>
 
               <div>
@@ -204,6 +349,9 @@ export default function CheckoutModal({ service, onClose }) {
                   className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   placeholder="Enter your email"
                 />
+                {errors.email && (
+                  <p className="text-xs text-red-600 mt-1">{errors.email}</p>
+                )}
               </div>
 
               <div>
@@ -220,6 +368,55 @@ export default function CheckoutModal({ service, onClose }) {
                   className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   placeholder="Enter your phone number"
                 />
+                {errors.phone && (
+                  <p className="text-xs text-red-600 mt-1">{errors.phone}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="state" className="block text-sm font-medium text-gray-700 mb-1">
+                  State (Optional)
+                </label>
+                <select
+                  id="state"
+                  name="state"
+                  value={customerDetails.state}
+                  onChange={handleInputChange}
+                  disabled={!!customerDetails.gstin}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900 disabled:bg-gray-100"
+                >
+                  <option value="">Select your state</option>
+                  {gstStates.map(state => (
+                    <option key={state.code} value={state.code}>{state.name}</option>
+                  ))}
+                </select>
+                {errors.state && (
+                  <p className="text-xs text-red-600 mt-1">{errors.state}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="gstin" className="block text-sm font-medium text-gray-700 mb-1">
+                  GSTIN (Optional)
+                </label>
+                <input
+                  type="text"
+                  id="gstin"
+                  name="gstin"
+                  value={customerDetails.gstin}
+                  onChange={(e) => {
+                    setCustomerDetails(prev => ({ ...prev, gstin: e.target.value.toUpperCase().trim() }));
+                    setErrors(prev => ({ ...prev, gstin: undefined }));
+                  }}
+                  maxLength={15}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900 uppercase"
+                  placeholder="For a GST invoice in your business name"
+                />
+                {errors.gstin ? (
+                  <p className="text-xs text-red-600 mt-1">{errors.gstin}</p>
+                ) : (
+                  <p className="text-xs text-gray-500 mt-1">Your state is taken from the GSTIN when one is entered.</p>
+                )}
               </div>
 
               <div>
@@ -235,6 +432,9 @@ export default function CheckoutModal({ service, onClose }) {
                   className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   placeholder="Tell me about your project requirements..."
                 />
+                {errors.message && (
+                  <p className="text-xs text-red-600 mt-1">{errors.message}</p>
+                )}
               </div>
             </div>
 
@@ -247,7 +447,7 @@ export default function CheckoutModal({ service, onClose }) {
                 whileHover={{ scale: isProcessing ? 1 : 1.02 }}
                 whileTap={{ scale: isProcessing ? 1 : 0.98 }}
               >
-                {isProcessing ? 'Processing...' : `Proceed to Pay ₹${service.preRegistrationFee || '150'}`}
+                {isProcessing ? 'Processing...' : `Proceed to Pay ₹${formatRupees(amountToPay)}`}
               </motion.button>
             </div>
 
@@ -1,20 +1,70 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
 import { toast } from 'react-toastify';
 import basicInfo from '../../data/basicInfo.json';
+import { validate } from '../utils/validation';
+import { contactSchema } from '../utils/validation/schemas';
 // import RazorpayDonation from './RazorpayDonation'; // Razorpay code kept but hidden from display
 
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// Proof of work for the contact form: find a nonce whose SHA-256 hash of
+// `${challenge}:${nonce}` starts with `difficulty` zero bits (see utils/contactSpam.js)
+const solveChallenge = async (challenge, difficulty) => {
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return String(nonce);
+    }
+  }
+};
+
+// Fetch a challenge and solve it in the background. The challenge's issue time
+// also serves as the server-side time-to-submit check.
+const prepareProof = async () => {
+  try {
+    const response = await fetch('/api/send/challenge', { cache: 'no-store' });
+    const { challenge, difficulty } = await response.json();
+    if (!challenge) {
+      return {};
+    }
+    return { challenge, nonce: await solveChallenge(challenge, difficulty) };
+  } catch (error) {
+    console.error('Error preparing contact form challenge:', error);
+    return {};
+  }
+};
+
 export default function Contact() {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     phone: '',
     subject: '',
-    message: ''
+    message: '',
+    website: '' // honeypot
   });
+  const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Solved proof-of-work ({ challenge, nonce }), one per submission
+  const proofRef = useRef(null);
+
+  useEffect(() => {
+    proofRef.current = prepareProof();
+  }, []);
   const { email, phone, location, github, linkedin, buyMeACoffee } = basicInfo.personalInfo;
 
   const handleChange = (e) => {
@@ -23,25 +73,40 @@ export default function Contact() {
       ...prev,
       [name]: value
     }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // Same rules as /api/send
+    const { errors: fieldErrors } = validate(contactSchema, formData);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length) {
+      return;
+    }
+
     setIsSubmitting(true);
     
     try {
+      const proof = await (proofRef.current || prepareProof());
       const response = await fetch('/api/send', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify({ ...formData, ...proof }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to send message');
+        // Field problems are shown under the inputs; anything else (e.g. an expired challenge) as a toast
+        if (data.fields && Object.keys(data.fields).some(field => field in formData)) {
+          setErrors(data.fields);
+          return;
+        }
+        throw new Error(data.details || data.error || 'Failed to send message');
       }
 
       toast.success('Your message has been sent successfully! I\'ll get back to you as soon as possible.');
@@ -52,12 +117,15 @@ export default function Contact() {
         email: '',
         phone: '',
         subject: '',
-        message: ''
+        message: '',
+        website: ''
       });
     } catch (error) {
       console.error('Error:', error);
       toast.error(error.message || 'There was an error sending your message. Please try again later.');
     } finally {
+      // Each challenge works once
+      proofRef.current = prepareProof();
       setIsSubmitting(false);
     }
   };
@@ -207,6 +275,20 @@ export default function Contact() {
           >
             <form onSubmit={handleSubmit} className="bg-white rounded-lg p-8 shadow-sm">
               <h3 className="text-xl font-bold text-gray-900 mb-6">Send Me a Message</h3>
+
+              {/* Honeypot: hidden from people, filled in by bots */}
+              <div className="absolute -left-[10000px]" aria-hidden="true">
+                <label htmlFor="website">Website</label>
+                <input
+                  type="text"
+                  id="website"
+                  name="website"
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={formData.website}
+                  onChange={handleChange}
+                />
+              </div>
               
               <div className="space-y-6">
                 <motion.div
@@ -227,6 +309,9 @@ export default function Contact() {
                     required
                     className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   />
+                  {errors.name && (
+                    <p className="text-xs text-red-600 mt-1">{errors.name}</p>
+                  )}
                 </motion.div>
                 
                 <motion.div
@@ -247,6 +332,9 @@ export default function Contact() {
                     required
                     className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   />
+                  {errors.email && (
+                    <p className="text-xs text-red-600 mt-1">{errors.email}</p>
+                  )}
                 </motion.div>
                 
                 <motion.div
@@ -266,6 +354,9 @@ export default function Contact() {
                     onChange={handleChange}
                     className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   />
+                  {errors.phone && (
+                    <p className="text-xs text-red-600 mt-1">{errors.phone}</p>
+                  )}
                 </motion.div>
                 
                 <motion.div
@@ -286,6 +377,9 @@ export default function Contact() {
                     required
                     className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   />
+                  {errors.subject && (
+                    <p className="text-xs text-red-600 mt-1">{errors.subject}</p>
+                  )}
                 </motion.div>
                 
                 <motion.div
@@ -306,6 +400,9 @@ export default function Contact() {
                     required
                     className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-gray-900"
                   ></textarea>
+                  {errors.message && (
+                    <p className="text-xs text-red-600 mt-1">{errors.message}</p>
+                  )}
                 </motion.div>
                 
                 <motion.div
@@ -54,12 +54,16 @@ export default function RazorpayDonation() {
       }
 
       // Create order on your backend
-      const response = await fetch('/api/create-order', {
+      const response = await fetch('/api/payments', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ amount: parseFloat(amount) * 100 }), // Convert to paise
+        body: JSON.stringify({
+          provider: 'razorpay',
+          amount: Math.round(parseFloat(amount) * 100), // Convert to paise
+          serviceId: 'donation'
+        }),
       });
 
       const orderData = await response.json();
@@ -69,16 +73,17 @@ export default function RazorpayDonation() {
       }
 
       // Initialize Razorpay checkout
+      const { checkout, merchantTransactionId } = orderData;
       const options = {
-        key: process.env.NEXT_PUBLIC_RAZORPAY_KEY_ID, // Add this to your .env.local
-        amount: orderData.amount,
-        currency: 'INR',
+        key: checkout.key || process.env.NEXT_PUBLIC_RAZORPAY_KEY_ID,
+        amount: checkout.amount,
+        currency: checkout.currency,
         name: 'Abhishek Kumar Chaudhary',
         description: 'Donation',
-        order_id: orderData.id,
-        handler: function (response) {
-          // Handle successful payment
-          verifyPayment(response);
+        order_id: checkout.orderId,
+        handler: function () {
+          // Confirm the payment with Razorpay on the server
+          verifyPayment(merchantTransactionId);
         },
         prefill: {
           name: '',
@@ -104,19 +109,19 @@ export default function RazorpayDonation() {
     }
   };
 
-  const verifyPayment = async (paymentResponse) => {
+  const verifyPayment = async (merchantTransactionId) => {
     try {
-      const response = await fetch('/api/verify-payment', {
+      const response = await fetch('/api/payments/status', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(paymentResponse),
+        body: JSON.stringify({ merchantTransactionId }),
       });
 
       const data = await response.json();
 
-      if (response.ok && data.success) {
+      if (response.ok && data.isCompleted) {
         alert('Payment successful! Thank you for your support.');
         setAmount('');
         setShowModal(false);
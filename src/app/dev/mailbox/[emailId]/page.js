@@ -0,0 +1,68 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { getCapturedEmail, isMailboxEnabled } from '../../../utils/mailTransport';
+
+export const metadata = {
+  title: 'Mailbox | Dev',
+  robots: { index: false, follow: false }
+};
+
+export const dynamic = 'force-dynamic';
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'medium' });
+
+export default async function DevMailboxEmailPage({ params }) {
+  const { emailId } = await params;
+  const email = isMailboxEnabled() ? getCapturedEmail(emailId) : null;
+  if (!email) {
+    notFound();
+  }
+
+  const headers = [
+    ['Date', formatDate(email.capturedAt)],
+    ['From', email.from],
+    ['To', email.to],
+    ['Reply-To', email.replyTo],
+    ['Subject', email.subject],
+    ['Message-ID', email.messageId],
+    ['In-Reply-To', email.inReplyTo]
+  ].filter(([, value]) => value);
+
+  return (
+    <section className="min-h-screen pt-28 pb-20 bg-gray-50">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center mb-6">
+          <Link href="/dev/mailbox" className="text-sm text-indigo-600 hover:text-indigo-800">&larr; Mailbox</Link>
+          <a href={`/dev/mailbox/${email.id}/raw`} className="text-sm text-indigo-600 hover:text-indigo-800">Download .eml</a>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6 mb-6 space-y-1 text-sm text-gray-700">
+          {headers.map(([label, value]) => (
+            <p key={label} className="break-all"><span className="font-semibold">{label}:</span> {value}</p>
+          ))}
+          {email.attachments.length > 0 && (
+            <p>
+              <span className="font-semibold">Attachments:</span>{' '}
+              {email.attachments.map(attachment => `${attachment.filename} (${attachment.contentType || 'unknown type'})`).join(', ')}
+            </p>
+          )}
+        </div>
+
+        {email.html && (
+          <div className="bg-white rounded-lg shadow mb-6 overflow-hidden">
+            <h2 className="px-6 py-3 text-sm font-semibold text-gray-700 bg-gray-50">HTML</h2>
+            {/* Sandboxed: no scripts, no access to this page */}
+            <iframe title="HTML part" sandbox="" srcDoc={email.html} className="w-full h-[600px] border-0" />
+          </div>
+        )}
+
+        {email.text && (
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <h2 className="px-6 py-3 text-sm font-semibold text-gray-700 bg-gray-50">Plain text</h2>
+            <pre className="p-6 text-sm text-gray-800 whitespace-pre-wrap break-words">{email.text}</pre>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
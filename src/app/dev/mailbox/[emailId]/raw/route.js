@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { getCapturedEmailSource, isMailboxEnabled } from '../../../../utils/mailTransport';
+
+/**
+ * Download a captured email as an .eml file (opens in any mail client)
+ * Only when MAIL_TRANSPORT=capture, outside production.
+ */
+export async function GET(request, { params }) {
+  const { emailId } = await params;
+  const source = isMailboxEnabled() ? getCapturedEmailSource(emailId) : null;
+  if (!source) {
+    return NextResponse.json({ error: 'Email not found' }, { status: 404 });
+  }
+
+  return new NextResponse(source, {
+    headers: {
+      'Content-Type': 'message/rfc822',
+      'Content-Disposition': `attachment; filename="${emailId}.eml"`,
+      'Cache-Control': 'no-store'
+    }
+  });
+}
@@ -0,0 +1,70 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { getCapturedEmails, isMailboxEnabled } from '../../utils/mailTransport';
+
+export const metadata = {
+  title: 'Mailbox | Dev',
+  robots: { index: false, follow: false }
+};
+
+// Always list the emails captured so far
+export const dynamic = 'force-dynamic';
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'medium' });
+
+/**
+ * Dev Mailbox
+ * Emails captured by MAIL_TRANSPORT=capture (see utils/mailTransport.js).
+ * Not available in production.
+ */
+export default function DevMailboxPage() {
+  if (!isMailboxEnabled()) {
+    notFound();
+  }
+
+  const emails = getCapturedEmails();
+
+  return (
+    <section className="min-h-screen pt-28 pb-20 bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Mailbox</h1>
+          <p className="text-sm text-gray-500 mt-1">Emails captured instead of sent. Reload to see new ones.</p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Date', 'To', 'Subject', 'Attachments'].map(heading => (
+                  <th key={heading} className="px-4 py-3 text-left font-semibold text-gray-700">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {emails.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-4 py-8 text-center text-gray-500">No emails captured yet.</td>
+                </tr>
+              )}
+              {emails.map(email => (
+                <tr key={email.id} className="hover:bg-indigo-50">
+                  <td className="px-4 py-3 text-gray-700 whitespace-nowrap">{formatDate(email.capturedAt)}</td>
+                  <td className="px-4 py-3 text-gray-700">{email.to}</td>
+                  <td className="px-4 py-3">
+                    <Link href={`/dev/mailbox/${email.id}`} className="text-indigo-600 hover:text-indigo-800">
+                      {email.subject || '(no subject)'}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">
+                    {email.attachments.map(attachment => attachment.filename).join(', ') || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
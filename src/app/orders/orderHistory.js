@@ -0,0 +1,176 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+
+const STATUS_STYLES = {
+  completed: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  success: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+  refund_pending: { label: 'Refund in progress', className: 'bg-blue-100 text-blue-800' },
+  refunded: { label: 'Refunded', className: 'bg-gray-100 text-gray-800' },
+  refund_failed: { label: 'Paid', className: 'bg-green-100 text-green-800' }
+};
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+
+export default function OrderHistory({ token }) {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(!!token);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [history, setHistory] = useState(null);
+
+  // The link works once - don't redeem it twice (React Strict Mode runs effects twice in dev)
+  const redeemInitiated = useRef(false);
+
+  useEffect(() => {
+    if (!token || redeemInitiated.current) {
+      return;
+    }
+    redeemInitiated.current = true;
+
+    const loadOrders = async () => {
+      try {
+        const response = await fetch('/api/orders', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.details || data.error || 'Could not load your orders');
+        }
+        setHistory(data);
+      } catch (loadError) {
+        setError(loadError.message);
+      } finally {
+        // Drop the used token from the address bar
+        window.history.replaceState(null, '', '/orders');
+        setIsLoading(false);
+      }
+    };
+
+    loadOrders();
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await fetch('/api/orders/link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details ? `${data.error}. ${data.details}` : data.error || 'Could not send the link');
+      }
+      setMessage(data.message);
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-gray-900';
+
+  if (history) {
+    return (
+      <section className="min-h-screen pt-32 pb-20 bg-gray-50">
+        <div className="max-w-3xl mx-auto px-4">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">My Orders</h1>
+          <p className="text-gray-600 mb-6">{history.email}</p>
+
+          {history.orders.length === 0 && (
+            <p className="bg-white rounded-lg shadow p-6 text-gray-600">No orders found.</p>
+          )}
+
+          <div className="space-y-4">
+            {history.orders.map(order => {
+              const status = STATUS_STYLES[order.status] || { label: order.status, className: 'bg-gray-100 text-gray-800' };
+              return (
+                <div key={order.merchantTransactionId} className="bg-white rounded-lg shadow p-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <h2 className="text-lg font-semibold text-gray-900">{order.serviceName || 'Payment'}</h2>
+                      <p className="text-sm text-gray-500">{formatDate(order.completedAt || order.createdAt)}</p>
+                    </div>
+                    <span className={`px-2 py-1 rounded text-xs font-semibold ${status.className}`}>{status.label}</span>
+                  </div>
+                  <div className="mt-4 text-sm text-gray-600 space-y-1">
+                    <p>
+                      <span className="font-semibold">Amount:</span> ₹{(order.amount / 100).toFixed(2)}
+                      {order.discountAmount > 0 && ` (coupon ${order.couponCode}, -₹${(order.discountAmount / 100).toFixed(2)})`}
+                    </p>
+                    {order.refundedAmount > 0 && (
+                      <p><span className="font-semibold">Refunded:</span> ₹{(order.refundedAmount / 100).toFixed(2)}</p>
+                    )}
+                    {order.invoiceNumber && (
+                      <p><span className="font-semibold">Invoice No.:</span> {order.invoiceNumber}</p>
+                    )}
+                    <p className="font-mono text-xs text-gray-400">{order.merchantTransactionId}</p>
+                  </div>
+                  {order.receiptUrl && (
+                    <a
+                      href={order.receiptUrl}
+                      className="inline-block mt-4 bg-gray-600 hover:bg-gray-700 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors"
+                    >
+                      Download Receipt
+                    </a>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="min-h-screen pt-32 pb-20 bg-gray-50">
+      <div className="max-w-sm mx-auto px-4">
+        {token && isLoading ? (
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading your orders...</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg p-8">
+            <h1 className="text-2xl font-bold text-gray-900 mb-2 text-center">My Orders</h1>
+            <p className="text-sm text-gray-600 mb-6 text-center">
+              Enter the email you used at checkout and we&apos;ll send you a link to your orders and receipts.
+            </p>
+            <label htmlFor="orders-email" className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+            <input
+              id="orders-email"
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClassName}
+              required
+            />
+            {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+            {message && <p className="text-sm text-green-700 mt-3">{message}</p>}
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full mt-6 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-semibold py-2.5 px-6 rounded-lg transition-colors"
+            >
+              {isLoading ? 'Sending...' : 'Email me a link'}
+            </button>
+          </form>
+        )}
+      </div>
+    </section>
+  );
+}
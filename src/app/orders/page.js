@@ -0,0 +1,12 @@
+import OrderHistory from './orderHistory';
+
+export const metadata = {
+  title: 'My Orders',
+  robots: { index: false, follow: false }
+};
+
+export default async function OrdersPage({ searchParams }) {
+  const { token } = await searchParams;
+
+  return <OrderHistory token={typeof token === 'string' ? token : null} />;
+}
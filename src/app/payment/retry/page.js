@@ -0,0 +1,180 @@
+'use client';
+
+import { useEffect, useState, Suspense } from 'react';
+import { useSearchParams, useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+
+// Resume link from the payment failed / abandoned checkout emails
+function PaymentRetryContent() {
+  const searchParams = useSearchParams();
+  const router = useRouter();
+  const [pageStatus, setPageStatus] = useState('loading');
+  const [paymentData, setPaymentData] = useState(null);
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  const transactionId = searchParams.get('transactionId');
+
+  useEffect(() => {
+    if (!transactionId) {
+      setPageStatus('error');
+      return;
+    }
+
+    const loadPayment = async () => {
+      try {
+        const response = await fetch(`/api/payments/status?merchantTransactionId=${encodeURIComponent(transactionId)}`, {
+          cache: 'no-store'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setPageStatus('error');
+          return;
+        }
+        setPaymentData(data);
+        if (data.isCompleted || !['pending', 'failed'].includes(data.status)) {
+          setPageStatus('paid');
+        } else if (data.provider !== 'phonepe') {
+          setPageStatus('error');
+        } else {
+          setPageStatus('ready');
+        }
+      } catch (error) {
+        console.error('Error loading payment:', error);
+        setPageStatus('error');
+      }
+    };
+
+    loadPayment();
+  }, [transactionId]);
+
+  const handleContinue = async () => {
+    if (isRetrying) return;
+    setIsRetrying(true);
+
+    try {
+      const response = await fetch('/api/payments/retry', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ merchantTransactionId: transactionId })
+      });
+      const data = await response.json();
+
+      if (response.status === 409) {
+        setPageStatus('paid');
+        setIsRetrying(false);
+        return;
+      }
+      if (!response.ok || !data.paymentUrl) {
+        throw new Error(data.details || data.error || 'Failed to retry payment');
+      }
+      window.location.href = data.paymentUrl;
+    } catch (error) {
+      console.error('Error retrying payment:', error);
+      alert(`Could not start the payment. ${error.message}`);
+      setIsRetrying(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <motion.div
+        className="bg-white rounded-lg shadow-xl max-w-md w-full p-8 text-center"
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.3 }}
+      >
+        {pageStatus === 'loading' && (
+          <>
+            <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-indigo-600 mx-auto mb-4"></div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Loading Your Order</h2>
+          </>
+        )}
+
+        {pageStatus === 'ready' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Complete Your Payment</h2>
+            <p className="text-gray-600 mb-4">
+              Your details are saved. Continue to pay for your booking with PhonePe.
+            </p>
+            <div className="bg-gray-50 rounded-lg p-4 mb-6 text-left">
+              <p className="text-sm text-gray-600">
+                <span className="font-semibold">Service:</span> {paymentData.serviceName || 'N/A'}
+              </p>
+              <p className="text-sm text-gray-600 mt-2">
+                <span className="font-semibold">Amount:</span> ₹{(paymentData.amount / 100).toFixed(2)}
+                {paymentData.discountAmount > 0 && ` (coupon ${paymentData.couponCode})`}
+              </p>
+            </div>
+            <button
+              onClick={handleContinue}
+              disabled={isRetrying}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors mb-2"
+            >
+              {isRetrying ? 'Redirecting...' : 'Continue to Payment'}
+            </button>
+            <button
+              onClick={() => router.push('/')}
+              className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 px-6 rounded-lg transition-colors"
+            >
+              Return to Home
+            </button>
+          </>
+        )}
+
+        {pageStatus === 'paid' && (
+          <>
+            <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-10 h-10 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+              </svg>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Already Paid</h2>
+            <p className="text-gray-600 mb-4">
+              This order has already been paid - there&apos;s nothing more to do. Your receipts are under{' '}
+              <a href="/orders" className="text-indigo-600 hover:underline">My Orders</a>.
+            </p>
+            <button
+              onClick={() => router.push('/')}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+            >
+              Return to Home
+            </button>
+          </>
+        )}
+
+        {pageStatus === 'error' && (
+          <>
+            <div className="w-16 h-16 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-10 h-10 text-yellow-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+              </svg>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Order Not Found</h2>
+            <p className="text-gray-600 mb-4">
+              We couldn&apos;t find this order. Please book again or contact support.
+            </p>
+            <button
+              onClick={() => router.push('/')}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+            >
+              Return to Home
+            </button>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
+
+export default function PaymentRetryPage() {
+  return (
+    <Suspense fallback={
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-indigo-600"></div>
+      </div>
+    }>
+      <PaymentRetryContent />
+    </Suspense>
+  );
+}
@@ -1,17 +1,22 @@
 'use client';
 
-import { useEffect, useState, Suspense, useRef } from 'react';
+import { useEffect, useState, Suspense } from 'react';
 import { useSearchParams, useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
 
+// Status polling: the webhook updates the stored record, usually within seconds.
+// "Check Again" and the end of polling ask the gateway instead, in case the webhook was missed.
+const POLL_INITIAL_DELAY_MS = 1000;
+const POLL_MAX_DELAY_MS = 15000;
+const POLL_TIMEOUT_MS = 2 * 60 * 1000;
+
 function PaymentSuccessContent() {
   const searchParams = useSearchParams();
   const router = useRouter();
   const [paymentStatus, setPaymentStatus] = useState('verifying');
   const [paymentData, setPaymentData] = useState(null);
-  
-  // Prevent duplicate verification calls (React 18 Strict Mode runs useEffect twice in dev)
-  const verificationInitiated = useRef(false);
+  // Bumped by "Check Again" to check with the gateway and start a new round of polling
+  const [pollRound, setPollRound] = useState(0);
 
   const transactionId = searchParams.get('transactionId');
 
@@ -21,121 +26,137 @@ function PaymentSuccessContent() {
       return;
     }
 
-    // Prevent duplicate verification calls (React 18 Strict Mode)
-    if (verificationInitiated.current) {
-      console.log('⚠️  Verification already initiated, skipping duplicate call');
-      return;
-    }
-    verificationInitiated.current = true;
+    let cancelled = false;
+    let timer = null;
+    const startedAt = Date.now();
 
-    // Verify payment status
-    const verifyPayment = async () => {
-      try {
-        console.log('📧 Initiating payment verification for:', transactionId);
-        const response = await fetch('/api/verify-phonepe-payment', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ merchantTransactionId: transactionId }),
-        });
+    // GET reads the stored record; POST (refresh) asks the gateway and saves what it says
+    const fetchStatus = (refresh) => refresh
+      ? fetch('/api/payments/status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ merchantTransactionId: transactionId })
+      })
+      : fetch(`/api/payments/status?merchantTransactionId=${encodeURIComponent(transactionId)}`, {
+        cache: 'no-store'
+      });
 
+    // Poll the stored payment record with exponential backoff until it settles or we time out
+    const pollStatus = async (delay, refresh = false) => {
+      try {
+        const response = await fetchStatus(refresh);
         const data = await response.json();
+        if (cancelled) return;
 
-        // Handle different payment states from SDK
-        if (data.success || data.isCompleted) {
-          setPaymentStatus('success');
-          setPaymentData(data);
-        } else if (data.isPending) {
-          // Payment is still pending - show pending state
-          setPaymentStatus('pending');
-          setPaymentData(data);
-        } else if (data.isFailed || data.paymentStatus === 'FAILED') {
-          setPaymentStatus('failed');
+        // A gateway 404 only means PhonePe hasn't seen the order yet
+        if (response.status === 404 && !refresh) {
+          setPaymentStatus('error');
+          return;
+        }
+        if (response.ok) {
           setPaymentData(data);
-        } else if (data.error && (data.errorCode === 'ORDER_NOT_FOUND' || data.details?.includes('ORDER_NOT_FOUND'))) {
-          // ORDER_NOT_FOUND - might be timing issue, show pending with retry option
+          if (data.isCompleted) {
+            setPaymentStatus('success');
+            return;
+          }
+          if (data.isFailed) {
+            setPaymentStatus('failed');
+            return;
+          }
+          if (!data.isPending) {
+            // Refunded or otherwise settled - nothing more to wait for
+            setPaymentStatus('error');
+            return;
+          }
           setPaymentStatus('pending');
-          setPaymentData({
-            ...data,
-            isRetryable: true,
-            errorMessage: 'Order verification in progress. PhonePe may need a moment to process. Please wait...'
-          });
-        } else {
-          setPaymentStatus('failed');
-          setPaymentData(data);
         }
       } catch (error) {
-        console.error('Payment verification error:', error);
-        setPaymentStatus('error');
+        // Network hiccup - keep polling
+        console.error('Payment status check failed:', error);
+      }
+
+      if (cancelled) return;
+      if (Date.now() - startedAt + delay > POLL_TIMEOUT_MS) {
+        if (refresh) {
+          setPaymentStatus('timeout');
+        } else {
+          // Still pending: one last check with the gateway before giving up
+          pollStatus(delay, true);
+        }
+        return;
       }
+      timer = setTimeout(() => pollStatus(Math.min(delay * 2, POLL_MAX_DELAY_MS)), delay);
     };
 
-    verifyPayment();
-  }, [transactionId]);
+    pollStatus(POLL_INITIAL_DELAY_MS, pollRound > 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [transactionId, pollRound]);
+
+  const handleCheckAgain = () => {
+    setPaymentStatus(paymentData ? 'pending' : 'verifying');
+    setPollRound(round => round + 1);
+  };
+
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  // New PhonePe order for the same service and details, linked to this one
+  const handleRetryPayment = async () => {
+    if (isRetrying) return;
+    setIsRetrying(true);
+
+    try {
+      const response = await fetch('/api/payments/retry', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ merchantTransactionId: transactionId })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.paymentUrl) {
+        throw new Error(data.details || data.error || 'Failed to retry payment');
+      }
+      window.location.href = data.paymentUrl;
+    } catch (error) {
+      console.error('Error retrying payment:', error);
+      alert(`Could not retry the payment. ${error.message}`);
+      setIsRetrying(false);
+    }
+  };
 
   const [isDownloading, setIsDownloading] = useState(false);
 
   const handlePrintReceipt = async () => {
-    if (!paymentData || isDownloading) return;
+    if (!paymentData?.receiptUrl || isDownloading) return;
     
     setIsDownloading(true);
     
     try {
-      // Extract customer details from metaInfo (same as email PDF)
-      const metaInfo = paymentData?.metaInfo || {};
-      const customerName = metaInfo.udf1 || paymentData?.customerName || '';
-      const serviceName = metaInfo.udf4 || paymentData?.serviceName || '';
-      
-      // Extract customer message from udf5
-      let customerMessage = '';
-      if (metaInfo.udf5) {
-        const udf5Parts = metaInfo.udf5.split('|');
-        if (udf5Parts.length > 1) {
-          try {
-            customerMessage = atob(udf5Parts[1]); // Decode base64
-          } catch (e) {
-            console.error('Error decoding customer message:', e);
-          }
-        }
-      }
-      
-      // Use the correct transaction ID (OMO... is in orderId or transactionId)
-      const actualTransactionId = paymentData?.orderId || paymentData?.transactionId || paymentData?.merchantTransactionId || '';
-      
-      // Call the API to generate the same PDF as email
-      const response = await fetch('/api/generate-receipt-pdf', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          customerName,
-          transactionId: actualTransactionId,
-          merchantTransactionId: paymentData?.merchantTransactionId,
-          amount: paymentData?.amount,
-          serviceName,
-          customerMessage,
-        }),
-      });
+      // Signed link: the receipt is rendered from the stored payment record (same PDF as the email)
+      const response = await fetch(paymentData.receiptUrl);
 
       if (!response.ok) {
-        throw new Error('Failed to generate PDF');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.details || errorData.error || 'Failed to generate PDF');
       }
 
       // Get the PDF blob and download it
+      const filename = response.headers.get('content-disposition')?.match(/filename="([^"]+)"/)?.[1];
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `receipt_${actualTransactionId}.pdf`;
+      link.download = filename || `receipt_${paymentData.transactionId || paymentData.merchantTransactionId}.pdf`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       window.URL.revokeObjectURL(url);
     } catch (error) {
       console.error('Error downloading receipt:', error);
-      alert('Failed to download receipt. Please try again.');
+      alert(`Failed to download receipt. ${error.message}`);
     } finally {
       setIsDownloading(false);
     }
@@ -175,14 +196,14 @@ function PaymentSuccessContent() {
                     <span className="font-semibold">Transaction ID:</span> {paymentData.transactionId}
                   </p>
                 )}
-                {paymentData.orderId && paymentData.orderId !== paymentData.transactionId && (
+                {paymentData.amount && (
                   <p className="text-sm text-gray-600 mt-2">
-                    <span className="font-semibold">Order ID:</span> {paymentData.orderId}
+                    <span className="font-semibold">Amount:</span> ₹{(paymentData.amount / 100).toFixed(2)}
                   </p>
                 )}
-                {paymentData.amount && (
+                {paymentData.discountAmount > 0 && (
                   <p className="text-sm text-gray-600 mt-2">
-                    <span className="font-semibold">Amount:</span> ₹{(paymentData.amount / 100).toFixed(2)}
+                    <span className="font-semibold">Coupon:</span> {paymentData.couponCode} (-₹{(paymentData.discountAmount / 100).toFixed(2)})
                   </p>
                 )}
                 {paymentData.merchantTransactionId && (
@@ -193,28 +214,30 @@ function PaymentSuccessContent() {
               </div>
             )}
             <div className="flex gap-3">
-              <button
-                onClick={handlePrintReceipt}
-                disabled={isDownloading}
-                className="flex-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors flex items-center justify-center gap-2"
-              >
-                {isDownloading ? (
-                  <>
-                    <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Downloading...
-                  </>
-                ) : (
-                  <>
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-                    </svg>
-                    Download Receipt
-                  </>
-                )}
-              </button>
+              {paymentData?.receiptUrl && (
+                <button
+                  onClick={handlePrintReceipt}
+                  disabled={isDownloading}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  {isDownloading ? (
+                    <>
+                      <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Downloading...
+                    </>
+                  ) : (
+                    <>
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                      </svg>
+                      Download Receipt
+                    </>
+                  )}
+                </button>
+              )}
               <button
                 onClick={() => router.push('/')}
                 className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
@@ -222,6 +245,10 @@ function PaymentSuccessContent() {
                 Return to Home
               </button>
             </div>
+            <p className="text-sm text-gray-500 mt-4">
+              Need this receipt later? Find all your payments under{' '}
+              <a href="/orders" className="text-indigo-600 hover:underline">My Orders</a>.
+            </p>
           </>
         )}
 
@@ -231,27 +258,9 @@ function PaymentSuccessContent() {
               <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-yellow-600"></div>
             </div>
             <h2 className="text-2xl font-bold text-gray-900 mb-2">Payment Verification</h2>
-            {paymentData?.warning ? (
-              <>
-                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 text-left">
-                  <p className="text-sm text-blue-800 font-semibold mb-1">⚠️ Verification Note</p>
-                  <p className="text-sm text-blue-700">{paymentData.warning}</p>
-                  {paymentData.note && (
-                    <p className="text-xs text-blue-600 mt-2">{paymentData.note}</p>
-                  )}
-                </div>
-                {paymentData?.isCompleted && (
-                  <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
-                    <p className="text-sm text-green-800 font-semibold">✓ Payment Record Found</p>
-                    <p className="text-xs text-green-700 mt-1">Your payment information is available. PhonePe verification will update shortly.</p>
-                  </div>
-                )}
-              </>
-            ) : (
-              <p className="text-gray-600 mb-4">
-                {paymentData?.errorMessage || 'Your payment is being processed. Please wait a few moments and refresh this page.'}
-              </p>
-            )}
+            <p className="text-gray-600 mb-4">
+              Your payment is being processed. This page updates automatically as soon as it is confirmed.
+            </p>
             {paymentData && (
               <div className="bg-gray-50 rounded-lg p-4 mb-4 text-left">
                 {paymentData.transactionId && (
@@ -272,10 +281,38 @@ function PaymentSuccessContent() {
               </div>
             )}
             <button
-              onClick={() => window.location.reload()}
-              className="w-full bg-yellow-600 hover:bg-yellow-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors mb-2"
+              onClick={() => router.push('/')}
+              className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 px-6 rounded-lg transition-colors"
+            >
+              Return to Home
+            </button>
+          </>
+        )}
+
+        {paymentStatus === 'timeout' && (
+          <>
+            <div className="w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-10 h-10 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+              </svg>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">We&apos;ll Email You</h2>
+            <p className="text-gray-600 mb-4">
+              Confirming your payment is taking longer than usual. You don&apos;t need to pay again - we&apos;ll email you
+              the confirmation and receipt as soon as the payment goes through.
+            </p>
+            {transactionId && (
+              <div className="bg-gray-50 rounded-lg p-4 mb-4 text-left">
+                <p className="text-sm text-gray-600">
+                  <span className="font-semibold">Order ID:</span> {transactionId}
+                </p>
+              </div>
+            )}
+            <button
+              onClick={handleCheckAgain}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors mb-2"
             >
-              Refresh Status
+              Check Again
             </button>
             <button
               onClick={() => router.push('/')}
@@ -302,16 +339,25 @@ function PaymentSuccessContent() {
                 <p className="text-sm text-gray-600">
                   <span className="font-semibold">Error Code:</span> {paymentData.errorCode}
                 </p>
-                {paymentData.detailedErrorCode && (
+                {paymentData.failureReason && paymentData.failureReason !== paymentData.errorCode && (
                   <p className="text-sm text-gray-600 mt-1">
-                    <span className="font-semibold">Details:</span> {paymentData.detailedErrorCode}
+                    <span className="font-semibold">Details:</span> {paymentData.failureReason}
                   </p>
                 )}
               </div>
             )}
+            {paymentData?.provider === 'phonepe' && (
+              <button
+                onClick={handleRetryPayment}
+                disabled={isRetrying}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors mb-2"
+              >
+                {isRetrying ? 'Redirecting...' : 'Retry Payment'}
+              </button>
+            )}
             <button
               onClick={() => router.push('/')}
-              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+              className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 px-6 rounded-lg transition-colors"
             >
               Return to Home
             </button>
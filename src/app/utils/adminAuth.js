@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { getStorage } from './storage';
+import { checkRateLimit, clearRateLimit } from './rateLimit';
+import { parseJsonBody } from './validation';
+import { adminLoginSchema } from './validation/schemas';
+
+/**
+ * Admin Authentication
+ *
+ * Session-based login for the admin pages (/admin/*) and API routes (/api/admin/*):
+ * - Credentials come from the environment; the password is stored as a scrypt hash
+ *   (generate one with `npm run admin:hash-password`)
+ * - Sessions are signed (HMAC-SHA256) HTTP-only cookies; each one also has a
+ *   record in storage, which logout deletes so the cookie stops working
+ * - Cookie-authenticated POST/PUT/PATCH/DELETE requests must send the session's
+ *   CSRF token in the x-csrf-token header and come from the same origin
+ * - Login attempts are rate limited per IP and per username (see ./rateLimit.js)
+ *
+ * Scripts can still call /api/admin/* with `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ *
+ * Environment Variables:
+ * - ADMIN_USERNAME: Admin login username
+ * - ADMIN_PASSWORD_HASH: scrypt hash of the admin password ("scrypt:<salt>:<hash>")
+ * - ADMIN_SESSION_SECRET: Secret used to sign session cookies (at least 32 characters)
+ * - ADMIN_SESSION_TTL_HOURS: Session lifetime in hours (optional, defaults to 8)
+ * - ADMIN_API_TOKEN: Bearer token for scripts (optional)
+ */
+
+export const ADMIN_SESSION_COOKIE = 'admin_session';
+
+const SESSIONS = 'adminSessions';
+const LOGIN_ATTEMPTS = 'adminLoginAttempts';
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS_PER_USERNAME = 5;
+const MAX_ATTEMPTS_PER_IP = 20;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function safeCompare(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received || '');
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    console.error('❌ ADMIN_PASSWORD_HASH is not a valid scrypt hash. Run: npm run admin:hash-password');
+    return false;
+  }
+  const candidate = crypto.scryptSync(password, salt, 64).toString('hex');
+  return safeCompare(hash, candidate);
+}
+
+function getSessionSecret() {
+  const secret = process.env.ADMIN_SESSION_SECRET;
+  if (!secret || secret.length < 32) {
+    return null;
+  }
+  return secret;
+}
+
+/**
+ * Check whether admin login is configured (username, password hash and session secret)
+ */
+export function isAdminAuthConfigured() {
+  return !!(process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD_HASH && getSessionSecret());
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Create a signed session token for the cookie
+ * The session id (`sid`) is stored so logout can revoke the token; expired
+ * session records are deleted at the same time.
+ */
+function createSessionToken(username) {
+  const ttlHours = parseFloat(process.env.ADMIN_SESSION_TTL_HOURS || '8');
+  const payload = {
+    sub: username,
+    sid: crypto.randomBytes(18).toString('base64url'),
+    csrf: crypto.randomBytes(24).toString('base64url'),
+    iat: Date.now(),
+    exp: Date.now() + ttlHours * 60 * 60 * 1000
+  };
+  const storage = getStorage();
+  storage.deleteWhere(SESSIONS, record => !record.expiresAt || record.expiresAt < Date.now());
+  storage.upsert(SESSIONS, payload.sid, () => ({ username, createdAt: payload.iat, expiresAt: payload.exp }));
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encoded}.${sign(encoded)}`, session: payload };
+}
+
+/**
+ * Verify a session token and return its payload, or null if invalid, expired
+ * or logged out
+ */
+export function verifySessionToken(token) {
+  if (!token || !getSessionSecret()) {
+    return null;
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature || !safeCompare(sign(encoded), signature)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!session.exp || session.exp < Date.now() || session.sub !== process.env.ADMIN_USERNAME) {
+      return null;
+    }
+    if (!session.sid || !getStorage().get(SESSIONS, session.sid)) {
+      return null;
+    }
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cookie options for the session cookie
+ */
+function sessionCookieOptions(expiresAt) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/',
+    expires: new Date(expiresAt)
+  };
+}
+
+/**
+ * Client IP for rate limiting (first x-forwarded-for entry on Vercel/proxies)
+ */
+export function getClientIp(request) {
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  return forwardedFor?.split(',')[0].trim() || request.headers.get('x-real-ip') || 'unknown';
+}
+
+/**
+ * Reject cross-site requests: the Origin (or Referer) must match the request host
+ */
+function isSameOrigin(request) {
+  const origin = request.headers.get('origin') || request.headers.get('referer');
+  if (!origin) {
+    return false;
+  }
+  try {
+    return new URL(origin).host === (request.headers.get('x-forwarded-host') || request.headers.get('host') || new URL(request.url).host);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Handle an admin login request and return the response (sets the session cookie on success)
+ */
+export async function handleAdminLogin(request) {
+  if (!isAdminAuthConfigured()) {
+    console.warn('⚠️  Admin login not configured. Set ADMIN_USERNAME, ADMIN_PASSWORD_HASH and ADMIN_SESSION_SECRET.');
+    return NextResponse.json(
+      { error: 'Admin login not configured', details: 'Set ADMIN_USERNAME, ADMIN_PASSWORD_HASH and ADMIN_SESSION_SECRET.' },
+      { status: 503 }
+    );
+  }
+
+  if (!isSameOrigin(request)) {
+    return NextResponse.json(
+      { error: 'Invalid request origin' },
+      { status: 403 }
+    );
+  }
+
+  const { username, password } = await parseJsonBody(request, adminLoginSchema);
+
+  const ip = getClientIp(request);
+  const ipLimit = checkRateLimit(LOGIN_ATTEMPTS, `ip:${ip}`, { maxRequests: MAX_ATTEMPTS_PER_IP, windowMs: LOGIN_WINDOW_MS });
+  const usernameLimit = checkRateLimit(LOGIN_ATTEMPTS, `user:${username.toLowerCase()}`, { maxRequests: MAX_ATTEMPTS_PER_USERNAME, windowMs: LOGIN_WINDOW_MS });
+  if (!ipLimit.allowed || !usernameLimit.allowed) {
+    const retryAfter = Math.max(ipLimit.retryAfterSeconds, usernameLimit.retryAfterSeconds);
+    console.warn(`⚠️  Admin login rate limited: ${username} from ${ip}`);
+    return NextResponse.json(
+      { error: 'Too many login attempts', details: `Try again in ${Math.ceil(retryAfter / 60)} minutes.` },
+      { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+    );
+  }
+
+  const validUsername = safeCompare(process.env.ADMIN_USERNAME, username);
+  // Always hash the password so response time doesn't reveal whether the username exists
+  const validPassword = verifyPassword(password, process.env.ADMIN_PASSWORD_HASH);
+  if (!validUsername || !validPassword) {
+    console.warn(`❌ Failed admin login for "${username}" from ${ip}`);
+    return NextResponse.json(
+      { error: 'Invalid username or password' },
+      { status: 401 }
+    );
+  }
+
+  clearRateLimit(LOGIN_ATTEMPTS, `user:${username.toLowerCase()}`);
+  const { token, session } = createSessionToken(process.env.ADMIN_USERNAME);
+  console.log(`✅ Admin logged in: ${session.sub} from ${ip}`);
+
+  const response = NextResponse.json({ success: true, username: session.sub, csrfToken: session.csrf });
+  response.cookies.set(ADMIN_SESSION_COOKIE, token, sessionCookieOptions(session.exp));
+  return response;
+}
+
+/**
+ * Revoke the request's session and clear the session cookie
+ */
+export function handleAdminLogout(request) {
+  const session = getAdminSession(request);
+  if (session) {
+    getStorage().deleteWhere(SESSIONS, record => record.id === session.sid);
+    console.log(`👋 Admin logged out: ${session.sub}`);
+  }
+
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(ADMIN_SESSION_COOKIE, '', sessionCookieOptions(0));
+  return response;
+}
+
+/**
+ * Get the admin session for a route handler request (null if not logged in)
+ */
+export function getAdminSession(request) {
+  return verifySessionToken(request.cookies?.get(ADMIN_SESSION_COOKIE)?.value);
+}
+
+/**
+ * Guard for admin API routes
+ * Returns null when the request is allowed, otherwise the error response to return:
+ *
+ *   const denied = requireAdmin(request);
+ *   if (denied) return denied;
+ */
+export function requireAdmin(request) {
+  // Scripts authenticate with the bearer token (no cookie, so no CSRF risk)
+  const authorization = request.headers.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (adminToken && safeCompare(adminToken, authorization.slice('Bearer '.length).trim())) {
+      return null;
+    }
+    return NextResponse.json(
+      { error: 'Unauthorized' },
+      { status: 401 }
+    );
+  }
+
+  const session = getAdminSession(request);
+  if (!session) {
+    return NextResponse.json(
+      { error: 'Unauthorized', details: 'Please log in at /admin/login' },
+      { status: 401 }
+    );
+  }
+
+  if (!SAFE_METHODS.includes(request.method)) {
+    if (!isSameOrigin(request) || !safeCompare(session.csrf, request.headers.get('x-csrf-token'))) {
+      console.warn(`⚠️  CSRF check failed for ${request.method} ${new URL(request.url).pathname}`);
+      return NextResponse.json(
+        { error: 'Invalid CSRF token' },
+        { status: 403 }
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Guard for admin pages (server components)
+ * Redirects to /admin/login when not logged in, otherwise returns the session:
+ *
+ *   await requireAdminPage('/admin/payments');
+ */
+export async function requireAdminPage(returnTo) {
+  const cookieStore = await cookies();
+  const session = verifySessionToken(cookieStore.get(ADMIN_SESSION_COOKIE)?.value);
+  if (!session) {
+    redirect(`/admin/login${returnTo ? `?next=${encodeURIComponent(returnTo)}` : ''}`);
+  }
+  return session;
+}
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { NextRequest } from 'next/server';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ADMIN_SESSION_COOKIE, getAdminSession, handleAdminLogin, handleAdminLogout } from './adminAuth';
+
+/**
+ * Admin login body validation and logout revocation
+ */
+
+const SALT = crypto.randomBytes(16).toString('hex');
+
+function loginRequest(body) {
+  return new NextRequest('http://localhost:3000/api/admin/login', {
+    method: 'POST',
+    headers: { origin: 'http://localhost:3000', 'x-forwarded-for': crypto.randomUUID() },
+    body
+  });
+}
+
+function requestWithSession(token, path = '/api/admin/session') {
+  return new NextRequest(`http://localhost:3000${path}`, {
+    method: 'POST',
+    headers: { origin: 'http://localhost:3000', cookie: `${ADMIN_SESSION_COOKIE}=${token}` }
+  });
+}
+
+beforeEach(() => {
+  vi.stubEnv('ADMIN_USERNAME', 'admin');
+  vi.stubEnv('ADMIN_PASSWORD_HASH', `scrypt:${SALT}:${crypto.scryptSync('correct horse', SALT, 64).toString('hex')}`);
+  vi.stubEnv('ADMIN_SESSION_SECRET', 'a'.repeat(32));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('handleAdminLogin', () => {
+  it('rejects a malformed body with a 400 instead of throwing', async () => {
+    await expect(handleAdminLogin(loginRequest('{"username": "admin",'))).rejects.toMatchObject({ status: 400 });
+    await expect(handleAdminLogin(loginRequest(JSON.stringify({ username: 'admin' })))).rejects.toMatchObject({
+      status: 400,
+      fields: expect.objectContaining({ field: 'password' })
+    });
+  });
+
+  it('returns a session cookie for valid credentials', async () => {
+    const response = await handleAdminLogin(loginRequest(JSON.stringify({ username: 'admin', password: 'correct horse' })));
+
+    expect(response.status).toBe(200);
+    const token = response.cookies.get(ADMIN_SESSION_COOKIE).value;
+    expect(getAdminSession(requestWithSession(token))).toMatchObject({ sub: 'admin' });
+  });
+});
+
+describe('handleAdminLogout', () => {
+  it('revokes the session so the old cookie no longer works', async () => {
+    const login = await handleAdminLogin(loginRequest(JSON.stringify({ username: 'admin', password: 'correct horse' })));
+    const other = await handleAdminLogin(loginRequest(JSON.stringify({ username: 'admin', password: 'correct horse' })));
+    const token = login.cookies.get(ADMIN_SESSION_COOKIE).value;
+    const otherToken = other.cookies.get(ADMIN_SESSION_COOKIE).value;
+
+    handleAdminLogout(requestWithSession(token, '/api/admin/logout'));
+
+    expect(getAdminSession(requestWithSession(token))).toBeNull();
+    expect(getAdminSession(requestWithSession(otherToken))).toMatchObject({ sub: 'admin' });
+  });
+});
@@ -0,0 +1,237 @@
+import { randomUUID } from 'crypto';
+import { getStorage } from './storage';
+import { sendContactNotificationEmail, sendContactReplyEmail } from './emailService';
+import { sendContactSms } from './smsService';
+import { getMailFromAddress } from './mailTransport';
+import { providerError } from './payments/providerError';
+import { MESSAGE_STATUSES } from './validation/schemas';
+
+/**
+ * Contact Messages
+ *
+ * Contact form submissions are saved through the storage adapter before any
+ * notification goes out, so a message survives an SMTP outage. Each message
+ * is keyed by its human-readable messageId (e.g. ASHA-1234-08jan20261010pm)
+ * and moves through new -> read -> replied in the admin inbox
+ * (/admin/messages). Messages flagged by spam screening (see ./contactSpam.js)
+ * are saved as 'quarantined' and nobody is notified about them.
+ *
+ * Replies are sent from the dashboard through emailService. Every email about
+ * a message carries its own Message-ID and references the earlier ones, so the
+ * notification and all replies show up as one conversation.
+ */
+
+const CONTACT_MESSAGES = 'contactMessages';
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Build a messageId: first name + last 4 digits of phone + IST timestamp
+ * Timestamp format: DDMMMYYYYHHMMam/pm (e.g. 08jan20261010pm)
+ */
+function buildMessageId(name, phone, date) {
+  const firstName = name.split(' ')[0].toUpperCase();
+  const phoneDigits = phone ? phone.replace(/\D/g, '') : '';
+  const last4Digits = phoneDigits.length >= 4 ? phoneDigits.slice(-4) : phoneDigits || 'XXXX';
+
+  const parts = new Intl.DateTimeFormat('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: 'numeric',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  const hours24 = parseInt(part('hour'));
+  const hours12 = hours24 === 0 ? 12 : hours24 > 12 ? hours24 - 12 : hours24;
+  const ampm = hours24 >= 12 ? 'pm' : 'am';
+  const timestamp = `${part('day')}${MONTH_NAMES[parseInt(part('month')) - 1]}${part('year')}${String(hours12).padStart(2, '0')}${part('minute')}${ampm}`;
+
+  return `${firstName}-${last4Digits}-${timestamp}`;
+}
+
+/**
+ * RFC 5322 Message-ID for an outgoing email, on the sending domain
+ */
+function createEmailMessageId() {
+  const domain = getMailFromAddress().split('@')[1] || 'abhishek-chaudhary.com';
+  return `<${randomUUID()}@${domain}>`;
+}
+
+function readField(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Save a contact form submission
+ * @param {object} submission - { name, email, phone?, subject, message }, validated with contactSchema
+ * @param {object} options - { spamReasons? } (quarantines the message when non-empty)
+ * @returns {object} The stored message (status 'new' or 'quarantined')
+ */
+export function saveContactMessage({ name, email, phone, subject, message }, { spamReasons = [] } = {}) {
+  const storage = getStorage();
+  const now = new Date();
+  const baseId = buildMessageId(name, phone, now);
+  const record = {
+    name,
+    email,
+    phone: phone || null,
+    subject,
+    message,
+    status: spamReasons.length ? 'quarantined' : 'new',
+    spamReasons,
+    notificationMessageId: createEmailMessageId(),
+    notifiedAt: null,
+    notificationError: null,
+    readAt: null,
+    repliedAt: null,
+    replies: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+
+  // Same sender within the same minute: add a counter. The id is claimed inside
+  // the upsert, so two submissions can't overwrite each other.
+  let messageId = baseId;
+  let contact = null;
+  for (let counter = 2; !contact; counter++) {
+    let taken = false;
+    const stored = storage.upsert(CONTACT_MESSAGES, messageId, existing => {
+      taken = Boolean(existing);
+      return taken ? existing : { messageId, ...record };
+    });
+    if (taken) {
+      messageId = `${baseId}-${counter}`;
+    } else {
+      contact = stored;
+    }
+  }
+  console.log(`📨 Contact message saved: ${messageId} (${contact.status})`);
+  return contact;
+}
+
+/**
+ * Send the owner notifications (email + SMS) for a saved message
+ * Failures are recorded on the message instead of thrown: it is already in the inbox.
+ * @returns {object} The updated message
+ */
+export async function deliverContactMessage(messageId) {
+  const contact = getContactMessage(messageId);
+  if (!contact) {
+    return null;
+  }
+
+  const sent = await sendContactNotificationEmail(contact);
+  const updated = getStorage().upsert(CONTACT_MESSAGES, messageId, existing => ({
+    ...existing,
+    notifiedAt: sent ? new Date().toISOString() : existing.notifiedAt,
+    notificationError: sent ? null : 'Notification email could not be sent',
+    updatedAt: new Date().toISOString()
+  }));
+
+  await sendContactSms(contact);
+  return updated;
+}
+
+export function getContactMessage(messageId) {
+  if (!messageId) {
+    return null;
+  }
+  return getStorage().get(CONTACT_MESSAGES, messageId);
+}
+
+/**
+ * Contact messages, newest first
+ * Quarantined messages are only listed when asked for with status 'quarantined'.
+ * @param {object} filters - { status?, email? } (empty values are ignored)
+ */
+export function getContactMessages(filters = {}) {
+  return getStorage().query(CONTACT_MESSAGES, filters)
+    .filter(contact => filters.status === 'quarantined' || contact.status !== 'quarantined')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Inbox counts by status, plus messages whose notification failed
+ */
+export function getContactMessageStats() {
+  const all = getStorage().load(CONTACT_MESSAGES);
+  const messages = all.filter(contact => contact.status !== 'quarantined');
+  return {
+    total: messages.length,
+    new: messages.filter(contact => contact.status === 'new').length,
+    read: messages.filter(contact => contact.status === 'read').length,
+    replied: messages.filter(contact => contact.status === 'replied').length,
+    undelivered: messages.filter(contact => !contact.notifiedAt).length,
+    quarantined: all.length - messages.length
+  };
+}
+
+/**
+ * Mark a message new, read, replied or quarantined
+ * Releasing a message from quarantine (-> 'new') doesn't send the notifications.
+ * @throws 400 for an unknown status, 404 if the message doesn't exist
+ */
+export function updateContactMessageStatus(messageId, status) {
+  if (!MESSAGE_STATUSES.includes(status)) {
+    throw providerError('Invalid status', { status: 400, field: 'status', details: `Expected one of: ${MESSAGE_STATUSES.join(', ')}` });
+  }
+  if (!getContactMessage(messageId)) {
+    throw providerError('Message not found', { status: 404 });
+  }
+
+  const now = new Date().toISOString();
+  return getStorage().upsert(CONTACT_MESSAGES, messageId, existing => ({
+    ...existing,
+    status,
+    readAt: status === 'new' ? null : existing.readAt || now,
+    repliedAt: status === 'replied' ? existing.repliedAt || now : existing.repliedAt,
+    updatedAt: now
+  }));
+}
+
+/**
+ * Email a reply to the sender, threaded with the notification and earlier replies
+ * @param {string} messageId
+ * @param {object} reply - { body, sentBy? }
+ * @returns {object} The updated message (status 'replied')
+ * @throws 400 for an empty reply, 404 if the message doesn't exist, 502 if the email could not be sent
+ */
+export async function replyToContactMessage(messageId, { body, sentBy } = {}) {
+  const text = readField(body);
+  if (!text) {
+    throw providerError('Invalid request data', { status: 400, field: 'body', details: 'Reply cannot be empty' });
+  }
+
+  const contact = getContactMessage(messageId);
+  if (!contact) {
+    throw providerError('Message not found', { status: 404 });
+  }
+
+  const references = [contact.notificationMessageId, ...contact.replies.map(reply => reply.emailMessageId)].filter(Boolean);
+  const emailMessageId = createEmailMessageId();
+
+  const sent = await sendContactReplyEmail(contact, {
+    body: text,
+    messageId: emailMessageId,
+    inReplyTo: references[references.length - 1],
+    references
+  });
+  if (!sent) {
+    throw providerError('Reply could not be sent', { status: 502, details: 'Check the email settings and try again' });
+  }
+
+  const now = new Date().toISOString();
+  const updated = getStorage().upsert(CONTACT_MESSAGES, messageId, existing => ({
+    ...existing,
+    status: 'replied',
+    readAt: existing.readAt || now,
+    repliedAt: now,
+    replies: [...(existing.replies || []), { id: randomUUID(), body: text, sentBy: sentBy || null, emailMessageId, sentAt: now }],
+    updatedAt: now
+  }));
+  console.log(`✉️  Reply sent for contact message ${messageId}`);
+  return updated;
+}
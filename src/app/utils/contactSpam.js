@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { getStorage } from './storage';
+import { checkRateLimit } from './rateLimit';
+import { providerError } from './payments/providerError';
+
+/**
+ * Contact Form Spam Protection
+ *
+ * Submissions to /api/send are screened before they are saved:
+ * - Proof of work: the form fetches a signed challenge when it loads and must
+ *   find a nonce whose SHA-256 hash of `${challenge}:${nonce}` starts with
+ *   `difficulty` zero bits. Missing, forged, expired or reused challenges -> 400
+ * - Rate limits (sliding window): 5 messages per IP and 3 per email address per hour -> 429
+ * - Quarantine: the honeypot field was filled in, the form was sent less than
+ *   3 seconds after the challenge was issued, or the content looks like spam
+ *   (too many links, blocked keywords). These are saved with status
+ *   'quarantined' and get no email or SMS; the sender sees the normal response.
+ *
+ * Used challenges are deleted once they expire, each time a new one is
+ * written; rate limits prune themselves the same way (see ./rateLimit.js).
+ *
+ * Environment Variables:
+ * - CONTACT_CHALLENGE_SECRET: Signs proof-of-work challenges (at least 32 characters).
+ *   Required in production: without it the contact form answers 503. In
+ *   development the challenge and time-to-submit checks are skipped instead.
+ * - CONTACT_POW_DIFFICULTY: Leading zero bits required (optional, defaults to 14)
+ * - CONTACT_MAX_LINKS: Links allowed before a message is quarantined (optional, defaults to 2)
+ * - CONTACT_BLOCKED_KEYWORDS: Comma-separated keywords added to the built-in list (optional)
+ */
+
+const CONTACT_REQUESTS = 'contactRequests';
+const USED_CHALLENGES = 'contactChallenges';
+const REQUEST_WINDOW_MS = 60 * 60 * 1000;
+const MAX_REQUESTS_PER_IP = 5;
+const MAX_REQUESTS_PER_EMAIL = 3;
+
+const MIN_SUBMIT_SECONDS = 3;
+const CHALLENGE_TTL_MS = 2 * 60 * 60 * 1000;
+
+const DEFAULT_BLOCKED_KEYWORDS = ['casino', 'viagra', 'cialis', 'backlinks', 'seo services', 'crypto investment', 'forex signals', 'loan offer'];
+const LINK_PATTERN = /https?:\/\/|www\./gi;
+
+// The hidden form field that only bots fill in
+const HONEYPOT_FIELD = 'website';
+
+/**
+ * The challenge secret, or null in development when it is not set
+ * @throws 503 in production when CONTACT_CHALLENGE_SECRET is not set (fail closed)
+ */
+function getChallengeSecret() {
+  const secret = process.env.CONTACT_CHALLENGE_SECRET;
+  if (secret && secret.length >= 32) {
+    return secret;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ CONTACT_CHALLENGE_SECRET is not set - contact form disabled');
+    throw providerError('Contact form not configured', {
+      status: 503,
+      details: 'The contact form is unavailable right now. Please email me directly.'
+    });
+  }
+  return null;
+}
+
+function getDifficulty() {
+  return parseInt(process.env.CONTACT_POW_DIFFICULTY || '14', 10);
+}
+
+function getBlockedKeywords() {
+  const extra = (process.env.CONTACT_BLOCKED_KEYWORDS || '').split(',').map(keyword => keyword.trim().toLowerCase());
+  return [...DEFAULT_BLOCKED_KEYWORDS, ...extra].filter(Boolean);
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Issue a proof-of-work challenge for the contact form
+ * @returns {object} { challenge, difficulty }, or { challenge: null } when CONTACT_CHALLENGE_SECRET is not set (development)
+ * @throws 503 in production when CONTACT_CHALLENGE_SECRET is not set
+ */
+export function createContactChallenge() {
+  const secret = getChallengeSecret();
+  if (!secret) {
+    console.warn('⚠️  CONTACT_CHALLENGE_SECRET is not set - contact form challenge disabled');
+    return { challenge: null, difficulty: 0 };
+  }
+
+  const payload = `${Date.now()}.${crypto.randomBytes(16).toString('hex')}`;
+  return { challenge: `${payload}.${sign(payload, secret)}`, difficulty: getDifficulty() };
+}
+
+/**
+ * Check a solved challenge and use it up
+ * @returns {number} When the challenge was issued (ms), or null when challenges are disabled
+ * @throws 400 (field 'challenge') if it is missing, forged, expired, unsolved or already used;
+ *   503 in production when CONTACT_CHALLENGE_SECRET is not set
+ */
+function verifyContactChallenge(challenge, nonce) {
+  const secret = getChallengeSecret();
+  if (!secret) {
+    return null;
+  }
+
+  const invalid = (details) => providerError('Invalid challenge', { status: 400, field: 'challenge', details });
+  if (typeof challenge !== 'string' || typeof nonce !== 'string' || !nonce) {
+    throw invalid('Please reload the page and try again.');
+  }
+
+  const [issuedAt, random, signature] = challenge.split('.');
+  const expected = sign(`${issuedAt}.${random}`, secret);
+  if (!/^[0-9a-f]{64}$/.test(signature || '') || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw invalid('Please reload the page and try again.');
+  }
+  if (Date.now() - Number(issuedAt) > CHALLENGE_TTL_MS) {
+    throw invalid('The form has expired. Please reload the page and try again.');
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (countLeadingZeroBits(hash) < getDifficulty()) {
+    throw invalid('Please reload the page and try again.');
+  }
+
+  // Challenges used before the TTL are rejected as expired anyway
+  const usedBefore = new Date(Date.now() - CHALLENGE_TTL_MS).toISOString();
+  getStorage().deleteWhere(USED_CHALLENGES, record => !record.usedAt || record.usedAt < usedBefore);
+
+  let reused = false;
+  getStorage().upsert(USED_CHALLENGES, random, existing => {
+    reused = !!existing?.usedAt;
+    return { ...existing, usedAt: existing?.usedAt || new Date().toISOString() };
+  });
+  if (reused) {
+    throw invalid('This form was already sent. Please reload the page to send another message.');
+  }
+
+  return Number(issuedAt);
+}
+
+/**
+ * Reasons a submission looks like spam (empty when it looks fine)
+ */
+function getSpamReasons(submission, issuedAt) {
+  const reasons = [];
+
+  if (submission[HONEYPOT_FIELD]) {
+    reasons.push('honeypot');
+  }
+  if (issuedAt && Date.now() - issuedAt < MIN_SUBMIT_SECONDS * 1000) {
+    reasons.push('too_fast');
+  }
+
+  const content = `${submission.subject || ''} ${submission.message || ''}`;
+  const links = content.match(LINK_PATTERN)?.length || 0;
+  if (links > parseInt(process.env.CONTACT_MAX_LINKS || '2', 10)) {
+    reasons.push('too_many_links');
+  }
+
+  const lowerContent = content.toLowerCase();
+  for (const keyword of getBlockedKeywords()) {
+    if (lowerContent.includes(keyword)) {
+      reasons.push(`blocked_keyword:${keyword}`);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Screen a contact form submission
+ * @param {object} submission - Request body: { name, email, ..., challenge, nonce, website }
+ * @param {object} options - { ip }
+ * @returns {object} { spamReasons } - quarantine the message when non-empty
+ * @throws 429 when rate limited (with retryAfterSeconds), 400 for a bad challenge
+ */
+export function screenContactSubmission(submission, { ip }) {
+  const email = typeof submission?.email === 'string' ? submission.email.trim().toLowerCase() : '';
+  // Checked first so requests without a solved challenge don't use up the sender's quota
+  const issuedAt = verifyContactChallenge(submission?.challenge, submission?.nonce);
+
+  const ipLimit = checkRateLimit(CONTACT_REQUESTS, `ip:${ip}`, { maxRequests: MAX_REQUESTS_PER_IP, windowMs: REQUEST_WINDOW_MS });
+  const emailLimit = email ? checkRateLimit(CONTACT_REQUESTS, `email:${email}`, { maxRequests: MAX_REQUESTS_PER_EMAIL, windowMs: REQUEST_WINDOW_MS }) : { allowed: true, retryAfterSeconds: 0 };
+  if (!ipLimit.allowed || !emailLimit.allowed) {
+    const retryAfterSeconds = Math.max(ipLimit.retryAfterSeconds, emailLimit.retryAfterSeconds);
+    console.warn(`⚠️  Contact form rate limited: ${email} from ${ip}`);
+    throw providerError('Too many messages', {
+      status: 429,
+      details: `Try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`,
+      retryAfterSeconds
+    });
+  }
+
+  const spamReasons = getSpamReasons(submission || {}, issuedAt);
+  if (spamReasons.length) {
+    console.warn(`⚠️  Contact message quarantined (${spamReasons.join(', ')}) from ${ip}`);
+  }
+  return { spamReasons };
+}
@@ -1,13 +1,14 @@
-import nodemailer from 'nodemailer';
-const { createTransport } = nodemailer;
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
+import { getInvoiceRows } from './payments/taxInvoice';
+import { renderEmail } from './emailTemplates';
+import { createMailTransport } from './mailTransport';
 
 /**
- * Email Service for Payment Notifications
- * Uses GoDaddy Titan Mail (smtpout.secureserver.net)
+ * Email Service for Payment and Contact Notifications
+ * Sent through ./mailTransport.js (SMTP, or captured to .eml files when
+ * MAIL_TRANSPORT=capture), which also sets the From / Reply-To headers.
+ *
+ * Subjects, HTML and plain-text bodies come from ./emailTemplates, which
+ * escapes every value; the functions here only gather the values.
  * 
  * IMPORTANT: Deduplication is handled by paymentStorage.trySetEmailsSent()
  * which persists to disk/memory. The email service just sends emails.
@@ -42,22 +43,15 @@ function releaseInFlightLock(merchantTransactionId, emailType) {
   console.log(`🔓 In-flight lock released: ${emailType} for ${merchantTransactionId}`);
 }
 
-// Create email transporter
-function createEmailTransporter() {
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    console.warn('⚠️  Email credentials not configured. Email sending will be disabled.');
-    return null;
-  }
+const toRupees = (paise) => ((paise || 0) / 100).toFixed(2);
+
+function formatEmailDate(date, dateStyle = 'long') {
+  return date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle, timeStyle: 'short' });
+}
 
-  return createTransport({
-    host: 'smtpout.secureserver.net',
-    port: 465,
-    secure: true, // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
+// A label / value row for the detailRows partial
+function detailRow(label, value, className = '') {
+  return { label, value, className };
 }
 
 /**
@@ -72,7 +66,7 @@ export async function sendPaymentSuccessEmail(customerEmail, customerName, payme
     return false;
   }
   
-  const transporter = createEmailTransporter();
+  const transporter = createMailTransport();
   if (!transporter) {
     console.warn('Email transporter not available. Skipping payment success email.');
     releaseInFlightLock(merchantTransactionId, 'customer');
@@ -80,173 +74,49 @@ export async function sendPaymentSuccessEmail(customerEmail, customerName, payme
   }
 
   try {
-    const { transactionId, amount, serviceName, customerMessage } = paymentData;
-    const amountInRupees = (amount / 100).toFixed(2);
+    const { transactionId, amount, serviceName, customerMessage, originalAmount, discountAmount, couponCode, invoice, receipt, receiptUrl } = paymentData;
+    const invoiceRows = invoice ? getInvoiceRows(invoice) : null;
     
     // Debug: Log customerMessage to verify it's being passed
     console.log('📧 Email - customerMessage:', customerMessage ? 'Present' : 'Missing', customerMessage ? `(${customerMessage.length} chars)` : '');
-    
-    // Generate PDF receipt (with error handling for serverless environments)
-    let pdfPath = null;
-    try {
-      pdfPath = await generatePaymentReceiptPDF({
-        customerName,
-        transactionId: transactionId || merchantTransactionId,
-        merchantTransactionId,
-        amount: amountInRupees,
-        serviceName,
-        customerMessage,
-        paymentDate: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long', timeStyle: 'short' })
-      });
-    } catch (pdfError) {
-      console.warn('⚠️  PDF generation failed, sending email without PDF attachment:', pdfError.message);
-      // Continue without PDF - email will still be sent
-    }
+
+    const rows = [
+      ...(invoiceRows ? invoiceRows.details.map(({ label, value }) => detailRow(label, value)) : []),
+      detailRow('Service:', serviceName || 'N/A'),
+      detailRow('Transaction ID:', transactionId || merchantTransactionId || 'N/A', 'mono'),
+      detailRow('Merchant Order ID:', merchantTransactionId || 'N/A', 'mono'),
+      detailRow('Payment Date:', formatEmailDate(new Date())),
+      detailRow('Payment Status:', '✅ Completed', 'positive'),
+      ...(discountAmount ? [
+        detailRow('Pre-Registration Fee:', `₹${toRupees(originalAmount)}`),
+        detailRow(`Discount (${couponCode}):`, `-₹${toRupees(discountAmount)}`, 'positive')
+      ] : []),
+      ...(invoiceRows ? invoiceRows.taxes.map(({ label, value }) => detailRow(label, value.replace('Rs. ', '₹'))) : [])
+    ];
 
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: customerEmail,
-      subject: `Payment Successful - Pre-Registration Confirmed`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .success-icon { font-size: 48px; margin-bottom: 20px; }
-            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
-            .detail-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #eee; align-items: flex-start; }
-            .detail-row:last-child { border-bottom: none; }
-            .label { font-weight: bold; color: #666; min-width: 140px; flex-shrink: 0; }
-            .value { color: #333; word-break: break-all; word-wrap: break-word; text-align: right; flex: 1; }
-            .receipt { background: white; border: 2px solid #667eea; border-radius: 8px; padding: 25px; margin: 20px 0; }
-            .receipt-header { text-align: center; border-bottom: 2px solid #667eea; padding-bottom: 15px; margin-bottom: 20px; }
-            .receipt-header h2 { margin: 0; color: #667eea; font-size: 24px; }
-            .receipt-row { display: flex; justify-content: space-between; padding: 12px 0; border-bottom: 1px solid #eee; }
-            .receipt-row:last-child { border-bottom: none; border-top: 2px solid #667eea; margin-top: 10px; padding-top: 15px; }
-            .receipt-label { font-weight: bold; color: #666; min-width: 150px; }
-            .receipt-value { color: #333; word-break: break-all; word-wrap: break-word; text-align: right; flex: 1; }
-            .receipt-total { font-size: 18px; font-weight: bold; color: #667eea; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
-            @media only screen and (max-width: 600px) {
-              .container { width: 100% !important; padding: 10px !important; }
-              .detail-row, .receipt-row { flex-direction: column; }
-              .value, .receipt-value { text-align: left !important; margin-top: 5px; }
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <div class="success-icon">✅</div>
-              <h1>Payment Successful!</h1>
-            </div>
-            <div class="content">
-              <p>Dear ${customerName},</p>
-              <p>Thank you for your pre-registration payment. Your payment has been successfully processed.</p>
-              
-              <p style="margin-top: 25px; margin-bottom: 15px;"><strong>Below is the payment receipt of your pre-registration:</strong></p>
-              
-              <div class="receipt">
-                <div class="receipt-header">
-                  <h2>PAYMENT RECEIPT</h2>
-                  <p style="margin: 5px 0; color: #666; font-size: 14px;">Pre-Registration Payment Confirmation</p>
-                </div>
-                
-                <div class="receipt-row">
-                  <span class="receipt-label">Service:</span>
-                  <span class="receipt-value">${serviceName || 'N/A'}</span>
-                </div>
-                <div class="receipt-row">
-                  <span class="receipt-label">Transaction ID:</span>
-                  <span class="receipt-value" style="font-family: monospace; font-size: 13px;">${transactionId || merchantTransactionId || 'N/A'}</span>
-                </div>
-                <div class="receipt-row">
-                  <span class="receipt-label">Merchant Order ID:</span>
-                  <span class="receipt-value" style="font-family: monospace; font-size: 13px;">${merchantTransactionId || 'N/A'}</span>
-                </div>
-                <div class="receipt-row">
-                  <span class="receipt-label">Payment Date:</span>
-                  <span class="receipt-value">${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long', timeStyle: 'short' })}</span>
-                </div>
-                <div class="receipt-row">
-                  <span class="receipt-label">Payment Status:</span>
-                  <span class="receipt-value" style="color: #10b981; font-weight: bold;">✅ Completed</span>
-                </div>
-                <div class="receipt-row">
-                  <span class="receipt-label receipt-total">Total Amount Paid:</span>
-                  <span class="receipt-value receipt-total">₹${amountInRupees}</span>
-                </div>
-              </div>
-              
-              ${customerMessage ? `
-              <div class="details">
-                <h3 style="margin-top: 0; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px;">Project Details</h3>
-                <p style="white-space: pre-wrap; word-break: break-word; margin: 10px 0;">${customerMessage}</p>
-              </div>
-              ` : ''}
-              
-              <div class="highlight">
-                <h3 style="margin-top: 0; color: #10b981;">What's Next?</h3>
-                <p style="margin: 10px 0;">Your pre-registration has been confirmed. We will contact you shortly to discuss your project requirements and proceed with the service.</p>
-              </div>
-              
-              <p>If you have any questions, please feel free to reach out to us at <a href="mailto:support@abhishek-chaudhary.com" style="color: #667eea;">support@abhishek-chaudhary.com</a>.</p>
-              
-              ${pdfPath ? '<p style="margin-top: 20px; padding: 15px; background: #f0f9ff; border-left: 4px solid #667eea; border-radius: 4px;"><strong>Note:</strong> A PDF receipt is attached to this email for your records.</p>' : ''}
-              
-              <div class="footer">
-                <p>This is an automated email. Please do not reply directly to this message.</p>
-                <p>&copy; ${new Date().getFullYear()} Abhishek Kumar Chaudhary. All rights reserved.</p>
-              </div>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: `
-        Payment Successful!
-        
-        Dear ${customerName},
-        
-        Thank you for your pre-registration payment. Your payment has been successfully processed.
-        
-        PAYMENT RECEIPT
-        ============================================
-        Service: ${serviceName || 'N/A'}
-        Transaction ID: ${transactionId || merchantTransactionId || 'N/A'}
-        Merchant Order ID: ${merchantTransactionId || 'N/A'}
-        Payment Date: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long', timeStyle: 'short' })}
-        Payment Status: ✅ Completed
-        Total Amount Paid: ₹${amountInRupees}
-        
-        ============================================
-        
-        What's Next?
-        Your pre-registration has been confirmed. We will contact you shortly to discuss your project requirements and proceed with the service.
-        
-        If you have any questions, please feel free to reach out to us.
-        
-        Best regards,
-        Abhishek Kumar Chaudhary
-        support@abhishek-chaudhary.com
-      `,
+      ...renderEmail('paymentSuccess', {
+        customerName,
+        receiptTitle: invoiceRows ? 'TAX INVOICE' : 'PAYMENT RECEIPT',
+        rows,
+        totalAmount: toRupees(amount),
+        amountInWords: invoiceRows?.amountInWords,
+        projectDetails: customerMessage,
+        attachment: receipt ? 'receipt' : null,
+        button: receiptUrl ? { label: 'Download Receipt', url: receiptUrl } : null
+      })
     };
 
     // Attach PDF receipt if available
-    if (pdfPath) {
-      const fs = require('fs');
-      if (fs.existsSync(pdfPath)) {
-        mailOptions.attachments = [
-          {
-            filename: `receipt_${transactionId || merchantTransactionId}.pdf`,
-            path: pdfPath,
-          },
-        ];
-      }
+    if (receipt) {
+      mailOptions.attachments = [
+        {
+          filename: receipt.filename,
+          content: receipt.pdf,
+          contentType: 'application/pdf',
+        },
+      ];
     }
 
     console.log(`📧 Sending email to ${customerEmail}...`);
@@ -256,9 +126,8 @@ export async function sendPaymentSuccessEmail(customerEmail, customerName, payme
     // Release the in-flight lock after successful send
     releaseInFlightLock(merchantTransactionId, 'customer');
     
-    console.log(`✅ Payment success email sent to ${customerEmail}${pdfPath ? ' with PDF receipt' : ' (PDF generation skipped)'}`);
-    // Return PDF path so it can be reused for admin email (don't delete yet)
-    return pdfPath || true;
+    console.log(`✅ Payment success email sent to ${customerEmail}${receipt ? ' with PDF receipt' : ' (PDF generation skipped)'}`);
+    return true;
   } catch (error) {
     console.error('❌ Error sending payment success email:', error);
     releaseInFlightLock(merchantTransactionId, 'customer');
@@ -278,7 +147,7 @@ export async function sendAdminPaymentNotification(paymentData) {
     return false;
   }
   
-  const transporter = createEmailTransporter();
+  const transporter = createMailTransport();
   if (!transporter) {
     console.warn('Email transporter not available. Skipping admin payment notification.');
     releaseInFlightLock(merchantTransactionId, 'admin');
@@ -286,128 +155,40 @@ export async function sendAdminPaymentNotification(paymentData) {
   }
 
   try {
-    const { customerName, customerEmail, customerPhone, transactionId, amount, serviceName, message, pdfPath } = paymentData;
-    const amountInRupees = (amount / 100).toFixed(2);
+    const { customerName, customerEmail, customerPhone, transactionId, amount, serviceName, message, receipt, discountAmount, couponCode, invoiceNumber } = paymentData;
+
+    const rows = [
+      detailRow('Customer Name:', customerName || 'N/A'),
+      detailRow('Customer Email:', customerEmail || 'N/A', 'mono'),
+      detailRow('Customer Phone:', customerPhone || 'N/A'),
+      detailRow('Service:', serviceName || 'N/A'),
+      detailRow('Transaction ID:', transactionId || merchantTransactionId || 'N/A', 'mono'),
+      detailRow('Merchant Order ID:', merchantTransactionId || 'N/A', 'mono'),
+      detailRow('Amount:', `₹${toRupees(amount)}`, 'amount'),
+      ...(discountAmount ? [detailRow('Coupon:', `${couponCode} (-₹${toRupees(discountAmount)})`)] : []),
+      ...(invoiceNumber ? [detailRow('Invoice No:', invoiceNumber)] : []),
+      detailRow('Payment Date:', formatEmailDate(new Date()))
+    ];
 
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: process.env.EMAIL_USER, // support@abhishek-chaudhary.com only
-      subject: `💰 New Pre-Registration Payment Received - ₹${amountInRupees}`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
-            .detail-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #eee; align-items: flex-start; }
-            .detail-row:last-child { border-bottom: none; }
-            .label { font-weight: bold; color: #666; min-width: 140px; flex-shrink: 0; }
-            .value { color: #333; word-break: break-all; word-wrap: break-word; text-align: right; flex: 1; }
-            .highlight { background: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0; }
-            @media only screen and (max-width: 600px) {
-              .container { width: 100% !important; padding: 10px !important; }
-              .detail-row { flex-direction: column; }
-              .value { text-align: left !important; margin-top: 5px; }
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>💰 New Payment Received</h1>
-              <p style="margin: 10px 0; font-size: 24px; font-weight: bold;">₹${amountInRupees}</p>
-            </div>
-            <div class="content">
-              <h2 style="color: #10b981; margin-top: 0;">Payment Details</h2>
-              
-              <div class="details">
-                <div class="detail-row">
-                  <span class="label">Customer Name:</span>
-                  <span class="value">${customerName || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Customer Email:</span>
-                  <span class="value" style="font-family: monospace; font-size: 13px;">${customerEmail || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Customer Phone:</span>
-                  <span class="value">${customerPhone || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Service:</span>
-                  <span class="value">${serviceName || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Transaction ID:</span>
-                  <span class="value" style="font-family: monospace; font-size: 13px;">${transactionId || merchantTransactionId || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Merchant Order ID:</span>
-                  <span class="value" style="font-family: monospace; font-size: 13px;">${merchantTransactionId || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Amount:</span>
-                  <span class="value" style="font-size: 18px; font-weight: bold; color: #10b981;">₹${amountInRupees}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Payment Date:</span>
-                  <span class="value">${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long', timeStyle: 'short' })}</span>
-                </div>
-              </div>
-              
-              ${message ? `
-              <div class="details">
-                <h3 style="margin-top: 0; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px;">Project Details</h3>
-                <p style="white-space: pre-wrap; word-break: break-word; margin: 10px 0;">${message}</p>
-              </div>
-              ` : ''}
-              
-              <div class="highlight">
-                <h3 style="margin-top: 0; color: #059669;">Action Required</h3>
-                <p style="margin: 10px 0;">Contact the customer to discuss project requirements and proceed with the service.</p>
-              </div>
-              
-              ${pdfPath ? '<p style="margin-top: 20px; padding: 15px; background: #f0f9ff; border-left: 4px solid #667eea; border-radius: 4px;"><strong>Note:</strong> A PDF receipt is attached to this email for your records.</p>' : ''}
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: `
-        New Pre-Registration Payment Received
-        
-        Payment Details:
-        ============================================
-        Customer Name: ${customerName || 'N/A'}
-        Customer Email: ${customerEmail || 'N/A'}
-        Customer Phone: ${customerPhone || 'N/A'}
-        Service: ${serviceName || 'N/A'}
-        Transaction ID: ${transactionId || merchantTransactionId || 'N/A'}
-        Merchant Order ID: ${merchantTransactionId || 'N/A'}
-        Amount: ₹${amountInRupees}
-        Payment Date: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long', timeStyle: 'short' })}
-        
-        ============================================
-        
-        Action Required: Contact the customer to discuss project requirements and proceed with the service.
-      `,
+      ...renderEmail('adminPaymentNotification', {
+        amount: toRupees(amount),
+        rows,
+        projectDetails: message,
+        attachment: receipt ? 'receipt' : null
+      })
     };
 
     // Attach PDF receipt if available
-    if (pdfPath) {
-      const fs = require('fs');
-      if (fs.existsSync(pdfPath)) {
-        mailOptions.attachments = [
-          {
-            filename: `receipt_${transactionId || merchantTransactionId}.pdf`,
-            path: pdfPath,
-          },
-        ];
-      }
+    if (receipt) {
+      mailOptions.attachments = [
+        {
+          filename: receipt.filename,
+          content: receipt.pdf,
+          contentType: 'application/pdf',
+        },
+      ];
     }
 
     console.log(`📧 Sending admin email to ${mailOptions.to}...`);
@@ -430,106 +211,27 @@ export async function sendAdminPaymentNotification(paymentData) {
  * Send payment failed email to customer
  */
 export async function sendPaymentFailedEmail(customerEmail, customerName, paymentData) {
-  const transporter = createEmailTransporter();
+  const transporter = createMailTransport();
   if (!transporter) {
     console.warn('Email transporter not available. Skipping payment failed email.');
     return false;
   }
 
   try {
-    const { transactionId, amount, serviceName, errorMessage } = paymentData;
-    const amountInRupees = (amount / 100).toFixed(2);
+    const { transactionId, amount, serviceName, errorMessage, retryUrl } = paymentData;
 
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: customerEmail,
-      subject: 'Payment Failed - Action Required',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .error-icon { font-size: 48px; margin-bottom: 20px; }
-            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
-            .detail-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #eee; }
-            .detail-row:last-child { border-bottom: none; }
-            .label { font-weight: bold; color: #666; }
-            .value { color: #333; }
-            .highlight { background: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <div class="error-icon">❌</div>
-              <h1>Payment Failed</h1>
-            </div>
-            <div class="content">
-              <p>Dear ${customerName},</p>
-              <p>Unfortunately, your payment could not be processed. Please review the details below and try again.</p>
-              
-              <div class="details">
-                <div class="detail-row">
-                  <span class="label">Service:</span>
-                  <span class="value">${serviceName || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Transaction ID:</span>
-                  <span class="value">${transactionId || 'N/A'}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Amount:</span>
-                  <span class="value">₹${amountInRupees}</span>
-                </div>
-                ${errorMessage ? `
-                <div class="detail-row">
-                  <span class="label">Error:</span>
-                  <span class="value">${errorMessage}</span>
-                </div>
-                ` : ''}
-              </div>
-              
-              <div class="highlight">
-                <h3 style="margin-top: 0; color: #dc2626;">What to do next?</h3>
-                <p style="margin: 10px 0;">Please try making the payment again. If the issue persists, contact us for assistance.</p>
-              </div>
-              
-              <p>If you have any questions or need help, please reach out to us at <a href="mailto:support@abhishek-chaudhary.com" style="color: #667eea;">support@abhishek-chaudhary.com</a>.</p>
-              
-              <div class="footer">
-                <p>This is an automated email. Please do not reply directly to this message.</p>
-                <p>&copy; ${new Date().getFullYear()} Abhishek Kumar Chaudhary. All rights reserved.</p>
-              </div>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: `
-        Payment Failed
-        
-        Dear ${customerName},
-        
-        Unfortunately, your payment could not be processed.
-        
-        Payment Details:
-        Service: ${serviceName || 'N/A'}
-        Transaction ID: ${transactionId || 'N/A'}
-        Amount: ₹${amountInRupees}
-        ${errorMessage ? `Error: ${errorMessage}` : ''}
-        
-        What to do next?
-        Please try making the payment again. If the issue persists, contact us for assistance.
-        
-        Best regards,
-        Abhishek Kumar Chaudhary
-        support@abhishek-chaudhary.com
-      `,
+      ...renderEmail('paymentFailed', {
+        customerName,
+        rows: [
+          detailRow('Service:', serviceName || 'N/A'),
+          detailRow('Transaction ID:', transactionId || 'N/A'),
+          detailRow('Amount:', `₹${toRupees(amount)}`),
+          ...(errorMessage ? [detailRow('Error:', errorMessage)] : [])
+        ],
+        button: retryUrl ? { label: 'Retry Payment', url: retryUrl } : null
+      })
     };
 
     await transporter.sendMail(mailOptions);
@@ -542,243 +244,187 @@ export async function sendPaymentFailedEmail(customerEmail, customerName, paymen
 }
 
 /**
- * Generate PDF receipt for payment using pdf-lib (serverless-friendly)
+ * Send refund confirmation email to customer
+ * refundData.creditNote ({ pdf, filename } from renderRefundCreditNote) is attached when given.
  */
-async function generatePaymentReceiptPDF(receiptData) {
+export async function sendRefundEmail(customerEmail, customerName, refundData) {
+  const transporter = createMailTransport();
+  if (!transporter) {
+    console.warn('Email transporter not available. Skipping refund email.');
+    return false;
+  }
+
   try {
-    const { customerName, transactionId, merchantTransactionId, amount, serviceName, customerMessage, paymentDate } = receiptData;
-
-    // Create temporary file path - prioritize transactionId (OMO...) over merchantTransactionId (UUID)
-    const tempDir = os.tmpdir();
-    const fileName = `receipt_${transactionId || merchantTransactionId}_${Date.now()}.pdf`;
-    const filePath = path.join(tempDir, fileName);
-
-    // Create a new PDFDocument
-    const pdfDoc = await PDFDocument.create();
-    const page = pdfDoc.addPage();
-
-    // Embed fonts
-    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBoldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-    // Define colors
-    const primaryColor = rgb(0.4, 0.46, 0.92); // #667eea
-    const secondaryColor = rgb(0.06, 0.72, 0.5); // #10b981 (for success)
-    const textColor = rgb(0.2, 0.2, 0.2); // #333
-    const lightGray = rgb(0.9, 0.9, 0.9); // #eee
-    const darkGray = rgb(0.4, 0.4, 0.4); // #666
-
-    const { width, height } = page.getSize();
-    let yPos = height - 50; // Start from top with margin
-
-    // Header
-    const headerText = 'PAYMENT RECEIPT';
-    const headerWidth = helveticaBoldFont.widthOfTextAtSize(headerText, 24);
-    page.drawText(headerText, {
-      x: (width - headerWidth) / 2,
-      y: yPos,
-      size: 24,
-      font: helveticaBoldFont,
-      color: primaryColor,
-    });
-
-    yPos -= 30;
-
-    // Subheader
-    const subheaderText = 'Pre-Registration Payment Confirmation';
-    const subheaderWidth = helveticaFont.widthOfTextAtSize(subheaderText, 12);
-    page.drawText(subheaderText, {
-      x: (width - subheaderWidth) / 2,
-      y: yPos,
-      size: 12,
-      font: helveticaFont,
-      color: darkGray,
-    });
-
-    yPos -= 30;
-
-    // Divider
-    page.drawLine({
-      start: { x: 50, y: yPos },
-      end: { x: width - 50, y: yPos },
-      thickness: 2,
-      color: primaryColor,
-    });
-
-    yPos -= 40;
-
-    // Receipt Details
-    const drawLabelValue = (label, value, isMonospace = false, isStatus = false) => {
-      const labelWidth = helveticaBoldFont.widthOfTextAtSize(label, 11);
-      const valueFont = isMonospace ? helveticaFont : helveticaFont; // Use helvetica for monospace too
-      const valueSize = isMonospace ? 10 : 11;
-      const valueColor = isStatus ? secondaryColor : textColor;
-
-      page.drawText(label, {
-        x: 50,
-        y: yPos,
-        size: 11,
-        font: helveticaBoldFont,
-        color: darkGray,
-      });
-
-      const valueWidth = valueFont.widthOfTextAtSize(value, valueSize);
-      page.drawText(value, {
-        x: width - 50 - valueWidth,
-        y: yPos,
-        size: valueSize,
-        font: valueFont,
-        color: valueColor,
-      });
-
-      yPos -= 20;
+    const { merchantTransactionId, transactionId, serviceName, paymentAmount, refundId, refundAmount, reason, creditNote } = refundData;
+    const refundInRupees = (refundAmount / 100).toFixed(2);
+    const paidInRupees = (paymentAmount / 100).toFixed(2);
+    const isPartial = refundAmount < paymentAmount;
+
+    const mailOptions = {
+      to: customerEmail,
+      ...renderEmail('refund', {
+        customerName,
+        refundAmount: refundInRupees,
+        isPartial,
+        rows: [
+          detailRow('Service:', serviceName || 'N/A'),
+          detailRow('Transaction ID:', transactionId || merchantTransactionId || 'N/A'),
+          detailRow('Refund ID:', refundId),
+          detailRow('Amount Paid:', `₹${paidInRupees}`),
+          detailRow('Amount Refunded:', `₹${refundInRupees}`),
+          ...(reason ? [detailRow('Reason:', reason)] : [])
+        ],
+        attachment: creditNote ? 'credit note' : null
+      })
     };
 
-    drawLabelValue('Customer Name:', customerName || 'N/A');
-    drawLabelValue('Service:', serviceName || 'N/A');
-    drawLabelValue('Transaction ID:', transactionId || 'N/A', true);
-    drawLabelValue('Merchant Order ID:', merchantTransactionId || 'N/A', true);
-    drawLabelValue('Payment Date:', paymentDate);
-    drawLabelValue('Payment Status:', 'COMPLETED', false, true); // Replaced emoji
-
-    yPos -= 20;
-
-    // Divider
-    page.drawLine({
-      start: { x: 50, y: yPos },
-      end: { x: width - 50, y: yPos },
-      thickness: 1,
-      color: lightGray,
-    });
-
-    yPos -= 20;
-
-    // Total Amount
-    const totalLabel = 'Total Amount Paid:';
-    const totalValue = `Rs. ${amount}`; // Replaced ₹
-    const totalLabelWidth = helveticaBoldFont.widthOfTextAtSize(totalLabel, 16);
-    const totalValueWidth = helveticaBoldFont.widthOfTextAtSize(totalValue, 16);
-
-    page.drawText(totalLabel, {
-      x: 50,
-      y: yPos,
-      size: 16,
-      font: helveticaBoldFont,
-      color: primaryColor,
-    });
-
-    page.drawText(totalValue, {
-      x: width - 50 - totalValueWidth,
-      y: yPos,
-      size: 16,
-      font: helveticaBoldFont,
-      color: primaryColor,
-    });
-
-    yPos -= 40;
-
-    // Project Details (if available)
-    if (customerMessage) {
-      page.drawLine({
-        start: { x: 50, y: yPos },
-        end: { x: width - 50, y: yPos },
-        thickness: 2,
-        color: primaryColor,
-      });
-
-      yPos -= 30;
-
-      const projectDetailsHeader = 'Project Details';
-      const projectDetailsHeaderWidth = helveticaBoldFont.widthOfTextAtSize(projectDetailsHeader, 14);
-      page.drawText(projectDetailsHeader, {
-        x: 50,
-        y: yPos,
-        size: 14,
-        font: helveticaBoldFont,
-        color: primaryColor,
-      });
-
-      yPos -= 20;
-
-      // Text wrapping for customer message
-      const textLines = customerMessage.split('\n');
-      const maxWidth = width - 100;
-      const fontSize = 11;
-      
-      for (const line of textLines) {
-        // Manual text wrapping since splitTextIntoLines may not be available
-        const words = line.split(' ');
-        let currentLine = '';
-        
-        for (const word of words) {
-          const testLine = currentLine ? `${currentLine} ${word}` : word;
-          const testWidth = helveticaFont.widthOfTextAtSize(testLine, fontSize);
-          
-          if (testWidth > maxWidth && currentLine) {
-            // Draw current line and start new one
-            page.drawText(currentLine, {
-              x: 50,
-              y: yPos,
-              size: fontSize,
-              font: helveticaFont,
-              color: textColor,
-            });
-            yPos -= 15;
-            currentLine = word;
-          } else {
-            currentLine = testLine;
-          }
-        }
-        
-        // Draw remaining text
-        if (currentLine) {
-          page.drawText(currentLine, {
-            x: 50,
-            y: yPos,
-            size: fontSize,
-            font: helveticaFont,
-            color: textColor,
-          });
-          yPos -= 15;
-        }
-      }
+    if (creditNote) {
+      mailOptions.attachments = [
+        {
+          filename: creditNote.filename,
+          content: creditNote.pdf,
+          contentType: 'application/pdf',
+        },
+      ];
     }
 
-    // Footer
-    const footerY = 50;
-    const footerText1 = 'This is a computer-generated receipt.';
-    const footerText2 = 'For any queries, please contact: support@abhishek-chaudhary.com';
-
-    const footer1Width = helveticaFont.widthOfTextAtSize(footerText1, 9);
-    const footer2Width = helveticaFont.widthOfTextAtSize(footerText2, 9);
-
-    page.drawText(footerText1, {
-      x: (width - footer1Width) / 2,
-      y: footerY + 15,
-      size: 9,
-      font: helveticaFont,
-      color: darkGray,
-    });
-
-    page.drawText(footerText2, {
-      x: (width - footer2Width) / 2,
-      y: footerY,
-      size: 9,
-      font: helveticaFont,
-      color: darkGray,
-    });
-
-    // Set PDF metadata
-    pdfDoc.setTitle('Payment Receipt');
-    pdfDoc.setAuthor('Abhishek Kumar Chaudhary');
-    pdfDoc.setSubject('Pre-Registration Payment Receipt');
-
-    // Save PDF to file
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(filePath, pdfBytes);
-
-    return filePath;
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Refund email sent to ${customerEmail}${creditNote ? ' with PDF credit note' : ''}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending refund email:', error);
+    return false;
+  }
+}
+
+/**
+ * Send a one-time sign-in link to the customer's order history
+ * Without a link (the address has no orders) the email says none were found.
+ */
+export async function sendOrderHistoryLinkEmail(customerEmail, { link, expiresInMinutes }) {
+  const transporter = createMailTransport();
+  if (!transporter) {
+    console.warn('Email transporter not available. Skipping order history link email.');
+    return false;
+  }
+
+  try {
+    const mailOptions = {
+      to: customerEmail,
+      ...(link
+        ? renderEmail('orderHistoryLink', { expiresInMinutes, button: { label: 'View My Orders', url: link } })
+        : renderEmail('orderHistoryNoOrders', {}))
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Order history link sent to ${customerEmail}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending order history link email:', error);
+    return false;
+  }
+}
+
+/**
+ * Remind a customer about a checkout they left unpaid, with a link to resume it
+ */
+export async function sendAbandonedCheckoutEmail(customerEmail, customerName, { serviceName, amount, resumeUrl }) {
+  const transporter = createMailTransport();
+  if (!transporter) {
+    console.warn('Email transporter not available. Skipping abandoned checkout email.');
+    return false;
+  }
+
+  try {
+    const mailOptions = {
+      to: customerEmail,
+      ...renderEmail('abandonedCheckout', {
+        customerName,
+        serviceName,
+        rows: [
+          detailRow('Service:', serviceName || 'N/A'),
+          detailRow('Amount:', `₹${toRupees(amount)}`)
+        ],
+        button: { label: 'Complete Payment', url: resumeUrl }
+      })
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Abandoned checkout email sent to ${customerEmail}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending abandoned checkout email:', error);
+    return false;
+  }
+}
+
+/**
+ * Notify the site owner about a new contact form message
+ * The email's Message-ID is stored on the message so replies thread with it.
+ */
+export async function sendContactNotificationEmail(contact) {
+  const transporter = createMailTransport();
+  if (!transporter) {
+    console.warn('Email transporter not available. Skipping contact notification email.');
+    return false;
+  }
+
+  try {
+    const { messageId, name, email, phone, subject, message, notificationMessageId } = contact;
+
+    const mailOptions = {
+      to: [
+        process.env.EMAIL_USER, // support@abhishek-chaudhary.com
+        'allencarrierinst@gmail.com'
+      ],
+      replyTo: email,
+      messageId: notificationMessageId,
+      ...renderEmail('contactNotification', { messageId, name, email, phone, subject, message })
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Contact notification sent for ${messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending contact notification email:', error);
+    return false;
+  }
+}
+
+/**
+ * Reply to a contact form message from the admin inbox
+ * @param {object} contact - Stored contact message
+ * @param {object} reply - { body, messageId, inReplyTo, references } (threading headers)
+ */
+export async function sendContactReplyEmail(contact, { body, messageId, inReplyTo, references }) {
+  const transporter = createMailTransport();
+  if (!transporter) {
+    console.warn('Email transporter not available. Skipping contact reply email.');
+    return false;
+  }
+
+  try {
+    const { name, email, subject, message, createdAt } = contact;
+
+    const mailOptions = {
+      to: email,
+      messageId,
+      inReplyTo,
+      references,
+      ...renderEmail('contactReply', {
+        name,
+        subject,
+        body,
+        message,
+        sentOn: formatEmailDate(new Date(createdAt), 'medium')
+      })
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Contact reply sent to ${email}`);
+    return true;
   } catch (error) {
-    throw error;
+    console.error('❌ Error sending contact reply email:', error);
+    return false;
   }
 }
@@ -0,0 +1,248 @@
+import { LAYOUTS, THEMES } from './layouts';
+import { PARTIALS } from './partials';
+import { EMAIL_TEMPLATES } from './templates';
+
+/**
+ * Email Templates
+ *
+ * Every outgoing email is rendered from a template in ./templates.js, wrapped
+ * in a layout (./layouts.js) and can include partials (./partials.js). The
+ * syntax is a small subset of Mustache:
+ *
+ * - {{name}}, {{a.b}}: a value, HTML-escaped. {{.}} is the current list item.
+ * - {{name | multiline}}: escaped, with line breaks kept (<br>)
+ * - {{{name}}}: a value inserted as-is; only for HTML rendered by this module
+ * - {{#name}}...{{/name}}: repeated for each item of a list, or shown once
+ *   (with the value's fields in scope) when the value is truthy
+ * - {{^name}}...{{/name}}: shown when the value is falsy or an empty list
+ * - {{> partial}}: another template, rendered with the same values
+ *
+ * The plain-text part is generated from the rendered HTML (see htmlToText),
+ * so both parts always say the same thing.
+ */
+
+const BRAND = {
+  brandName: 'Abhishek Kumar Chaudhary',
+  supportEmail: 'support@abhishek-chaudhary.com'
+};
+
+const FILTERS = {
+  multiline: (html) => html.replace(/\r?\n/g, '<br>')
+};
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>]?)\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+const parsedTemplates = new Map();
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse a template into a tree of text, variable, section and partial nodes (cached)
+ */
+function parseTemplate(source) {
+  if (parsedTemplates.has(source)) {
+    return parsedTemplates.get(source);
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, rawName, kind, name, filter] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (rawName) {
+      current.children.push({ type: 'variable', name: rawName, raw: true });
+    } else if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (current.name !== name || stack.length === 1) {
+        throw new Error(`Email template: unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (kind === '>') {
+      current.children.push({ type: 'partial', name });
+    } else {
+      if (filter && !FILTERS[filter]) {
+        throw new Error(`Email template: unknown filter "${filter}"`);
+      }
+      current.children.push({ type: 'variable', name, filter });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Email template: {{#${stack[stack.length - 1].name}}} is not closed`);
+  }
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', text: source.slice(lastIndex) });
+  }
+
+  parsedTemplates.set(source, root.children);
+  return root.children;
+}
+
+/**
+ * Look a (dotted) name up in the innermost scope that has it
+ */
+function lookup(name, scopes) {
+  if (name === '.') {
+    return scopes[scopes.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  const scope = [...scopes].reverse().find(candidate => candidate !== null && typeof candidate === 'object' && first in candidate);
+  let value = scope?.[first];
+  for (const key of rest) {
+    value = value?.[key];
+  }
+  return value;
+}
+
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'variable') {
+      const value = lookup(node.name, scopes);
+      if (value === undefined || value === null || value === false) {
+        continue;
+      }
+      const text = node.raw || !options.escape ? String(value) : escapeHtml(value);
+      output += node.filter && options.escape ? FILTERS[node.filter](text) : text;
+    } else if (node.type === 'section') {
+      const value = lookup(node.name, scopes);
+      const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        output += isEmpty ? renderNodes(node.children, scopes, options) : '';
+      } else if (Array.isArray(value)) {
+        output += value.map(item => renderNodes(node.children, [...scopes, item], options)).join('');
+      } else if (!isEmpty) {
+        output += renderNodes(node.children, [...scopes, value], options);
+      }
+    } else if (node.type === 'partial') {
+      if (PARTIALS[node.name] === undefined) {
+        throw new Error(`Email template: unknown partial "${node.name}"`);
+      }
+      output += renderNodes(parseTemplate(PARTIALS[node.name]), scopes, options);
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template string
+ * @param {string} source - Template (see the syntax above)
+ * @param {object} data - Values
+ * @param {object} options - { escape: false } for text that isn't HTML (e.g. subject lines)
+ */
+export function renderTemplate(source, data, { escape = true } = {}) {
+  return renderNodes(parseTemplate(source), [data], { escape });
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&copy;/g, '©')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+// Marks where a <blockquote> starts and ends while converting to text
+const QUOTE_START = '\u0001';
+const QUOTE_END = '\u0002';
+
+/**
+ * Plain-text version of a rendered email
+ * Block elements become lines, links become "label: url", blockquotes are
+ * prefixed with "> " and entities are decoded.
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<head[\s\S]*?<\/head>|<style[\s\S]*?<\/style>|<!DOCTYPE[^>]*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      const url = href.replace(/^mailto:/, '');
+      return !labelText || labelText === url ? url : `${labelText}: ${url}`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<blockquote\b[^>]*>/gi, `\n${QUOTE_START}\n`)
+    .replace(/<\/blockquote>/gi, `\n${QUOTE_END}\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(?:p|div|h[1-6]|table|tr|ul|ol|li)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  let depth = 0;
+  const lines = [];
+  let quoteStarted = false;
+  for (const line of decodeEntities(text).split('\n')) {
+    if (line === QUOTE_START || line === QUOTE_END) {
+      // No empty quoted lines at the start or end of a quote
+      while (line === QUOTE_END && /^>+$/.test(lines[lines.length - 1])) {
+        lines.pop();
+      }
+      depth += line === QUOTE_START ? 1 : -1;
+      quoteStarted = line === QUOTE_START;
+      continue;
+    }
+    const trimmed = line.replace(/[ \t]+/g, ' ').trim();
+    if (quoteStarted && !trimmed) {
+      continue;
+    }
+    quoteStarted = false;
+    lines.push(depth ? `${'>'.repeat(depth)} ${trimmed}`.trimEnd() : trimmed);
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Render an email from ./templates.js
+ * @param {string} name - Template name (e.g. 'paymentSuccess')
+ * @param {object} data - Values for the template; brandName, supportEmail and year are always available
+ * @returns {object} { subject, html, text } ready for nodemailer
+ */
+export function renderEmail(name, data) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const values = { ...BRAND, year: new Date().getFullYear(), ...data };
+  const content = renderTemplate(template.html, values);
+  const html = renderTemplate(LAYOUTS[template.layout || 'default'], {
+    ...values,
+    theme: THEMES[template.theme || 'brand'],
+    icon: template.icon,
+    title: template.title && renderTemplate(template.title, values, { escape: false }),
+    headline: template.headline && renderTemplate(template.headline, values, { escape: false }),
+    automated: template.automated !== false,
+    content
+  });
+
+  return {
+    // Header values can't span lines
+    subject: renderTemplate(template.subject, values, { escape: false }).replace(/\s*[\r\n]+\s*/g, ' '),
+    html,
+    text: htmlToText(html)
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Email Layouts
+ * The page around a template's content. `default` is the branded card with a
+ * coloured header (title, icon, headline) and the automated-email footer;
+ * `plain` is just the text, for messages that should read like a normal email.
+ */
+
+// Header gradients
+export const THEMES = {
+  brand: { from: '#667eea', to: '#764ba2' },
+  success: { from: '#10b981', to: '#059669' },
+  danger: { from: '#ef4444', to: '#dc2626' }
+};
+
+export const LAYOUTS = {
+  default: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, {{theme.from}} 0%, {{theme.to}} 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .header-icon { font-size: 48px; margin-bottom: 20px; }
+    .headline { margin: 10px 0; font-size: 24px; font-weight: bold; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+    .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+    .detail-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #eee; align-items: flex-start; }
+    .detail-row:last-child { border-bottom: none; }
+    .label { font-weight: bold; color: #666; min-width: 140px; flex-shrink: 0; }
+    .value { color: #333; word-break: break-all; word-wrap: break-word; text-align: right; flex: 1; }
+    .mono { font-family: monospace; font-size: 13px; }
+    .positive { color: #10b981; }
+    .amount { font-size: 18px; font-weight: bold; color: #10b981; }
+    .section-title { margin-top: 0; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; }
+    .message { word-break: break-word; margin: 10px 0; }
+    .receipt { background: white; border: 2px solid #667eea; border-radius: 8px; padding: 25px; margin: 20px 0; }
+    .receipt-header { text-align: center; border-bottom: 2px solid #667eea; padding-bottom: 15px; margin-bottom: 20px; }
+    .receipt-header h2 { margin: 0; color: #667eea; font-size: 24px; }
+    .receipt-total { font-size: 18px; font-weight: bold; color: #667eea; border-top: 2px solid #667eea; margin-top: 10px; padding-top: 15px; }
+    .highlight { background: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0; }
+    .note { margin-top: 20px; padding: 15px; background: #f0f9ff; border-left: 4px solid #667eea; border-radius: 4px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    a { color: #667eea; }
+    @media only screen and (max-width: 600px) {
+      .container { width: 100% !important; padding: 10px !important; }
+      .detail-row { flex-direction: column; }
+      .value { text-align: left !important; margin-top: 5px; }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      {{#icon}}<div class="header-icon">{{icon}}</div>{{/icon}}
+      <h1>{{title}}</h1>
+      {{#headline}}<p class="headline">{{headline}}</p>{{/headline}}
+    </div>
+    <div class="content">
+      {{{content}}}
+      {{#automated}}{{> footer}}{{/automated}}
+    </div>
+  </div>
+</body>
+</html>
+`,
+
+  plain: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+</head>
+<body>
+  <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    {{{content}}}
+  </div>
+</body>
+</html>
+`
+};
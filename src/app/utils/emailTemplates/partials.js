@@ -0,0 +1,48 @@
+/**
+ * Email Partials
+ * Pieces shared by several templates, included with {{> name}}. They read
+ * the values of the template that includes them.
+ */
+export const PARTIALS = {
+  // {{brandName}}, {{year}}
+  footer: `
+<div class="footer">
+  <p>This is an automated email. Please do not reply directly to this message.</p>
+  <p>&copy; {{year}} {{brandName}}. All rights reserved.</p>
+</div>`,
+
+  // rows: [{ label, value, className }]
+  detailRows: `
+{{#rows}}
+<div class="detail-row">
+  <span class="label">{{label}}</span>
+  <span class="value {{className}}">{{value}}</span>
+</div>
+{{/rows}}`,
+
+  // button: { label, url }
+  button: `
+{{#button}}
+<p style="text-align: center; margin: 30px 0;">
+  <a href="{{url}}" class="button" style="color: white;">{{label}}</a>
+</p>
+{{/button}}`,
+
+  // projectDetails: text entered by the customer at checkout
+  projectDetails: `
+{{#projectDetails}}
+<div class="details">
+  <h3 class="section-title">Project Details</h3>
+  <p class="message">{{projectDetails | multiline}}</p>
+</div>
+{{/projectDetails}}`,
+
+  // attachment: e.g. 'receipt' or 'credit note'
+  attachmentNote: `
+{{#attachment}}
+<p class="note"><strong>Note:</strong> A PDF {{attachment}} is attached to this email for your records.</p>
+{{/attachment}}`,
+
+  signature: `
+<p>Best regards,<br>{{brandName}}<br><a href="mailto:{{supportEmail}}">{{supportEmail}}</a></p>`
+};
@@ -0,0 +1,182 @@
+/**
+ * Email Templates
+ * One entry per email sent by ../emailService.js. Values come from the send
+ * function; see ./index.js for the syntax.
+ *
+ * - subject, title, headline: plain text (title / headline appear in the layout header)
+ * - layout: 'default' (branded card) or 'plain'; theme: header colours (see ./layouts.js)
+ * - automated: false leaves out the "do not reply" footer
+ * - html: the content; the plain-text part is generated from it
+ */
+export const EMAIL_TEMPLATES = {
+  // customerName, receiptTitle, rows, totalAmount, amountInWords?, projectDetails?, attachment?, button?
+  paymentSuccess: {
+    subject: 'Payment Successful - Pre-Registration Confirmed',
+    title: 'Payment Successful!',
+    icon: '✅',
+    html: `
+<p>Dear {{customerName}},</p>
+<p>Thank you for your pre-registration payment. Your payment has been successfully processed.</p>
+
+<p style="margin-top: 25px; margin-bottom: 15px;"><strong>Below is the payment receipt of your pre-registration:</strong></p>
+
+<div class="receipt">
+  <div class="receipt-header">
+    <h2>{{receiptTitle}}</h2>
+    <p style="margin: 5px 0; color: #666; font-size: 14px;">Pre-Registration Payment Confirmation</p>
+  </div>
+  {{> detailRows}}
+  <div class="detail-row receipt-total">
+    <span class="label">Total Amount Paid:</span>
+    <span class="value">₹{{totalAmount}}</span>
+  </div>
+  {{#amountInWords}}<p style="margin: 10px 0 0; color: #666; font-size: 13px;">Amount in words: {{amountInWords}}</p>{{/amountInWords}}
+</div>
+
+{{> projectDetails}}
+
+<div class="highlight">
+  <h3 style="margin-top: 0; color: #10b981;">What's Next?</h3>
+  <p style="margin: 10px 0;">Your pre-registration has been confirmed. We will contact you shortly to discuss your project requirements and proceed with the service.</p>
+</div>
+
+<p>If you have any questions, please feel free to reach out to us at <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.</p>
+
+{{> attachmentNote}}
+{{> button}}`
+  },
+
+  // amount, rows, projectDetails?, attachment?
+  adminPaymentNotification: {
+    subject: '💰 New Pre-Registration Payment Received - ₹{{amount}}',
+    title: '💰 New Payment Received',
+    headline: '₹{{amount}}',
+    theme: 'success',
+    automated: false,
+    html: `
+<h2 style="color: #10b981; margin-top: 0;">Payment Details</h2>
+
+<div class="details">
+  {{> detailRows}}
+</div>
+
+{{> projectDetails}}
+
+<div class="highlight">
+  <h3 style="margin-top: 0; color: #059669;">Action Required</h3>
+  <p style="margin: 10px 0;">Contact the customer to discuss project requirements and proceed with the service.</p>
+</div>
+
+{{> attachmentNote}}`
+  },
+
+  // customerName, rows, button?
+  paymentFailed: {
+    subject: 'Payment Failed - Action Required',
+    title: 'Payment Failed',
+    icon: '❌',
+    theme: 'danger',
+    html: `
+<p>Dear {{customerName}},</p>
+<p>Unfortunately, your payment could not be processed. Please review the details below and try again.</p>
+
+<div class="details">
+  {{> detailRows}}
+</div>
+
+<div class="highlight">
+  <h3 style="margin-top: 0; color: #dc2626;">What to do next?</h3>
+  <p style="margin: 10px 0;">Please try making the payment again. If the issue persists, contact us for assistance.</p>
+</div>
+
+{{> button}}
+
+<p>If you have any questions or need help, please reach out to us at <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.</p>`
+  },
+
+  // customerName, refundAmount, isPartial, rows, attachment?
+  refund: {
+    subject: 'Refund Processed - ₹{{refundAmount}}',
+    title: 'Refund Processed',
+    html: `
+<p>Dear {{customerName}},</p>
+<p>Your {{#isPartial}}partial {{/isPartial}}refund has been processed. The amount will be credited to your original payment method, usually within 5-7 working days.</p>
+
+<div class="details">
+  {{> detailRows}}
+</div>
+
+<p>If you have any questions, please feel free to reach out to us at <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.</p>
+
+{{> attachmentNote}}`
+  },
+
+  // expiresInMinutes, button
+  orderHistoryLink: {
+    subject: 'Your orders - sign-in link',
+    title: 'My Orders',
+    html: `
+<p>Hello,</p>
+<p>Use the button below to see your payments and download your receipts. The link works once and expires in {{expiresInMinutes}} minutes.</p>
+
+{{> button}}
+
+<p>If you didn't ask for this link, you can ignore this email - nobody can see your orders without it.</p>`
+  },
+
+  // (no values) sent instead of orderHistoryLink when the address has no orders
+  orderHistoryNoOrders: {
+    subject: 'Your orders',
+    title: 'My Orders',
+    html: `
+<p>Hello,</p>
+<p>Someone asked for a link to the orders paid with this email address, but we couldn't find any.</p>
+<p>If you paid with a different address, request the link again with that one. If you didn't ask for this, you can ignore this email.</p>`
+  },
+
+  // customerName, serviceName, rows, button
+  abandonedCheckout: {
+    subject: 'Complete your booking - {{serviceName}}{{^serviceName}}Payment pending{{/serviceName}}',
+    title: 'Your Booking Is Waiting',
+    html: `
+<p>Dear {{customerName}},</p>
+<p>You started a booking but the payment wasn't completed. Your details are saved - pick up where you left off with the button below.</p>
+
+<div class="details">
+  {{> detailRows}}
+</div>
+
+{{> button}}
+
+<p>If you've already paid or changed your mind, you can ignore this email. Questions? Reach us at <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.</p>`
+  },
+
+  // messageId, name, email, phone?, subject, message
+  contactNotification: {
+    subject: 'New Contact Form Submission ({{messageId}}): {{subject}}',
+    layout: 'plain',
+    html: `
+<h2>New Contact Form Submission</h2>
+<p><strong>Message ID:</strong> {{messageId}}</p>
+<p><strong>Name:</strong> {{name}}</p>
+<p><strong>Email:</strong> {{email}}</p>
+<p><strong>Phone:</strong> {{phone}}{{^phone}}Not provided{{/phone}}</p>
+<p><strong>Subject:</strong> {{subject}}</p>
+<p><strong>Message:</strong></p>
+<p>{{message | multiline}}</p>`
+  },
+
+  // name, subject, body, sentOn, message (the original message, quoted)
+  contactReply: {
+    subject: 'Re: {{subject}}',
+    layout: 'plain',
+    html: `
+<p>Dear {{name}},</p>
+<p>{{body | multiline}}</p>
+{{> signature}}
+<blockquote style="margin: 30px 0 0; padding-left: 15px; border-left: 3px solid #ddd; color: #666;">
+  <p style="margin: 0 0 10px;">On {{sentOn}}, {{name}} wrote:</p>
+  <p style="margin: 0;">{{message | multiline}}</p>
+</blockquote>`
+  }
+};
@@ -0,0 +1,181 @@
+import nodemailer from 'nodemailer';
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isServerless } from './storage';
+const { createTransport } = nodemailer;
+
+/**
+ * Mail Transport
+ * The one place emails leave the app. MAIL_TRANSPORT picks how:
+ * - smtp (default): an SMTP server, GoDaddy Titan Mail unless configured otherwise
+ * - capture: nothing is sent; each email is written to MAIL_CAPTURE_DIR as an
+ *   .eml file (plus a .json summary) and shown at /dev/mailbox, so payment and
+ *   contact flows can be run offline
+ *
+ * Environment Variables:
+ * - MAIL_TRANSPORT: 'smtp' or 'capture' (optional, defaults to smtp)
+ * - SMTP_HOST: SMTP server (optional, defaults to smtpout.secureserver.net)
+ * - SMTP_PORT: (optional, defaults to 465)
+ * - SMTP_SECURE: 'true' for TLS from the start, 'false' for STARTTLS (optional, defaults to true on port 465)
+ * - SMTP_REQUIRE_TLS: 'true' to refuse servers that don't offer STARTTLS (optional)
+ * - SMTP_TLS_REJECT_UNAUTHORIZED: 'false' to accept self-signed certificates, e.g. a local test server (optional)
+ * - SMTP_USER, SMTP_PASS: Login (optional, default to EMAIL_USER / EMAIL_PASS). Without a login
+ *   the default server is skipped and email is disabled; a custom SMTP_HOST is used without auth.
+ * - MAIL_FROM_ADDRESS: Sender address (optional, defaults to EMAIL_USER)
+ * - MAIL_FROM_NAME: Sender display name (optional)
+ * - MAIL_REPLY_TO: Default Reply-To (optional; emails that set their own, like contact notifications, keep it)
+ * - MAIL_CAPTURE_DIR: Where captured emails are written (optional, defaults to data/mailbox)
+ */
+
+const DEFAULT_SMTP_HOST = 'smtpout.secureserver.net';
+const DEFAULT_FROM_ADDRESS = 'support@abhishek-chaudhary.com';
+const CAPTURE_ID_PATTERN = /^\d+-[0-9a-f]{8}$/;
+
+function getTransportMode() {
+  return process.env.MAIL_TRANSPORT?.trim().toLowerCase() === 'capture' ? 'capture' : 'smtp';
+}
+
+function getCaptureDir() {
+  if (process.env.MAIL_CAPTURE_DIR) {
+    return path.resolve(process.env.MAIL_CAPTURE_DIR);
+  }
+  return isServerless ? path.join(os.tmpdir(), 'mailbox') : path.join(process.cwd(), 'data', 'mailbox');
+}
+
+export function getMailFromAddress() {
+  return process.env.MAIL_FROM_ADDRESS || process.env.EMAIL_USER || DEFAULT_FROM_ADDRESS;
+}
+
+function getMailDefaults() {
+  const name = process.env.MAIL_FROM_NAME?.trim();
+  return {
+    from: name ? { name, address: getMailFromAddress() } : getMailFromAddress(),
+    ...(process.env.MAIL_REPLY_TO ? { replyTo: process.env.MAIL_REPLY_TO } : {})
+  };
+}
+
+function createSmtpTransport() {
+  const user = process.env.SMTP_USER || process.env.EMAIL_USER;
+  const pass = process.env.SMTP_PASS || process.env.EMAIL_PASS;
+  const host = process.env.SMTP_HOST?.trim();
+
+  if (!host && (!user || !pass)) {
+    console.warn('⚠️  Email credentials not configured. Email sending will be disabled.');
+    return null;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT || '465', 10);
+  return createTransport({
+    host: host || DEFAULT_SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+    tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+    ...(user && pass ? { auth: { user, pass } } : {})
+  });
+}
+
+const formatAddresses = (value) => [].concat(value || []).map(address => (
+  typeof address === 'object' ? `${address.name} <${address.address}>` : address
+)).join(', ');
+
+function createCaptureTransport() {
+  const stream = createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async sendMail(mailOptions) {
+      const info = await stream.sendMail(mailOptions);
+      const id = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+      const dir = getCaptureDir();
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${id}.eml`), info.message);
+      fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({
+        id,
+        capturedAt: new Date().toISOString(),
+        messageId: info.messageId,
+        from: formatAddresses(mailOptions.from),
+        to: formatAddresses(mailOptions.to),
+        replyTo: formatAddresses(mailOptions.replyTo) || null,
+        inReplyTo: mailOptions.inReplyTo || null,
+        subject: mailOptions.subject || '',
+        html: mailOptions.html || null,
+        text: mailOptions.text || null,
+        attachments: (mailOptions.attachments || []).map(attachment => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType || null
+        }))
+      }, null, 2));
+
+      console.log(`📥 Email captured (${id}): ${mailOptions.subject} -> ${formatAddresses(mailOptions.to)}`);
+      return { ...info, captureId: id };
+    }
+  };
+}
+
+/**
+ * Create the transport configured by MAIL_TRANSPORT
+ * Every email gets the configured From (and Reply-To) unless it sets its own.
+ * @returns {object} { mode, sendMail(mailOptions) }, or null when email isn't configured
+ */
+export function createMailTransport() {
+  const mode = getTransportMode();
+  const transport = mode === 'capture' ? createCaptureTransport() : createSmtpTransport();
+  if (!transport) {
+    return null;
+  }
+
+  return {
+    mode,
+    sendMail: (mailOptions) => transport.sendMail({ ...getMailDefaults(), ...mailOptions })
+  };
+}
+
+/**
+ * Whether /dev/mailbox is available: capture mode, outside production
+ */
+export function isMailboxEnabled() {
+  return getTransportMode() === 'capture' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Captured emails, newest first (summaries without the bodies)
+ */
+export function getCapturedEmails() {
+  const dir = getCaptureDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && CAPTURE_ID_PATTERN.test(file.slice(0, -5)))
+    .map(file => {
+      const { html, text, ...summary } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { ...summary, hasHtml: !!html, hasText: !!text };
+    })
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+}
+
+/**
+ * A captured email with its HTML / text bodies, or null
+ */
+export function getCapturedEmail(id) {
+  const file = CAPTURE_ID_PATTERN.test(id || '') && path.join(getCaptureDir(), `${id}.json`);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * The raw .eml file of a captured email (Buffer), or null
+ */
+export function getCapturedEmailSource(id) {
+  const file = CAPTURE_ID_PATTERN.test(id || '') && path.join(getCaptureDir(), `${id}.eml`);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return fs.readFileSync(file);
+}
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { getStorage } from './storage';
+import { getAllPayments } from './paymentStorage';
+import { sendOrderHistoryLinkEmail } from './emailService';
+import { providerError } from './payments/providerError';
+import { checkRateLimit } from './rateLimit';
+import { EMAIL_PATTERN } from './validation';
+import { getPaymentReceiptUrl } from './receipts';
+
+/**
+ * Customer Order History
+ *
+ * Customers see their payments on /orders by asking for a magic link: the
+ * link is emailed to the address they enter, works once and expires. Only a
+ * hash of the link token is stored (through the storage adapter), and link
+ * requests are rate limited per email and per IP (see ./rateLimit.js) so the
+ * form can't be used to flood an inbox.
+ *
+ * The same response is returned whether or not the email has orders, and an
+ * email is sent either way (the link, or a note that there are no orders), so
+ * neither the answer nor its timing reveals who has paid.
+ *
+ * Environment Variables:
+ * - ORDER_LINK_TTL_MINUTES: How long a magic link stays valid (optional, defaults to 15)
+ */
+
+const ORDER_LINKS = 'orderLinks';
+const LINK_REQUESTS = 'orderLinkRequests';
+const REQUEST_WINDOW_MS = 15 * 60 * 1000;
+const MAX_REQUESTS_PER_EMAIL = 3;
+const MAX_REQUESTS_PER_IP = 10;
+
+function getLinkTtlMinutes() {
+  return parseFloat(process.env.ORDER_LINK_TTL_MINUTES || '15');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Payments for an email address, newest first
+ * Emails are stored as typed at checkout, so they are compared case-insensitively.
+ */
+function getPaymentsForEmail(email) {
+  const wanted = email.trim().toLowerCase();
+  return getAllPayments().filter(payment => payment.customerEmail?.trim().toLowerCase() === wanted);
+}
+
+/**
+ * Email a one-time order history link (or, without orders, a note saying so)
+ * @param {string} email
+ * @param {object} options - { ip, baseUrl }
+ * @throws 400 for an invalid email, 429 when rate limited (with retryAfterSeconds)
+ */
+export async function requestOrderHistoryLink(email, { ip, baseUrl }) {
+  const normalizedEmail = typeof email === 'string' ? email.trim() : '';
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw providerError('Invalid email', { status: 400, field: 'email', details: 'Please enter a valid email address.' });
+  }
+
+  const ipLimit = checkRateLimit(LINK_REQUESTS, `ip:${ip}`, { maxRequests: MAX_REQUESTS_PER_IP, windowMs: REQUEST_WINDOW_MS });
+  const emailLimit = checkRateLimit(LINK_REQUESTS, `email:${normalizedEmail.toLowerCase()}`, { maxRequests: MAX_REQUESTS_PER_EMAIL, windowMs: REQUEST_WINDOW_MS });
+  if (!ipLimit.allowed || !emailLimit.allowed) {
+    const retryAfterSeconds = Math.max(ipLimit.retryAfterSeconds, emailLimit.retryAfterSeconds);
+    console.warn(`⚠️  Order history link rate limited: ${normalizedEmail} from ${ip}`);
+    throw providerError('Too many requests', {
+      status: 429,
+      details: `Try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`,
+      retryAfterSeconds
+    });
+  }
+
+  const ttlMinutes = getLinkTtlMinutes();
+  if (!getPaymentsForEmail(normalizedEmail).length) {
+    console.log(`ℹ️  Order history link requested for an email without orders`);
+    await sendOrderHistoryLinkEmail(normalizedEmail, { link: null, expiresInMinutes: ttlMinutes });
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  getStorage().upsert(ORDER_LINKS, hashToken(token), () => ({
+    email: normalizedEmail,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMinutes * 60 * 1000).toISOString(),
+    usedAt: null
+  }));
+
+  await sendOrderHistoryLinkEmail(normalizedEmail, {
+    link: `${baseUrl}/orders?token=${token}`,
+    expiresInMinutes: ttlMinutes
+  });
+}
+
+/**
+ * Use up a magic link and return the email it was sent to
+ * Returns null if the link is unknown, expired or was already used.
+ */
+export function redeemOrderHistoryLink(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const storage = getStorage();
+  const key = hashToken(token);
+  const link = storage.get(ORDER_LINKS, key);
+  if (!link || link.usedAt || new Date(link.expiresAt) < new Date()) {
+    return null;
+  }
+
+  // Only one caller can flip usedAt from null
+  const redeemed = storage.compareAndSet(ORDER_LINKS, key, { usedAt: null }, { usedAt: new Date().toISOString() });
+  return redeemed ? link.email : null;
+}
+
+/**
+ * Order history for an email: status, amounts and a receipt link for paid orders
+ * (the link issued with the confirmation email, see getPaymentReceiptUrl)
+ */
+export function getOrderHistory(email, baseUrl) {
+  return getPaymentsForEmail(email).map(payment => ({
+    merchantTransactionId: payment.merchantTransactionId,
+    serviceName: payment.serviceName,
+    amount: payment.amount,
+    originalAmount: payment.originalAmount,
+    discountAmount: payment.discountAmount,
+    couponCode: payment.couponCode,
+    refundedAmount: payment.refundedAmount,
+    status: payment.status,
+    createdAt: payment.createdAt,
+    completedAt: payment.completedAt,
+    invoiceNumber: payment.invoice?.invoiceNumber || null,
+    receiptUrl: getPaymentReceiptUrl(payment.merchantTransactionId, baseUrl)
+  }));
+}
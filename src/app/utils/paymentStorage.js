@@ -1,257 +1,553 @@
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
+import { getStorage } from './storage';
 
 /**
  * Payment Storage Utility
- * Uses in-memory storage for serverless environments (Vercel)
- * Falls back to file-based storage for local development
- * 
- * Note: In production, you should use a proper database (MongoDB, PostgreSQL, etc.)
- * This is a temporary solution that can be easily migrated to a database.
+ * Persists payment records through the configured storage adapter
+ * (SQLite, JSON file or in-memory - see ./storage/index.js).
+ *
+ * Set STORAGE_ADAPTER=sqlite in production so payment records survive
+ * restarts and concurrent writes from webhooks and the success page.
  */
 
-// In-memory storage for serverless environments
-let inMemoryPayments = [];
+const PAYMENTS = 'payments';
+const WEBHOOK_KEYS = 'webhookIdempotencyKeys';
 
-// Mutex lock for atomic operations (prevents race conditions)
-let writeLock = Promise.resolve();
-const lockEmailsSent = new Set(); // Tracks which transactions have emailsSent=true
+// Paid payments, including refunded ones: payment events and gateway status
+// checks must never move them back to pending or failed
+export const SETTLED_STATUSES = ['completed', 'success', 'refund_pending', 'refunded', 'refund_failed'];
 
-// Check if we're in a serverless environment (read-only filesystem)
-// Vercel sets VERCEL=1, and filesystem is read-only except /tmp
-const isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME || (() => {
-  // Try to detect read-only filesystem
+// A late payment success must not turn these back into 'completed'
+export const REFUND_STATUSES = ['refund_pending', 'refunded', 'refund_failed'];
+
+// Payments that can be (further) refunded
+const REFUNDABLE_STATUSES = ['completed', 'success', 'refund_pending', 'refunded', 'refund_failed'];
+
+/**
+ * Append a status change to the record's statusHistory (used for the admin timeline)
+ */
+function withStatusHistory(existing, record, now) {
+  const history = existing?.statusHistory || [];
+  if (existing && existing.status === record.status) {
+    return history;
+  }
+  return [...history, { status: record.status, at: now }];
+}
+
+/**
+ * Save a payment record
+ * @param {object} options - { protectedStatuses }: leave an existing record in one of these statuses unchanged
+ * @returns {object|null} The saved payment, or null if the existing record was protected
+ */
+export function savePayment(paymentData, { protectedStatuses = [] } = {}) {
   try {
-    const testDir = path.join(process.cwd(), 'data');
-    if (!fs.existsSync(testDir)) {
-      try {
-        fs.mkdirSync(testDir, { recursive: true });
-        fs.rmdirSync(testDir);
-        return false; // Can write
-      } catch {
-        return true; // Cannot write, likely serverless
+    const id = paymentData.merchantTransactionId || `payment_${Date.now()}`;
+    let isProtected = false;
+
+    const payment = getStorage().upsert(PAYMENTS, id, existing => {
+      // Checked inside the upsert so a concurrent refund can't be overwritten
+      if (existing && protectedStatuses.includes(existing.status)) {
+        isProtected = true;
+        return existing;
       }
+
+      const now = new Date().toISOString();
+      const record = {
+        id,
+        merchantTransactionId: paymentData.merchantTransactionId,
+        transactionId: paymentData.transactionId,
+        status: paymentData.status || 'pending',
+        amount: paymentData.amount,
+        serviceId: paymentData.serviceId,
+        serviceName: paymentData.serviceName,
+        customerName: paymentData.customerName,
+        customerEmail: paymentData.customerEmail,
+        customerPhone: paymentData.customerPhone,
+        customerMessage: paymentData.customerMessage,
+        paymentMode: paymentData.paymentMode,
+        paymentState: paymentData.paymentState,
+        errorCode: paymentData.errorCode,
+        createdAt: now,
+        updatedAt: now,
+        environment: paymentData.environment || 'SANDBOX',
+        ...paymentData
+      };
+
+      // Check if payment already exists (update) or create new
+      if (existing) {
+        return {
+          ...existing,
+          ...record,
+          createdAt: existing.createdAt, // Preserve original creation date
+          updatedAt: now,
+          statusHistory: withStatusHistory(existing, record, now)
+        };
+      }
+      return { ...record, statusHistory: withStatusHistory(null, record, now) };
+    });
+
+    if (isProtected) {
+      console.warn(`⚠️  Payment not saved, it is ${payment.status}: ${id}`);
+      return null;
     }
-    return false; // Directory exists, assume we can write
-  } catch {
-    return true; // Error accessing filesystem, likely serverless
+    console.log(`✅ Payment saved: ${payment.merchantTransactionId}`);
+    return payment;
+  } catch (error) {
+    console.error('❌ Error saving payment:', error);
+    throw error;
   }
-})();
+}
+
+/**
+ * Update payment status
+ * @param {object} options - { protectedStatuses }: leave the payment unchanged if it is in one of these statuses
+ * @returns {object|null} The updated payment, or null if it is missing or protected
+ */
+export function updatePaymentStatus(merchantTransactionId, status, additionalData = {}, { protectedStatuses = [] } = {}) {
+  try {
+    const storage = getStorage();
+    if (!storage.get(PAYMENTS, merchantTransactionId)) {
+      console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+      return null;
+    }
 
-const PAYMENTS_DIR = isServerless ? null : path.join(process.cwd(), 'data', 'payments');
-const PAYMENTS_FILE = isServerless ? null : path.join(PAYMENTS_DIR, 'payments.json');
+    let isProtected = false;
+    const payment = storage.upsert(PAYMENTS, merchantTransactionId, existing => {
+      // Checked inside the upsert so a concurrent refund can't be overwritten
+      if (protectedStatuses.includes(existing.status)) {
+        isProtected = true;
+        return existing;
+      }
 
-if (isServerless) {
-  console.log('📦 Serverless environment detected - using in-memory payment storage');
-} else {
-  console.log('💾 Local environment detected - using file-based payment storage');
+      const now = new Date().toISOString();
+      return {
+        ...existing,
+        status,
+        updatedAt: now,
+        ...additionalData,
+        statusHistory: withStatusHistory(existing, { status }, now)
+      };
+    });
+    if (isProtected) {
+      console.warn(`⚠️  Payment status not changed to ${status}, it is ${payment.status}: ${merchantTransactionId}`);
+      return null;
+    }
+    console.log(`✅ Payment status updated: ${merchantTransactionId} -> ${status}`);
+    return payment;
+  } catch (error) {
+    console.error('❌ Error updating payment status:', error);
+    throw error;
+  }
 }
 
-// Ensure payments directory exists (only for non-serverless)
-function ensurePaymentsDirectory() {
-  if (isServerless || !PAYMENTS_DIR) return;
+/**
+ * Atomically check and set emailsSent flag (returns true if successfully set, false if already set)
+ * Uses the storage adapter's compareAndSet, so exactly one caller wins per
+ * merchantTransactionId - even across separate Node processes (e.g. the webhook
+ * and the success page verifying at the same time).
+ */
+export function trySetEmailsSent(merchantTransactionId) {
   try {
-    if (!fs.existsSync(PAYMENTS_DIR)) {
-      fs.mkdirSync(PAYMENTS_DIR, { recursive: true });
+    const payment = getStorage().compareAndSet(
+      PAYMENTS,
+      merchantTransactionId,
+      { emailsSent: null },
+      { emailsSent: true, updatedAt: new Date().toISOString() }
+    );
+
+    if (payment) {
+      console.log(`✅ Atomically set emailsSent: true for ${merchantTransactionId}`);
+      return true; // Successfully set, this process should send emails
     }
+
+    if (getStorage().get(PAYMENTS, merchantTransactionId)) {
+      console.log(`📧 [STORAGE] Emails already sent for ${merchantTransactionId} - skipping`);
+    } else {
+      console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+    }
+    return false;
   } catch (error) {
-    console.warn('Could not create payments directory:', error.message);
+    console.error('❌ Error in trySetEmailsSent:', error);
+    return false;
   }
 }
 
-// Load all payments
-function loadPayments() {
-  if (isServerless) {
-    // Return in-memory storage
-    return inMemoryPayments;
-  }
-  
-  // Try to load from file
+/**
+ * Clear the emailsSent flag after the emails could not be sent, so a retried
+ * or replayed webhook can send them again
+ */
+export function releaseEmailsSent(merchantTransactionId) {
   try {
-    ensurePaymentsDirectory();
-    if (!PAYMENTS_FILE || !fs.existsSync(PAYMENTS_FILE)) {
-      return [];
+    const payment = getStorage().compareAndSet(
+      PAYMENTS,
+      merchantTransactionId,
+      { emailsSent: true },
+      { emailsSent: null, updatedAt: new Date().toISOString() }
+    );
+    if (payment) {
+      console.log(`🔓 Released emailsSent for ${merchantTransactionId}`);
     }
-    const data = fs.readFileSync(PAYMENTS_FILE, 'utf8');
-    return JSON.parse(data);
+    return !!payment;
   } catch (error) {
-    console.warn('Error loading payments from file, using in-memory storage:', error.message);
-    return inMemoryPayments; // Fallback to in-memory
+    console.error('❌ Error in releaseEmailsSent:', error);
+    return false;
   }
 }
 
-// Save payments
-function savePayments(payments) {
-  if (isServerless) {
-    // Save to in-memory storage
-    inMemoryPayments = payments;
-    return true;
-  }
-  
-  // Try to save to file
+/**
+ * Atomically claim the abandoned-checkout reminder for a still-pending payment
+ * (true for exactly one caller, and only once per payment)
+ */
+export function tryClaimAbandonedCheckoutEmail(merchantTransactionId) {
   try {
-    ensurePaymentsDirectory();
-    if (PAYMENTS_FILE) {
-      fs.writeFileSync(PAYMENTS_FILE, JSON.stringify(payments, null, 2), 'utf8');
-      return true;
-    }
+    const payment = getStorage().compareAndSet(
+      PAYMENTS,
+      merchantTransactionId,
+      { status: 'pending', abandonedEmailSentAt: null },
+      { abandonedEmailSentAt: new Date().toISOString() }
+    );
+    return !!payment;
   } catch (error) {
-    console.warn('Error saving payments to file, using in-memory storage:', error.message);
-    // Fallback to in-memory storage
-    inMemoryPayments = payments;
-    return true;
+    console.error('❌ Error in tryClaimAbandonedCheckoutEmail:', error);
+    return false;
   }
-  
-  return false;
 }
 
 /**
- * Save a payment record
+ * Clear the abandoned-checkout claim after the reminder could not be sent
  */
-export function savePayment(paymentData) {
+export function releaseAbandonedCheckoutEmail(merchantTransactionId) {
   try {
-    const payments = loadPayments();
-    
-    const payment = {
-      id: paymentData.merchantTransactionId || `payment_${Date.now()}`,
-      merchantTransactionId: paymentData.merchantTransactionId,
-      transactionId: paymentData.transactionId,
-      status: paymentData.status || 'pending',
-      amount: paymentData.amount,
-      serviceId: paymentData.serviceId,
-      serviceName: paymentData.serviceName,
-      customerName: paymentData.customerName,
-      customerEmail: paymentData.customerEmail,
-      customerPhone: paymentData.customerPhone,
-      customerMessage: paymentData.customerMessage,
-      paymentMode: paymentData.paymentMode,
-      paymentState: paymentData.paymentState,
-      errorCode: paymentData.errorCode,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      environment: paymentData.environment || 'SANDBOX',
-      ...paymentData
-    };
+    getStorage().upsert(PAYMENTS, merchantTransactionId, existing => ({ ...existing, abandonedEmailSentAt: null }));
+  } catch (error) {
+    console.error('❌ Error in releaseAbandonedCheckoutEmail:', error);
+  }
+}
 
-    // Check if payment already exists (update) or create new
-    const existingIndex = payments.findIndex(
-      p => p.merchantTransactionId === payment.merchantTransactionId
+/**
+ * Atomically claim the payment failed email for a failed payment (true for
+ * exactly one caller). Tracked separately from emailsSent, so a failed attempt
+ * never stops the confirmation email of a later successful one.
+ */
+export function tryClaimFailedEmail(merchantTransactionId) {
+  try {
+    const payment = getStorage().compareAndSet(
+      PAYMENTS,
+      merchantTransactionId,
+      { status: 'failed', failedEmailSentAt: null },
+      { failedEmailSentAt: new Date().toISOString() }
     );
+    return !!payment;
+  } catch (error) {
+    console.error('❌ Error in tryClaimFailedEmail:', error);
+    return false;
+  }
+}
+
+/**
+ * Clear the payment failed email claim after the email could not be sent
+ */
+export function releaseFailedEmail(merchantTransactionId) {
+  try {
+    getStorage().upsert(PAYMENTS, merchantTransactionId, existing => ({ ...existing, failedEmailSentAt: null }));
+  } catch (error) {
+    console.error('❌ Error in releaseFailedEmail:', error);
+  }
+}
+
+/**
+ * Link a retry order to the payment it retries (original.retriedBy lists the retries, newest last)
+ */
+export function addPaymentRetry(merchantTransactionId, retryMerchantTransactionId) {
+  const storage = getStorage();
+  if (!storage.get(PAYMENTS, merchantTransactionId)) {
+    console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+    return null;
+  }
+
+  return storage.upsert(PAYMENTS, merchantTransactionId, existing => ({
+    ...existing,
+    retriedBy: [...(existing.retriedBy || []), retryMerchantTransactionId],
+    updatedAt: new Date().toISOString()
+  }));
+}
 
-    if (existingIndex >= 0) {
-      // Update existing payment
-      payments[existingIndex] = {
-        ...payments[existingIndex],
-        ...payment,
-        createdAt: payments[existingIndex].createdAt, // Preserve original creation date
-        updatedAt: new Date().toISOString()
+/**
+ * Atomically claim a webhook idempotency key (returns true for the first
+ * delivery of an event, false for duplicates/retries)
+ * Keys released by releaseWebhookKey can be claimed again.
+ */
+export function tryClaimWebhookKey(idempotencyKey, details = {}) {
+  try {
+    let claimed = false;
+    getStorage().upsert(WEBHOOK_KEYS, idempotencyKey, existing => {
+      if (existing && existing.status !== 'released') {
+        return existing;
+      }
+      claimed = true;
+      return {
+        ...details,
+        idempotencyKey,
+        status: 'claimed',
+        claimedAt: new Date().toISOString()
       };
-    } else {
-      // Add new payment
-      payments.push(payment);
-    }
+    });
 
-    savePayments(payments);
-    console.log(`✅ Payment saved: ${payment.merchantTransactionId}`);
-    return payment;
+    if (!claimed) {
+      console.log(`🔁 [STORAGE] Webhook already processed: ${idempotencyKey} - skipping`);
+    }
+    return claimed;
   } catch (error) {
-    console.error('❌ Error saving payment:', error);
-    throw error;
+    console.error('❌ Error in tryClaimWebhookKey:', error);
+    // Fail open: processing twice is better than dropping a payment event
+    return true;
   }
 }
 
 /**
- * Update payment status
+ * Release a claimed webhook key after processing failed, so a retry or
+ * replay of the same event is processed again
  */
-export function updatePaymentStatus(merchantTransactionId, status, additionalData = {}) {
+export function releaseWebhookKey(idempotencyKey) {
   try {
-    const payments = loadPayments();
-    const paymentIndex = payments.findIndex(
-      p => p.merchantTransactionId === merchantTransactionId
-    );
+    getStorage().upsert(WEBHOOK_KEYS, idempotencyKey, existing => ({
+      ...existing,
+      status: 'released',
+      releasedAt: new Date().toISOString()
+    }));
+    console.log(`🔓 Released webhook key ${idempotencyKey}`);
+  } catch (error) {
+    console.error('❌ Error in releaseWebhookKey:', error);
+  }
+}
 
-    if (paymentIndex >= 0) {
-      payments[paymentIndex] = {
-        ...payments[paymentIndex],
-        status,
-        updatedAt: new Date().toISOString(),
-        ...additionalData
-      };
-      savePayments(payments);
-      console.log(`✅ Payment status updated: ${merchantTransactionId} -> ${status}`);
-      return payments[paymentIndex];
-    } else {
+/**
+ * Payment status while it has refunds: refund_pending while any refund is in
+ * flight, refunded once money has gone back (fully or partially), otherwise refund_failed
+ */
+function getRefundSummary(refunds) {
+  const refundedAmount = refunds
+    .filter(refund => refund.status === 'refunded')
+    .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+  let status = 'refund_failed';
+  if (refunds.some(refund => refund.status === 'refund_pending')) {
+    status = 'refund_pending';
+  } else if (refundedAmount > 0) {
+    status = 'refunded';
+  }
+  return { status, refundedAmount };
+}
+
+/**
+ * Amount (paise) that can still be refunded: failed refunds don't count
+ */
+export function getRefundableAmount(payment) {
+  const reserved = (payment?.refunds || [])
+    .filter(refund => refund.status !== 'refund_failed')
+    .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+  return Math.max((payment?.amount || 0) - reserved, 0);
+}
+
+/**
+ * Atomically add a refund_pending refund to a completed payment
+ * The refundable amount is checked inside the same write, so two admins
+ * refunding at once can never refund more than was paid.
+ * @param {object} refund - { refundId, amount (paise, defaults to the refundable amount), reason }
+ * @returns {{ payment, refund, reserved: boolean, reason?: string }}
+ */
+export function tryReserveRefund(merchantTransactionId, refund) {
+  const storage = getStorage();
+  if (!storage.get(PAYMENTS, merchantTransactionId)) {
+    console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+    return { payment: null, refund: null, reserved: false, reason: 'not_found' };
+  }
+
+  let reservedRefund = null;
+  let reason = null;
+  const payment = storage.upsert(PAYMENTS, merchantTransactionId, existing => {
+    if (!REFUNDABLE_STATUSES.includes(existing.status)) {
+      reason = 'not_refundable';
+      return existing;
+    }
+
+    const refundableAmount = getRefundableAmount(existing);
+    const amount = refund.amount || refundableAmount;
+    if (amount <= 0 || amount > refundableAmount) {
+      reason = 'exceeds_refundable_amount';
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    reservedRefund = {
+      refundId: refund.refundId,
+      amount,
+      reason: refund.reason || null,
+      status: 'refund_pending',
+      createdAt: now,
+      updatedAt: now
+    };
+    const refunds = [...(existing.refunds || []), reservedRefund];
+    const summary = getRefundSummary(refunds);
+    return {
+      ...existing,
+      ...summary,
+      refunds,
+      updatedAt: now,
+      statusHistory: withStatusHistory(existing, summary, now)
+    };
+  });
+
+  if (reason) {
+    console.warn(`⚠️  Refund not reserved for ${merchantTransactionId}: ${reason}`);
+  } else {
+    console.log(`✅ Refund reserved: ${reservedRefund.refundId} (${merchantTransactionId})`);
+  }
+  return { payment, refund: reservedRefund, reserved: !reason, reason };
+}
+
+/**
+ * Merge an update into one of the payment's refunds and recompute the payment status
+ * Refunds unknown to this record (e.g. issued from the PhonePe dashboard) are added.
+ */
+export function updatePaymentRefund(merchantTransactionId, refundId, update) {
+  try {
+    const storage = getStorage();
+    if (!storage.get(PAYMENTS, merchantTransactionId)) {
       console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
       return null;
     }
+
+    const payment = storage.upsert(PAYMENTS, merchantTransactionId, existing => {
+      const now = new Date().toISOString();
+      const refunds = existing.refunds || [];
+      const known = refunds.some(refund => refund.refundId === refundId);
+      const updatedRefunds = known
+        ? refunds.map(refund => (refund.refundId === refundId ? { ...refund, ...update, updatedAt: now } : refund))
+        : [...refunds, { refundId, createdAt: now, ...update, updatedAt: now }];
+
+      const summary = getRefundSummary(updatedRefunds);
+      return {
+        ...existing,
+        ...summary,
+        refunds: updatedRefunds,
+        refundedAt: summary.status === 'refunded' ? existing.refundedAt || now : existing.refundedAt,
+        updatedAt: now,
+        statusHistory: withStatusHistory(existing, summary, now)
+      };
+    });
+    console.log(`✅ Refund updated: ${refundId} -> ${update.status || 'unchanged'} (${merchantTransactionId})`);
+    return payment;
   } catch (error) {
-    console.error('❌ Error updating payment status:', error);
+    console.error('❌ Error updating refund:', error);
     throw error;
   }
 }
 
 /**
- * Atomically check and set emailsSent flag (returns true if successfully set, false if already set)
- * This prevents race conditions where multiple processes try to send emails simultaneously
- * Uses both in-memory lock (instant) and persistent storage (durable)
+ * Atomically mark a refund's confirmation email as sent (true for exactly one caller)
  */
-export function trySetEmailsSent(merchantTransactionId) {
+export function tryClaimRefundEmail(merchantTransactionId, refundId) {
   try {
-    // FIRST CHECK: In-memory lock (instant, prevents race conditions from concurrent calls)
-    if (lockEmailsSent.has(merchantTransactionId)) {
-      console.log(`🔒 [MEMORY LOCK] Emails already being sent for ${merchantTransactionId} - skipping`);
-      return false;
-    }
-    
-    // Immediately set the in-memory lock to prevent concurrent calls
-    lockEmailsSent.add(merchantTransactionId);
-    console.log(`🔐 [MEMORY LOCK] Acquired lock for ${merchantTransactionId}`);
-    
-    // SECOND CHECK: Persistent storage (durable, survives restarts)
-    const payments = loadPayments();
-    const paymentIndex = payments.findIndex(
-      p => p.merchantTransactionId === merchantTransactionId
-    );
-
-    if (paymentIndex >= 0) {
-      const payment = payments[paymentIndex];
-      // If emailsSent is already true in storage, someone else already handled it
-      if (payment.emailsSent) {
-        console.log(`📧 [STORAGE] Emails already sent for ${merchantTransactionId} - skipping`);
-        return false;
+    let claimed = false;
+    getStorage().upsert(PAYMENTS, merchantTransactionId, existing => {
+      const refund = existing?.refunds?.find(item => item.refundId === refundId);
+      if (!refund || refund.emailSentAt) {
+        return existing;
       }
-      
-      // Set emailsSent to true in persistent storage
-      payments[paymentIndex] = {
-        ...payment,
-        emailsSent: true,
-        updatedAt: new Date().toISOString()
+      claimed = true;
+      const now = new Date().toISOString();
+      return {
+        ...existing,
+        refunds: existing.refunds.map(item => (item.refundId === refundId ? { ...item, emailSentAt: now } : item)),
+        updatedAt: now
       };
-      savePayments(payments);
-      console.log(`✅ Atomically set emailsSent: true for ${merchantTransactionId}`);
-      return true; // Successfully set, this process should send emails
-    } else {
-      console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
-      // Release the lock since we couldn't process
-      lockEmailsSent.delete(merchantTransactionId);
-      return false;
-    }
+    });
+    return claimed;
   } catch (error) {
-    console.error('❌ Error in trySetEmailsSent:', error);
-    // Release the lock on error
-    lockEmailsSent.delete(merchantTransactionId);
+    console.error('❌ Error in tryClaimRefundEmail:', error);
     return false;
   }
 }
 
+/**
+ * Attach an invoice to a payment exactly once
+ * createInvoice(payment) runs inside the atomic update, only when the payment
+ * has no invoice yet; it may return null to leave the payment without one.
+ * Returns the payment (with its invoice, if any), or null if it is unknown.
+ */
+export function assignPaymentInvoice(merchantTransactionId, createInvoice) {
+  const storage = getStorage();
+  if (!storage.get(PAYMENTS, merchantTransactionId)) {
+    console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+    return null;
+  }
+
+  return storage.upsert(PAYMENTS, merchantTransactionId, existing => {
+    if (existing.invoice) {
+      return existing;
+    }
+    const invoice = createInvoice(existing);
+    if (!invoice) {
+      return existing;
+    }
+    return { ...existing, invoice, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Give a payment its public receipt ID exactly once
+ * Returns the payment (with its receipt ID), or null if it is unknown.
+ */
+export function assignPaymentReceiptId(merchantTransactionId, receiptId) {
+  const storage = getStorage();
+  if (!storage.get(PAYMENTS, merchantTransactionId)) {
+    console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+    return null;
+  }
+
+  return storage.upsert(PAYMENTS, merchantTransactionId, existing => (
+    existing.receiptId ? existing : { ...existing, receiptId, updatedAt: new Date().toISOString() }
+  ));
+}
+
+/**
+ * Store a payment's receipt download token exactly once
+ * Returns the payment (with the first token stored), or null if it is unknown.
+ */
+export function assignPaymentReceiptToken(merchantTransactionId, receiptToken) {
+  const storage = getStorage();
+  if (!storage.get(PAYMENTS, merchantTransactionId)) {
+    console.warn(`⚠️  Payment not found: ${merchantTransactionId}`);
+    return null;
+  }
+
+  return storage.upsert(PAYMENTS, merchantTransactionId, existing => (
+    existing.receiptToken ? existing : { ...existing, receiptToken, updatedAt: new Date().toISOString() }
+  ));
+}
+
+/**
+ * Get payment by the receipt ID printed on its receipt
+ */
+export function getPaymentByReceiptId(receiptId) {
+  // Empty filters match every record
+  if (!receiptId) {
+    return null;
+  }
+  try {
+    return getStorage().query(PAYMENTS, { receiptId })[0] || null;
+  } catch (error) {
+    console.error('❌ Error getting payment by receipt ID:', error);
+    return null;
+  }
+}
+
 /**
  * Get payment by merchant transaction ID
  */
 export function getPayment(merchantTransactionId) {
   try {
-    const payments = loadPayments();
-    return payments.find(p => p.merchantTransactionId === merchantTransactionId) || null;
+    return getStorage().get(PAYMENTS, merchantTransactionId);
   } catch (error) {
     console.error('❌ Error getting payment:', error);
     return null;
@@ -263,18 +559,12 @@ export function getPayment(merchantTransactionId) {
  */
 export function getAllPayments(filters = {}) {
   try {
-    let payments = loadPayments();
-
-    // Apply filters
-    if (filters.status) {
-      payments = payments.filter(p => p.status === filters.status);
-    }
-    if (filters.environment) {
-      payments = payments.filter(p => p.environment === filters.environment);
-    }
-    if (filters.customerEmail) {
-      payments = payments.filter(p => p.customerEmail === filters.customerEmail);
-    }
+    const payments = getStorage().query(PAYMENTS, {
+      status: filters.status,
+      environment: filters.environment,
+      serviceName: filters.serviceName,
+      customerEmail: filters.customerEmail
+    });
 
     // Sort by created date (newest first)
     payments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -291,16 +581,19 @@ export function getAllPayments(filters = {}) {
  */
 export function getPaymentStats() {
   try {
-    const payments = loadPayments();
+    const payments = getStorage().load(PAYMENTS);
     
     const stats = {
       total: payments.length,
       successful: payments.filter(p => p.status === 'completed' || p.status === 'success').length,
       failed: payments.filter(p => p.status === 'failed').length,
       pending: payments.filter(p => p.status === 'pending').length,
+      refunded: payments.filter(p => p.refunds?.length).length,
+      // In paise, like every payment record amount (net of refunds)
       totalAmount: payments
-        .filter(p => p.status === 'completed' || p.status === 'success')
-        .reduce((sum, p) => sum + (p.amount || 0), 0),
+        .filter(p => REFUNDABLE_STATUSES.includes(p.status))
+        .reduce((sum, p) => sum + (p.amount || 0) - (p.refundedAmount || 0), 0),
+      refundedAmount: payments.reduce((sum, p) => sum + (p.refundedAmount || 0), 0),
       byEnvironment: {
         SANDBOX: payments.filter(p => p.environment === 'SANDBOX').length,
         PRODUCTION: payments.filter(p => p.environment === 'PRODUCTION').length
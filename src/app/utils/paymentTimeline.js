@@ -0,0 +1,82 @@
+import { getWebhookEvents } from './webhookEventLog';
+
+/**
+ * Payment Timeline
+ * Merges a payment record's status history, invoice, refunds and the webhook events
+ * logged for it into one chronological list (oldest first) for the admin dashboard.
+ */
+
+export function getPaymentTimeline(payment) {
+  const timeline = [];
+
+  if (payment.createdAt) {
+    timeline.push({
+      at: payment.createdAt,
+      type: 'created',
+      label: 'Payment record created',
+      details: [payment.provider, payment.providerOrderId].filter(Boolean).join(' · ') || null
+    });
+  }
+
+  for (const change of payment.statusHistory || []) {
+    timeline.push({
+      at: change.at,
+      type: 'status',
+      label: `Status: ${change.status}`,
+      details: null
+    });
+  }
+
+  for (const event of getWebhookEvents({ merchantTransactionId: payment.merchantTransactionId })) {
+    timeline.push({
+      at: event.receivedAt,
+      type: 'webhook',
+      label: `Webhook: ${event.eventType || 'unknown event'}`,
+      details: [
+        event.outcome,
+        event.signature && `signature ${event.signature.valid ? 'valid' : event.signature.reason}`,
+        event.replayOf && `replay of ${event.replayOf}`,
+        event.error
+      ].filter(Boolean).join(' · '),
+      eventId: event.id
+    });
+  }
+
+  if (payment.invoice) {
+    timeline.push({
+      at: payment.invoice.invoiceDate,
+      type: 'invoice',
+      label: `Tax invoice ${payment.invoice.invoiceNumber} issued`,
+      details: payment.invoice.placeOfSupply
+    });
+  }
+
+  for (const refund of payment.refunds || []) {
+    timeline.push({
+      at: refund.createdAt,
+      type: 'refund',
+      label: `Refund of ₹${((refund.amount || 0) / 100).toFixed(2)} initiated`,
+      details: [refund.refundId, refund.reason].filter(Boolean).join(' · ')
+    });
+    if (refund.status !== 'refund_pending') {
+      timeline.push({
+        at: refund.updatedAt,
+        type: 'refund',
+        label: refund.status === 'refunded' ? 'Refund completed' : 'Refund failed',
+        details: [refund.refundId, refund.providerState, refund.error].filter(Boolean).join(' · ')
+      });
+    }
+  }
+
+  // Records refunded before refunds were tracked individually
+  if (payment.refundedAt && !payment.refunds?.length) {
+    timeline.push({
+      at: payment.refundedAt,
+      type: 'refund',
+      label: 'Refunded',
+      details: payment.refundId || null
+    });
+  }
+
+  return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
@@ -0,0 +1,204 @@
+import coupons from '../../../data/coupons.json';
+import { getStorage } from '../storage';
+import { getPayment } from '../paymentStorage';
+import { providerError } from './providerError';
+import { MIN_AMOUNT, DONATION_SERVICE_ID } from './priceCatalogue';
+
+/**
+ * Coupons
+ * Discount codes for service pre-registration, defined in src/data/coupons.json:
+ *
+ *   { code, description, type: 'percent' | 'flat', value (percent, or rupees off),
+ *     serviceIds ([] = every service), expiresAt (ISO date or null),
+ *     maxRedemptions (null = unlimited), active }
+ *
+ * Each email address can use a coupon once. Redemptions are reserved through
+ * the storage adapter when the order is created, so concurrent checkouts can't
+ * exceed maxRedemptions. A reservation stops counting when its payment fails,
+ * or when the payment is still pending after the hold window (abandoned checkout).
+ * A payment retry keeps the original's reservation and reserves its own; the
+ * checks for the retry skip the earlier attempts of the same order (exclude).
+ *
+ * Coupon errors carry `field: 'couponCode'` so checkout can show them next to
+ * the coupon input.
+ *
+ * Environment Variables:
+ * - COUPON_HOLD_MINUTES: How long a pending order holds its redemption (optional, defaults to 30)
+ */
+
+const COUPON_REDEMPTIONS = 'couponRedemptions';
+
+function getHoldMs() {
+  return parseFloat(process.env.COUPON_HOLD_MINUTES || '30') * 60 * 1000;
+}
+
+export function normalizeCouponCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function invalidCoupon(details) {
+  return providerError('Invalid coupon', { status: 400, details, field: 'couponCode' });
+}
+
+/**
+ * Find an active, unexpired coupon that applies to the service
+ * @throws providerError (400) explaining why the coupon can't be used
+ */
+function getApplicableCoupon(code, serviceId) {
+  const coupon = coupons.find(item => normalizeCouponCode(item.code) === code);
+  if (!coupon || !coupon.active) {
+    throw invalidCoupon(`Coupon ${code} does not exist`);
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt).getTime() < Date.now()) {
+    throw invalidCoupon(`Coupon ${code} has expired`);
+  }
+  if (serviceId === DONATION_SERVICE_ID) {
+    throw invalidCoupon('Coupons cannot be used for donations');
+  }
+  if (coupon.serviceIds?.length && !coupon.serviceIds.some(id => String(id) === String(serviceId))) {
+    throw invalidCoupon(`Coupon ${code} is not valid for this service`);
+  }
+  return coupon;
+}
+
+/**
+ * Redemptions that still count towards the limits
+ * Failed payments and abandoned (pending past the hold window) orders don't.
+ */
+function activeRedemptions(record, now) {
+  return (record?.redemptions || []).filter(redemption => {
+    const payment = getPayment(redemption.merchantTransactionId);
+    if (payment?.status === 'failed') {
+      return false;
+    }
+    const isPending = !payment || payment.status === 'pending';
+    return !isPending || new Date(redemption.reservedAt).getTime() > now - getHoldMs();
+  });
+}
+
+/**
+ * Check the usage limits for a coupon; returns the providerError to throw, or null
+ * @param {string[]} exclude - merchantTransactionIds whose redemptions don't count (earlier attempts of a retried order)
+ */
+function checkRedemptionLimits(coupon, record, email, now, exclude = []) {
+  const redemptions = activeRedemptions(record, now)
+    .filter(redemption => !exclude.includes(redemption.merchantTransactionId));
+  if (email && redemptions.some(redemption => redemption.email === email)) {
+    return providerError('Coupon already used', {
+      status: 409,
+      details: `Coupon ${normalizeCouponCode(coupon.code)} has already been used with this email address`,
+      field: 'couponCode'
+    });
+  }
+  if (coupon.maxRedemptions && redemptions.length >= coupon.maxRedemptions) {
+    return providerError('Coupon no longer available', {
+      status: 409,
+      details: `Coupon ${normalizeCouponCode(coupon.code)} has reached its usage limit`,
+      field: 'couponCode'
+    });
+  }
+  return null;
+}
+
+/**
+ * Discount in paise, capped so the order still meets the gateway minimum
+ */
+function calculateDiscount(coupon, amount) {
+  const discount = coupon.type === 'percent'
+    ? Math.round(amount * coupon.value / 100)
+    : Math.round(coupon.value * 100);
+  return Math.max(0, Math.min(discount, amount - MIN_AMOUNT));
+}
+
+/**
+ * Apply a coupon to a priced order (see priceOrder)
+ * Checks the usage limits without reserving a redemption - call reserveCoupon
+ * before charging.
+ * @param {object} pricing - Result of priceOrder
+ * @param {string} couponCode - Code entered by the customer (case-insensitive)
+ * @param {string} email - Customer email (single use per email; optional for previews)
+ * @param {object} options - { exclude: merchantTransactionIds whose redemptions don't count }
+ * @returns {object} pricing with amount reduced and { originalAmount, discountAmount, couponCode, coupon }
+ * @throws providerError (400 invalid/expired/not applicable, 409 already used / limit reached)
+ */
+export function applyCoupon(pricing, couponCode, email, { exclude = [] } = {}) {
+  const code = normalizeCouponCode(couponCode);
+  if (!code) {
+    return pricing;
+  }
+
+  const coupon = getApplicableCoupon(code, pricing.serviceId);
+  const limitError = checkRedemptionLimits(coupon, getStorage().get(COUPON_REDEMPTIONS, code), normalizeEmail(email), Date.now(), exclude);
+  if (limitError) {
+    throw limitError;
+  }
+
+  const discountAmount = calculateDiscount(coupon, pricing.amount);
+  return {
+    ...pricing,
+    amount: pricing.amount - discountAmount,
+    originalAmount: pricing.amount,
+    discountAmount,
+    couponCode: code,
+    coupon: {
+      code,
+      type: coupon.type,
+      value: coupon.value,
+      description: coupon.description || null
+    }
+  };
+}
+
+/**
+ * Atomically reserve the coupon redemption for an order priced with applyCoupon
+ * exclude: as for applyCoupon
+ * @throws providerError (400 without an email, 409 already used / limit reached)
+ */
+export function reserveCoupon(pricing, { merchantTransactionId, email, exclude = [] }) {
+  const code = pricing.couponCode;
+  const customerEmail = normalizeEmail(email);
+  if (!customerEmail) {
+    throw invalidCoupon('An email address is required to use a coupon');
+  }
+
+  const coupon = getApplicableCoupon(code, pricing.serviceId);
+  let limitError = null;
+
+  getStorage().upsert(COUPON_REDEMPTIONS, code, existing => {
+    const now = Date.now();
+    limitError = checkRedemptionLimits(coupon, existing, customerEmail, now, exclude);
+    if (limitError) {
+      return { ...existing, code };
+    }
+    return {
+      ...existing,
+      code,
+      redemptions: [
+        ...(existing?.redemptions || []),
+        { merchantTransactionId, email: customerEmail, reservedAt: new Date(now).toISOString() }
+      ]
+    };
+  });
+
+  if (limitError) {
+    throw limitError;
+  }
+  console.log(`🏷️  Coupon ${code} reserved for ${merchantTransactionId}`);
+}
+
+/**
+ * Drop a reservation (e.g. the gateway rejected the order)
+ */
+export function releaseCoupon(couponCode, merchantTransactionId) {
+  const code = normalizeCouponCode(couponCode);
+  getStorage().upsert(COUPON_REDEMPTIONS, code, existing => ({
+    ...existing,
+    code,
+    redemptions: (existing?.redemptions || []).filter(redemption => redemption.merchantTransactionId !== merchantTransactionId)
+  }));
+  console.log(`🏷️  Coupon ${code} released for ${merchantTransactionId}`);
+}
@@ -0,0 +1,234 @@
+import { randomUUID } from 'crypto';
+import { phonepeProvider, getPhonePeEnvironment } from './phonepeProvider';
+import { razorpayProvider } from './razorpayProvider';
+import { providerError } from './providerError';
+import { priceOrder, DONATION_SERVICE_ID } from './priceCatalogue';
+import { applyCoupon, reserveCoupon, releaseCoupon } from './coupons';
+import { normalizeCustomerTaxDetails } from './taxInvoice';
+import { savePayment, getPayment, updatePaymentStatus, addPaymentRetry, SETTLED_STATUSES } from '../paymentStorage';
+
+/**
+ * Payment Providers
+ *
+ * Every gateway implements the same interface:
+ * - createOrder(order): { providerOrderId, paymentUrl?, checkout? }
+ * - getStatus(payment): { status: 'completed' | 'pending' | 'failed', providerState, transactionId, amount, paymentMode, ... }
+ * - verifyWebhook(rawBody, headers): { valid, reason }
+ * - refund(payment, { refundId, amount }): { refundId, providerRefundId, amount, state, status }
+ * - getRefundStatus(payment, refund): { status: 'refund_pending' | 'refunded' | 'refund_failed', providerState, providerRefundId?, amount }
+ *
+ * Orders are created and persisted through createPaymentOrder so every
+ * payment record has the same shape regardless of gateway. Amounts come from
+ * the server-side price catalogue (see ./priceCatalogue.js), less any coupon
+ * discount (see ./coupons.js).
+ */
+
+const providers = {
+  [phonepeProvider.name]: phonepeProvider,
+  [razorpayProvider.name]: razorpayProvider
+};
+
+export const DEFAULT_PROVIDER = phonepeProvider.name;
+
+export function getPaymentProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers[name];
+  if (!provider) {
+    throw providerError('Unsupported payment provider', {
+      status: 400,
+      details: `Expected one of: ${Object.keys(providers).join(', ')}`
+    });
+  }
+  return provider;
+}
+
+/**
+ * Resolve the public base URL for redirect links
+ * In development the request origin is used so localhost / LAN IPs work.
+ */
+export function getBaseUrl(request) {
+  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'https://abhishek-chaudhary.com';
+  const requestOrigin = request?.headers.get('origin') || request?.headers.get('referer');
+
+  if (process.env.NODE_ENV === 'development' && requestOrigin) {
+    try {
+      const originUrl = new URL(requestOrigin);
+      return `${originUrl.protocol}//${originUrl.host}`;
+    } catch {
+      console.warn('Could not parse request origin, using configured base URL:', baseUrl);
+    }
+  }
+  return baseUrl;
+}
+
+function getProviderEnvironment(providerName) {
+  if (providerName === razorpayProvider.name) {
+    return process.env.RAZORPAY_KEY_ID?.startsWith('rzp_live_') ? 'PRODUCTION' : 'SANDBOX';
+  }
+  return getPhonePeEnvironment();
+}
+
+/**
+ * merchantTransactionIds of every attempt at the same order: the payment, the
+ * one it retried and its retries
+ */
+function getOrderAttempts(merchantTransactionId) {
+  const payment = getPayment(merchantTransactionId);
+  return [payment?.retryOf, merchantTransactionId, ...(payment?.retriedBy || [])].filter(Boolean);
+}
+
+/**
+ * Create an order with the given provider and save the initial payment record
+ * @param {string} providerName - 'phonepe' or 'razorpay'
+ * @param {object} order - { serviceId, amount? (paise, donations only), couponCode?, customerDetails: { name, email, phone, message?, gstin?, state? }, retryOf? }
+ *   A retry's coupon checks skip the earlier attempts of the same order, whose reservations are kept.
+ * @param {string} baseUrl - Used to build the post-payment redirect URL
+ */
+export async function createPaymentOrder(providerName, order, baseUrl) {
+  const provider = getPaymentProvider(providerName);
+  const { customerGstin, customerStateCode } = normalizeCustomerTaxDetails(order.customerDetails);
+  const exclude = order.retryOf ? getOrderAttempts(order.retryOf) : [];
+  const pricing = applyCoupon(priceOrder(order), order.couponCode, order.customerDetails?.email, { exclude });
+  const merchantTransactionId = randomUUID();
+  const redirectUrl = `${baseUrl}/payment/success?transactionId=${merchantTransactionId}`;
+
+  if (pricing.couponCode) {
+    reserveCoupon(pricing, { merchantTransactionId, email: order.customerDetails?.email, exclude });
+  }
+
+  let result;
+  try {
+    result = await provider.createOrder({
+      ...order,
+      amount: pricing.amount,
+      serviceId: pricing.serviceId,
+      serviceName: pricing.serviceName,
+      merchantTransactionId,
+      redirectUrl
+    });
+  } catch (error) {
+    if (pricing.couponCode) {
+      releaseCoupon(pricing.couponCode, merchantTransactionId);
+    }
+    throw error;
+  }
+
+  const payment = savePayment({
+    merchantTransactionId,
+    provider: provider.name,
+    providerOrderId: result.providerOrderId,
+    status: 'pending',
+    amount: pricing.amount,
+    serviceId: pricing.serviceId,
+    serviceName: pricing.serviceName,
+    catalogueVersion: pricing.catalogueVersion,
+    priceSnapshot: pricing.priceSnapshot,
+    couponCode: pricing.couponCode,
+    originalAmount: pricing.originalAmount,
+    discountAmount: pricing.discountAmount,
+    customerName: order.customerDetails?.name,
+    customerEmail: order.customerDetails?.email,
+    customerPhone: order.customerDetails?.phone,
+    customerMessage: order.customerDetails?.message,
+    customerGstin,
+    customerStateCode,
+    retryOf: order.retryOf || null,
+    environment: getProviderEnvironment(provider.name)
+  });
+  console.log(`✅ [${provider.name}] Order created and saved: ${merchantTransactionId}`);
+
+  return { payment, ...result };
+}
+
+/**
+ * Ask the payment's gateway for its current status and persist any change
+ * Returns { payment, gatewayStatus } or null if the payment is unknown.
+ */
+export async function refreshPaymentStatus(merchantTransactionId) {
+  const payment = getPayment(merchantTransactionId);
+  if (!payment) {
+    return null;
+  }
+
+  const provider = getPaymentProvider(payment.provider || DEFAULT_PROVIDER);
+  const gatewayStatus = await provider.getStatus(payment);
+
+  if (gatewayStatus.status === payment.status || SETTLED_STATUSES.includes(payment.status)) {
+    return { payment, gatewayStatus };
+  }
+
+  // The gateway status check must never overwrite a settled payment (e.g. completed -> pending)
+  const updated = updatePaymentStatus(merchantTransactionId, gatewayStatus.status, {
+    transactionId: gatewayStatus.transactionId || payment.transactionId,
+    paymentMode: gatewayStatus.paymentMode || payment.paymentMode,
+    paymentState: gatewayStatus.providerState,
+    errorCode: gatewayStatus.errorCode
+  }, { protectedStatuses: SETTLED_STATUSES });
+  return { payment: updated || getPayment(merchantTransactionId), gatewayStatus };
+}
+
+/**
+ * Link customers follow to pay again for an unpaid order (see /payment/retry)
+ */
+export function getRetryPaymentUrl(merchantTransactionId, baseUrl) {
+  return `${baseUrl}/payment/retry?transactionId=${encodeURIComponent(merchantTransactionId)}`;
+}
+
+/**
+ * Create a new PhonePe order for a failed or abandoned payment
+ * The retry reuses the original customer details, service, message and coupon
+ * under a new merchantTransactionId; the records are linked both ways
+ * (retry.retryOf, original.retriedBy).
+ * @throws 404 if the payment is unknown, 400 for non-PhonePe payments, 409 if it (or an earlier retry) was paid
+ */
+export async function retryPaymentOrder(merchantTransactionId, baseUrl) {
+  let original = getPayment(merchantTransactionId);
+  if (!original) {
+    throw providerError('Payment not found', { status: 404, details: `No payment record for ${merchantTransactionId}` });
+  }
+  if ((original.provider || DEFAULT_PROVIDER) !== phonepeProvider.name) {
+    throw providerError('Retry not supported', { status: 400, details: 'Only PhonePe payments can be retried' });
+  }
+
+  // The customer may have finished paying at the gateway after all
+  if (original.status === 'pending') {
+    try {
+      original = (await refreshPaymentStatus(merchantTransactionId)).payment;
+    } catch (error) {
+      if ((error.httpStatusCode || error.statusCode) !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  const paid = [original, ...(original.retriedBy || []).map(getPayment)]
+    .find(payment => payment && SETTLED_STATUSES.includes(payment.status));
+  if (paid) {
+    throw providerError('Payment already completed', {
+      status: 409,
+      details: 'This order has already been paid',
+      merchantTransactionId: paid.merchantTransactionId
+    });
+  }
+
+  // Services are charged the current catalogue price (it may have changed since the
+  // original order); only a donation carries its amount over
+  const { payment, paymentUrl } = await createPaymentOrder(phonepeProvider.name, {
+    serviceId: original.serviceId,
+    amount: original.serviceId === DONATION_SERVICE_ID ? original.originalAmount || original.amount : undefined,
+    couponCode: original.couponCode,
+    customerDetails: {
+      name: original.customerName,
+      email: original.customerEmail,
+      phone: original.customerPhone,
+      message: original.customerMessage,
+      gstin: original.customerGstin,
+      state: original.customerStateCode
+    },
+    retryOf: merchantTransactionId
+  }, baseUrl);
+
+  addPaymentRetry(merchantTransactionId, payment.merchantTransactionId);
+  console.log(`🔁 Payment ${merchantTransactionId} retried as ${payment.merchantTransactionId}`);
+
+  return { payment, paymentUrl };
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { retryPaymentOrder } from './index';
+import { phonepeProvider } from './phonepeProvider';
+import { savePayment, getPayment } from '../paymentStorage';
+
+/**
+ * Retrying a failed payment: a new order at today's price, linked to the original
+ */
+
+function seedFailedPayment(overrides = {}) {
+  const merchantTransactionId = crypto.randomUUID();
+  savePayment({
+    merchantTransactionId,
+    provider: 'phonepe',
+    status: 'failed',
+    customerName: 'Asha Verma',
+    customerEmail: 'asha@example.com',
+    customerPhone: '9876543210',
+    ...overrides
+  });
+  return merchantTransactionId;
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(phonepeProvider, 'createOrder').mockImplementation(async ({ merchantTransactionId }) => (
+    { providerOrderId: `OMO-${merchantTransactionId}`, paymentUrl: 'https://phonepe.example/pay' }
+  ));
+});
+
+describe('retryPaymentOrder', () => {
+  it('charges the current catalogue price when the price changed since the original order', async () => {
+    // Frontend Development (service 1) costs Rs. 150 in the catalogue; the original was ordered at Rs. 99
+    const id = seedFailedPayment({ amount: 9900, serviceId: 1, serviceName: 'Frontend Development' });
+
+    const { payment, paymentUrl } = await retryPaymentOrder(id, 'https://example.com');
+
+    expect(paymentUrl).toBe('https://phonepe.example/pay');
+    expect(payment).toMatchObject({ amount: 15000, serviceId: 1, retryOf: id });
+    expect(phonepeProvider.createOrder).toHaveBeenCalledWith(expect.objectContaining({ amount: 15000 }));
+    expect(getPayment(id).retriedBy).toEqual([payment.merchantTransactionId]);
+  });
+
+  it('keeps the amount of a donation', async () => {
+    const id = seedFailedPayment({ amount: 25000, serviceId: 'donation', serviceName: 'Donation' });
+
+    const { payment } = await retryPaymentOrder(id, 'https://example.com');
+
+    expect(payment).toMatchObject({ amount: 25000, serviceId: 'donation' });
+  });
+});
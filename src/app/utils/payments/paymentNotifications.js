@@ -0,0 +1,138 @@
+import {
+  trySetEmailsSent,
+  releaseEmailsSent,
+  tryClaimFailedEmail,
+  releaseFailedEmail,
+  tryClaimAbandonedCheckoutEmail,
+  releaseAbandonedCheckoutEmail
+} from '../paymentStorage';
+import { sendPaymentSuccessEmail, sendAdminPaymentNotification, sendPaymentFailedEmail, sendAbandonedCheckoutEmail } from '../emailService';
+import { issueTaxInvoice } from './taxInvoice';
+import { getBaseUrl, getRetryPaymentUrl } from './index';
+import { renderPaymentReceipt, getPaymentReceiptUrl } from '../receipts';
+
+/**
+ * Payment Emails
+ * Shared by the PhonePe webhook and reconciliation so a payment gets its
+ * emails exactly once, whichever of them settles it first. The success
+ * emails are guarded by paymentStorage.trySetEmailsSent, the failed email by
+ * its own claim (tryClaimFailedEmail).
+ */
+
+/**
+ * Send the customer confirmation (with PDF receipt / tax invoice) and the admin notification
+ * @param {object} payment - Saved payment record (amount in paise)
+ * @returns {boolean} true if this call sent the emails, false if they were already sent
+ * @throws If the customer email could not be sent (the emailsSent flag is released for a retry)
+ */
+export async function sendPaymentSuccessEmails(payment) {
+  const { merchantTransactionId, transactionId, amount, serviceName, customerName, customerEmail, customerPhone, customerMessage, environment } = payment;
+  const { originalAmount, discountAmount, couponCode } = payment;
+
+  // Atomically try to set emailsSent flag (only one process can succeed)
+  if (!trySetEmailsSent(merchantTransactionId)) {
+    console.log(`[${environment}] ℹ️  Emails already sent for this payment (skipping to avoid duplicates)`);
+    return false;
+  }
+
+  console.log(`[${environment}] 📧 Got permission to send emails (atomic lock acquired)`);
+  // Completed service payments are billed with a GST tax invoice (null when not applicable)
+  const invoice = issueTaxInvoice(merchantTransactionId);
+  // Receipt PDF rendered from the stored record, shared by both emails
+  const baseUrl = getBaseUrl();
+  let receipt = null;
+  try {
+    receipt = await renderPaymentReceipt(merchantTransactionId, baseUrl);
+  } catch (pdfError) {
+    console.warn(`[${environment}] ⚠️  PDF generation failed, sending emails without PDF attachment:`, pdfError.message);
+  }
+  // Note: Email service expects amount in paise (will convert to rupees)
+  if (customerEmail && customerName) {
+    const result = await sendPaymentSuccessEmail(customerEmail, customerName, {
+      transactionId,
+      merchantTransactionId,
+      amount,
+      originalAmount,
+      discountAmount,
+      couponCode,
+      invoice,
+      serviceName,
+      customerMessage: customerMessage || '',
+      receipt,
+      receiptUrl: getPaymentReceiptUrl(merchantTransactionId, baseUrl)
+    });
+    if (!result) {
+      // Let a retry, replay or reconciliation send the emails again
+      releaseEmailsSent(merchantTransactionId);
+      throw new Error(`Payment success email could not be sent to ${customerEmail}`);
+    }
+  }
+
+  // Send notification to admin (with PDF receipt attachment)
+  await sendAdminPaymentNotification({
+    customerName,
+    customerEmail,
+    customerPhone,
+    transactionId,
+    merchantTransactionId,
+    amount,
+    discountAmount,
+    couponCode,
+    invoiceNumber: invoice?.invoiceNumber,
+    serviceName,
+    message: customerMessage || '',
+    receipt
+  });
+
+  console.log(`[${environment}] ✅ Emails sent successfully`);
+  return true;
+}
+
+/**
+ * Send the payment failed email to the customer (once per failed payment)
+ * @returns {boolean} true if this call sent the email
+ */
+export async function sendPaymentFailedEmails(payment, reason) {
+  const { merchantTransactionId, transactionId, amount, serviceName, customerName, customerEmail, environment } = payment;
+
+  if (!customerEmail || !customerName || !tryClaimFailedEmail(merchantTransactionId)) {
+    return false;
+  }
+
+  const sent = await sendPaymentFailedEmail(customerEmail, customerName, {
+    transactionId,
+    amount,
+    serviceName,
+    errorMessage: reason,
+    retryUrl: getRetryPaymentUrl(merchantTransactionId, getBaseUrl())
+  });
+  if (!sent) {
+    releaseFailedEmail(merchantTransactionId);
+    console.warn(`[${environment}] ⚠️  Payment failed email could not be sent to ${customerEmail}`);
+  }
+  return sent;
+}
+
+/**
+ * Send the abandoned-checkout reminder for a payment left pending
+ * Guarded by paymentStorage.tryClaimAbandonedCheckoutEmail so each payment gets it at most once.
+ * @returns {boolean} true if this call sent the email
+ */
+export async function sendAbandonedCheckoutReminder(payment) {
+  const { merchantTransactionId, amount, serviceName, customerName, customerEmail, environment } = payment;
+
+  if (!customerEmail || !customerName || !tryClaimAbandonedCheckoutEmail(merchantTransactionId)) {
+    return false;
+  }
+
+  const sent = await sendAbandonedCheckoutEmail(customerEmail, customerName, {
+    serviceName,
+    amount,
+    resumeUrl: getRetryPaymentUrl(merchantTransactionId, getBaseUrl())
+  });
+  if (!sent) {
+    releaseAbandonedCheckoutEmail(merchantTransactionId);
+    console.warn(`[${environment}] ⚠️  Abandoned checkout email could not be sent to ${customerEmail}`);
+  }
+  return sent;
+}
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { StandardCheckoutClient, Env, MetaInfo, StandardCheckoutPayRequest, RefundRequest } from 'pg-sdk-node';
+import { providerError } from './providerError';
+
+/**
+ * PhonePe Payment Provider (pg-sdk-node Standard Checkout)
+ *
+ * Environment Variables Required:
+ * - PHONEPE_CLIENT_ID: Client ID (SANDBOX starts with "M", PRODUCTION with "SU")
+ * - PHONEPE_CLIENT_SECRET: Client Secret (also used for x-verify webhook signatures)
+ * - PHONEPE_CLIENT_VERSION: Client version (optional, defaults to 1.0.0)
+ * - PHONEPE_CLIENT_INDEX: Client index for x-verify signatures (optional, defaults to 1)
+ * - PHONEPE_ENVIRONMENT: 'SANDBOX' or 'PRODUCTION'
+ * - PHONEPE_WEBHOOK_USERNAME / PHONEPE_WEBHOOK_PASSWORD: Webhook credentials set in
+ *   the PhonePe dashboard (PhonePe sends SHA256(username:password) in the Authorization header)
+ */
+
+export function getPhonePeEnvironment() {
+  return process.env.PHONEPE_ENVIRONMENT || 'SANDBOX';
+}
+
+/**
+ * Get the PhonePe SDK client, validating credentials against the environment
+ */
+export function getPhonePeClient() {
+  const missingVars = [];
+  if (!process.env.PHONEPE_CLIENT_ID) missingVars.push('PHONEPE_CLIENT_ID');
+  if (!process.env.PHONEPE_CLIENT_SECRET) missingVars.push('PHONEPE_CLIENT_SECRET');
+
+  if (missingVars.length > 0) {
+    console.error('Missing PhonePe environment variables:', missingVars);
+    throw providerError('PhonePe credentials not configured', {
+      status: 500,
+      details: `Missing environment variables: ${missingVars.join(', ')}. Please set these in your Vercel project settings.`,
+      missingVariables: missingVars
+    });
+  }
+
+  const clientId = process.env.PHONEPE_CLIENT_ID.trim();
+  const clientSecret = process.env.PHONEPE_CLIENT_SECRET.trim();
+  const clientVersion = parseFloat(process.env.PHONEPE_CLIENT_VERSION || '1.0.0');
+  const environment = getPhonePeEnvironment();
+
+  // SANDBOX Client IDs start with "M", PRODUCTION Client IDs start with "SU"
+  if ((environment === 'SANDBOX' && !clientId.startsWith('M')) || (environment === 'PRODUCTION' && !clientId.startsWith('SU'))) {
+    throw providerError('PhonePe Credential Configuration Error', {
+      status: 400,
+      details: `Client ID prefix "${clientId.substring(0, 2)}" does not match PHONEPE_ENVIRONMENT=${environment}. SANDBOX Client IDs start with "M", PRODUCTION Client IDs start with "SU".`
+    });
+  }
+
+  return StandardCheckoutClient.getInstance(
+    clientId,
+    clientSecret,
+    clientVersion,
+    environment === 'PRODUCTION' ? Env.PRODUCTION : Env.SANDBOX
+  );
+}
+
+/**
+ * Map a PhonePe order status response to a payment record status
+ */
+export function normalizePhonePeOrderStatus(orderStatus) {
+  // The SDK returns camelCase paymentDetails; older responses used payment_details
+  const paymentDetails = orderStatus.paymentDetails || orderStatus.payment_details || [];
+  const latestPayment = paymentDetails[paymentDetails.length - 1];
+  const completedPayment = paymentDetails.find(payment => payment.state === 'COMPLETED');
+
+  // Payment is successful if the order or any payment attempt is COMPLETED
+  let status = 'pending';
+  if (orderStatus.state === 'COMPLETED' || completedPayment) {
+    status = 'completed';
+  } else if (orderStatus.state === 'FAILED' || latestPayment?.state === 'FAILED') {
+    status = 'failed';
+  }
+
+  return {
+    status,
+    providerState: orderStatus.state,
+    // Use orderId (OMO...) as primary transaction ID since that's what user sees on PhonePe screen
+    transactionId: orderStatus.orderId || orderStatus.order_id || completedPayment?.transactionId || latestPayment?.transactionId,
+    amount: orderStatus.amount,
+    paymentMode: (completedPayment || latestPayment)?.paymentMode,
+    errorCode: latestPayment?.errorCode || orderStatus.errorCode,
+    detailedErrorCode: latestPayment?.detailedErrorCode || orderStatus.detailedErrorCode,
+    metaInfo: orderStatus.metaInfo,
+    paymentDetails
+  };
+}
+
+// PhonePe refund states -> refund status (CONFIRMED means accepted, not yet completed)
+const REFUND_STATES = {
+  PENDING: 'refund_pending',
+  CONFIRMED: 'refund_pending',
+  COMPLETED: 'refunded',
+  FAILED: 'refund_failed'
+};
+
+export function normalizePhonePeRefundState(state) {
+  return REFUND_STATES[state] || 'refund_pending';
+}
+
+/**
+ * Verify PhonePe x-verify webhook signature using the OAuth Client Secret
+ * PhonePe sends signature in format: {signature}###{index}
+ */
+function verifyXVerifySignature(payload, receivedSignature, clientSecret, clientIndex) {
+  const [receivedSig, receivedIndex = clientIndex] = receivedSignature.split('###');
+  const base64Payload = Buffer.from(payload).toString('base64');
+
+  const candidates = [
+    // Method 1: SHA256(payload + /pg/v1/webhook/{clientSecret} + index)
+    crypto.createHash('sha256').update(payload + `/pg/v1/webhook/${clientSecret}` + receivedIndex).digest('hex'),
+    // Method 2: SHA256(base64(payload) + /pg/v1/webhook/{clientSecret} + index)
+    crypto.createHash('sha256').update(base64Payload + `/pg/v1/webhook/${clientSecret}` + receivedIndex).digest('hex'),
+    // Method 3: HMAC-SHA256 with clientSecret as secret
+    crypto.createHmac('sha256', clientSecret).update(payload).digest('hex'),
+    // Method 4: SHA256(payload + clientSecret + index)
+    crypto.createHash('sha256').update(payload + clientSecret + receivedIndex).digest('hex')
+  ];
+
+  return candidates.includes(receivedSig);
+}
+
+/**
+ * Verify the Authorization header PhonePe sends with dashboard-configured
+ * webhook credentials: SHA256(username:password) as hex
+ */
+function isWebhookAuthorizationValid(username, password, authorization) {
+  const expected = crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+  // Some integrations prefix the hash with the algorithm name
+  const received = authorization.trim().replace(/^SHA256\s+/i, '').toLowerCase();
+  return expected.length === received.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+export const phonepeProvider = {
+  name: 'phonepe',
+
+  /**
+   * Create a Standard Checkout order and return the PhonePe payment page URL
+   */
+  async createOrder({ merchantTransactionId, amount, serviceId, serviceName, customerDetails, redirectUrl }) {
+    // Note: PhonePe only supports udf1-udf5, so we encode customerMessage in udf5 along with serviceId
+    const metaInfoBuilder = MetaInfo.builder();
+    if (customerDetails?.name) metaInfoBuilder.udf1(customerDetails.name);
+    if (customerDetails?.email) metaInfoBuilder.udf2(customerDetails.email);
+    if (customerDetails?.phone) metaInfoBuilder.udf3(customerDetails.phone);
+    if (serviceName) metaInfoBuilder.udf4(serviceName);
+
+    // udf5 format is "serviceId|base64EncodedMessage" or just "serviceId" if no message
+    let udf5Value = serviceId ? serviceId.toString() : '';
+    if (customerDetails?.message?.trim()) {
+      udf5Value = `${udf5Value}|${Buffer.from(customerDetails.message).toString('base64')}`;
+    }
+    if (udf5Value) metaInfoBuilder.udf5(udf5Value);
+
+    const payRequest = StandardCheckoutPayRequest.builder()
+      .merchantOrderId(merchantTransactionId)
+      .amount(amount)
+      .redirectUrl(redirectUrl)
+      .metaInfo(metaInfoBuilder.build())
+      .build();
+
+    const paymentResponse = await getPhonePeClient().pay(payRequest);
+    if (!paymentResponse?.redirectUrl) {
+      throw providerError('Failed to get payment URL from PhonePe', {
+        status: 500,
+        details: 'PhonePe SDK did not return a redirect URL'
+      });
+    }
+
+    return {
+      providerOrderId: paymentResponse.orderId || merchantTransactionId,
+      paymentUrl: paymentResponse.redirectUrl
+    };
+  },
+
+  async getStatus(payment) {
+    const orderStatus = await getPhonePeClient().getOrderStatus(payment.merchantTransactionId);
+    return normalizePhonePeOrderStatus(orderStatus);
+  },
+
+  /**
+   * Verify an incoming PhonePe webhook
+   * Accepts either the Authorization header (SHA256 of the dashboard webhook
+   * username:password, same check as the SDK's validateCallback) or x-verify.
+   */
+  verifyWebhook(rawBody, headers) {
+    const clientSecret = process.env.PHONEPE_CLIENT_SECRET?.trim();
+    const username = process.env.PHONEPE_WEBHOOK_USERNAME;
+    const password = process.env.PHONEPE_WEBHOOK_PASSWORD;
+    const authorization = headers.get('authorization');
+    const xVerify = headers.get('x-verify');
+
+    if (!clientSecret && !(username && password)) {
+      return { valid: false, reason: 'not_configured' };
+    }
+
+    if (authorization && username && password) {
+      const valid = isWebhookAuthorizationValid(username, password, authorization);
+      return { valid, reason: valid ? 'authorization' : 'invalid_signature' };
+    }
+
+    if (xVerify && clientSecret) {
+      const valid = verifyXVerifySignature(rawBody, xVerify, clientSecret, process.env.PHONEPE_CLIENT_INDEX || '1');
+      return { valid, reason: valid ? 'x_verify' : 'invalid_signature' };
+    }
+
+    return { valid: false, reason: 'missing_signature' };
+  },
+
+  async refund(payment, { refundId, amount }) {
+    const refundRequest = RefundRequest.builder()
+      .merchantRefundId(refundId)
+      .originalMerchantOrderId(payment.merchantTransactionId)
+      .amount(amount)
+      .build();
+
+    const response = await getPhonePeClient().refund(refundRequest);
+    return {
+      refundId,
+      providerRefundId: response.refundId,
+      amount: response.amount,
+      state: response.state,
+      status: normalizePhonePeRefundState(response.state)
+    };
+  },
+
+  async getRefundStatus(payment, refund) {
+    const response = await getPhonePeClient().getRefundStatus(refund.refundId);
+    return {
+      status: normalizePhonePeRefundState(response.state),
+      providerState: response.state,
+      amount: response.amount
+    };
+  }
+};
@@ -0,0 +1,872 @@
+import { NextResponse } from 'next/server';
+import twilio from 'twilio';
+import { phonepeProvider, getPhonePeEnvironment, getPhonePeClient, normalizePhonePeOrderStatus } from './phonepeProvider';
+import {
+  savePayment,
+  updatePaymentStatus,
+  getPayment,
+  tryClaimWebhookKey,
+  releaseWebhookKey,
+  SETTLED_STATUSES,
+  REFUND_STATUSES
+} from '../paymentStorage';
+import { recordWebhookEvent, updateWebhookEvent } from '../webhookEventLog';
+import { parseJson } from '../validation';
+import { sendPaymentSuccessEmails, sendPaymentFailedEmails } from './paymentNotifications';
+import { applyRefundStatus, pollRefundStatus } from './refunds';
+import { providerErrorResponse } from './providerError';
+
+/**
+ * PhonePe Webhook Processing
+ *
+ * Shared by every PhonePe webhook URL:
+ * - /api/phonepe-webhook (follows PHONEPE_ENVIRONMENT)
+ * - /api/phonepe-webhook-sandbox
+ * - /api/phonepe-webhook-production
+ *
+ * The environment decides how strict processing is (see ENVIRONMENT_POLICIES);
+ * event types are mapped to handlers in WEBHOOK_EVENT_HANDLERS.
+ *
+ * Environment Variables Required:
+ * - PHONEPE_CLIENT_ID: Client ID for PhonePe
+ * - PHONEPE_CLIENT_SECRET: Client Secret (used for webhook signature verification)
+ * - PHONEPE_ENVIRONMENT: 'SANDBOX' or 'PRODUCTION'
+ * - PHONEPE_CLIENT_INDEX: Client index (usually '1', optional)
+ * - PHONEPE_WEBHOOK_USERNAME / PHONEPE_WEBHOOK_PASSWORD: Dashboard webhook credentials (Authorization header)
+ * - PHONEPE_WEBHOOK_STRICT: 'true' to reject every unauthenticated webhook, 'false' to
+ *   accept them (defaults to true for PRODUCTION once webhook credentials are set)
+ * - NEXT_PUBLIC_BASE_URL: Base URL of your application
+ *
+ * Unauthenticated events that are accepted never change a payment on their
+ * own: the order is confirmed with PhonePe's getOrderStatus first (refunds
+ * with the refund status).
+ */
+
+const ENVIRONMENT_POLICIES = {
+  SANDBOX: {
+    label: 'Sandbox',
+    // PhonePe SANDBOX webhooks are not always properly signed, so failures are only logged
+    rejectInvalidSignature: false,
+    requireMatchingEnvironment: false,
+    // Unknown events that carry a transaction id are processed as payment success
+    treatUnknownEventsAsSuccess: true
+  },
+  PRODUCTION: {
+    label: 'Production',
+    rejectInvalidSignature: true,
+    requireMatchingEnvironment: true,
+    treatUnknownEventsAsSuccess: false
+  }
+};
+
+/**
+ * Event type -> handler(data, environment, { authenticated })
+ * Handlers may return an outcome for the event log (defaults to 'processed').
+ * checkout.order.* are PhonePe's Standard Checkout events; the rest are older names.
+ */
+export const WEBHOOK_EVENT_HANDLERS = {
+  'subscription.redemption.order.completed': handleSubscriptionRedemptionCompleted,
+
+  'checkout.order.completed': handlePaymentSuccess,
+  'PAYMENT_SUCCESS': handlePaymentSuccess,
+  'payment.success': handlePaymentSuccess,
+
+  'checkout.order.failed': handlePaymentFailed,
+  'PAYMENT_FAILED': handlePaymentFailed,
+  'payment.failed': handlePaymentFailed,
+
+  'checkout.order.pending': handlePaymentPending,
+  'PAYMENT_PENDING': handlePaymentPending,
+  'payment.pending': handlePaymentPending,
+
+  'pg.refund.completed': handleRefundSuccess,
+  'REFUND_SUCCESS': handleRefundSuccess,
+  'refund.success': handleRefundSuccess,
+
+  'pg.refund.failed': handleRefundFailed,
+  'REFUND_FAILED': handleRefundFailed,
+  'refund.failed': handleRefundFailed
+};
+
+function getPolicy(environment) {
+  return ENVIRONMENT_POLICIES[environment] || ENVIRONMENT_POLICIES.SANDBOX;
+}
+
+/**
+ * Strict mode rejects any webhook that is not authenticated by the
+ * Authorization header or x-verify signature
+ */
+function isStrictMode(environment) {
+  const configured = process.env.PHONEPE_WEBHOOK_STRICT?.trim().toLowerCase();
+  if (configured === 'true' || configured === 'false') {
+    return configured === 'true';
+  }
+  return environment === 'PRODUCTION' && !!(process.env.PHONEPE_WEBHOOK_USERNAME && process.env.PHONEPE_WEBHOOK_PASSWORD);
+}
+
+// Our order id; PhonePe's own orderId (OMO...) is only used by very old payloads.
+// Refund events carry it as originalMerchantOrderId.
+function getMerchantTransactionId(data) {
+  return data.merchantOrderId || data.merchantTransactionId || data.originalMerchantOrderId || data.orderId || data.order?.id;
+}
+
+/**
+ * Identity of a webhook event: PhonePe retries deliver the same order id,
+ * (refund id,) state and event type. Returns null when the event carries no order id.
+ */
+function getIdempotencyKey(eventType, data) {
+  const merchantTransactionId = getMerchantTransactionId(data);
+  if (!merchantTransactionId) {
+    return null;
+  }
+  return ['phonepe', merchantTransactionId, data.merchantRefundId, data.state || 'UNKNOWN', eventType || 'unknown']
+    .filter(Boolean)
+    .join(':');
+}
+
+/**
+ * Process a PhonePe webhook request
+ * Every request is stored in the webhook event log with its signature result
+ * and processing outcome (processed, ignored, duplicate, rejected or failed).
+ * @param {Request} request - Incoming webhook request
+ * @param {string} environment - 'SANDBOX' or 'PRODUCTION' (defaults to PHONEPE_ENVIRONMENT)
+ * @param {object} options - Admin replays only: { replayOf: id of the logged event being replayed,
+ *   authenticated: whether that event passed the signature check }. A replay carries no
+ *   credentials, so it is trusted exactly as much as the original delivery was.
+ */
+export async function processPhonePeWebhook(request, environment = getPhonePeEnvironment(), { replayOf, authenticated = false } = {}) {
+  const policy = getPolicy(environment);
+  let event = null;
+
+  try {
+    console.log(`=== PhonePe ${policy.label} Webhook Received${replayOf ? ` (replay of ${replayOf})` : ''} ===`);
+
+    // Get the raw body for signature verification
+    const body = await request.text();
+    event = recordWebhookEvent({
+      provider: phonepeProvider.name,
+      environment,
+      url: new URL(request.url).pathname,
+      body,
+      headers: Object.fromEntries(request.headers),
+      replayOf
+    });
+
+    const replay = replayOf ? { authenticated } : null;
+    const result = await handleWebhook(body, request.headers, environment, event?.id, replay);
+    updateWebhookEvent(event?.id, {
+      outcome: result.outcome,
+      httpStatus: result.status,
+      completedAt: new Date().toISOString()
+    });
+
+    return NextResponse.json({ ...result.body, eventId: event?.id }, { status: result.status });
+
+  } catch (error) {
+    console.error(`❌ Error processing PhonePe ${policy.label.toLowerCase()} webhook:`, error);
+    console.error('Error stack:', error.stack);
+
+    updateWebhookEvent(event?.id, {
+      outcome: 'failed',
+      error: error.message,
+      httpStatus: 200,
+      completedAt: new Date().toISOString()
+    });
+
+    // Return 200 even on error to prevent retries for malformed requests
+    // The event stays in the log and can be replayed once the cause is fixed
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Error processing webhook',
+        message: error.message,
+        environment,
+        eventId: event?.id
+      },
+      { status: 200 }
+    );
+  }
+}
+
+/**
+ * Verify and dispatch a webhook body
+ * Returns { status, body, outcome } for the response and the event log.
+ * replay: { authenticated } for admin replays, instead of checking the headers
+ */
+async function handleWebhook(body, headers, environment, eventId, replay = null) {
+  const policy = getPolicy(environment);
+  let payload;
+  try {
+    payload = parseJson(body);
+  } catch (error) {
+    console.error('❌ Webhook body is not valid JSON');
+    const [errorBody, status] = providerErrorResponse(error, 'Invalid request data');
+    return { status, outcome: 'rejected', body: { ...errorBody, environment } };
+  }
+  const xMerchantId = headers.get('x-merchant-id');
+
+  // Log all headers for debugging (PhonePe might use different header names)
+  const headerEntries = [];
+  headers.forEach((value, key) => {
+    // Don't log sensitive values fully
+    const displayValue = key.toLowerCase().includes('secret') || key.toLowerCase().includes('auth')
+      ? value.substring(0, 10) + '...'
+      : value;
+    headerEntries.push(`  ${key}: ${displayValue}`);
+  });
+  console.log('📋 Webhook Headers Received:\n' + headerEntries.join('\n'));
+
+  // Extract event information
+  const eventType = payload.event || payload.type || payload.eventType;
+  // PhonePe sends data in payload.payload for checkout.order.* events
+  const eventData = payload.payload || payload.data || payload;
+
+  const verification = replay
+    ? { valid: replay.authenticated, reason: replay.authenticated ? 'replay' : 'missing_signature' }
+    : phonepeProvider.verifyWebhook(body, headers);
+  updateWebhookEvent(eventId, {
+    eventType,
+    merchantTransactionId: getMerchantTransactionId(eventData) || null,
+    signature: verification
+  });
+
+  // Check PHONEPE_ENVIRONMENT matches the webhook URL
+  const configuredEnvironment = getPhonePeEnvironment();
+  if (configuredEnvironment !== environment) {
+    if (policy.requireMatchingEnvironment) {
+      console.error(`❌ CRITICAL: PHONEPE_ENVIRONMENT is not set to ${environment}. Current:`, configuredEnvironment);
+      return {
+        status: 500,
+        outcome: 'rejected',
+        body: {
+          error: 'Webhook configuration error',
+          environment,
+          message: `PHONEPE_ENVIRONMENT must be set to ${environment} for ${policy.label.toLowerCase()} webhooks`
+        }
+      };
+    }
+    console.warn(`⚠️  Warning: PHONEPE_ENVIRONMENT is not set to ${environment}. Current:`, configuredEnvironment);
+  }
+
+  if (verification.valid) {
+    console.log(`✅ Signature verified successfully (${environment}, ${verification.reason})`);
+  } else if (isStrictMode(environment)) {
+    console.error(`❌ Strict mode: rejecting unauthenticated webhook (${verification.reason})`);
+    return {
+      status: verification.reason === 'not_configured' ? 500 : 401,
+      outcome: 'rejected',
+      body: {
+        error: verification.reason === 'not_configured' ? 'Webhook configuration error' : 'Unauthorized',
+        environment,
+        message: 'Strict mode requires a valid Authorization header or x-verify signature'
+      }
+    };
+  } else if (verification.reason === 'not_configured') {
+    if (policy.rejectInvalidSignature) {
+      console.error('❌ CRITICAL: PHONEPE_CLIENT_SECRET not set!');
+      return {
+        status: 500,
+        outcome: 'rejected',
+        body: { error: 'Webhook configuration error', environment }
+      };
+    }
+    console.warn('⚠️  PHONEPE_CLIENT_SECRET not set - webhook signature verification is disabled');
+  } else if (verification.reason === 'missing_signature') {
+    // PhonePe OAuth/Checkout webhooks may not include an x-verify signature
+    console.warn('⚠️  WARNING: No signature received from PhonePe. Payments will be confirmed with PhonePe before completing...');
+  } else if (policy.rejectInvalidSignature) {
+    console.error(`❌ CRITICAL: Invalid PhonePe ${policy.label.toLowerCase()} webhook signature`);
+    console.error('Merchant ID:', xMerchantId);
+    return {
+      status: 401,
+      outcome: 'rejected',
+      body: {
+        error: 'Invalid signature',
+        environment,
+        message: 'Webhook signature verification failed'
+      }
+    };
+  } else {
+    console.error(`❌ Invalid PhonePe ${policy.label.toLowerCase()} webhook signature`);
+    console.error(`⚠️  Signature verification failed, but continuing for ${environment}`);
+  }
+
+  console.log(`PhonePe ${policy.label} Webhook Event:`, {
+    eventType,
+    merchantId: xMerchantId,
+    timestamp: new Date().toISOString(),
+    environment
+  });
+
+  // Short-circuit retries of an event that was already processed
+  const idempotencyKey = getIdempotencyKey(eventType, eventData);
+  updateWebhookEvent(eventId, { idempotencyKey });
+  if (idempotencyKey && !tryClaimWebhookKey(idempotencyKey, { eventId, eventType, environment })) {
+    return {
+      status: 200,
+      outcome: 'duplicate',
+      body: {
+        success: true,
+        duplicate: true,
+        message: 'Duplicate webhook ignored',
+        eventType,
+        environment,
+        idempotencyKey
+      }
+    };
+  }
+
+  let outcome = 'processed';
+  const context = { authenticated: verification.valid };
+  try {
+    const handler = WEBHOOK_EVENT_HANDLERS[eventType];
+    if (handler) {
+      outcome = (await handler(eventData, environment, context)) || 'processed';
+    } else if (policy.treatUnknownEventsAsSuccess && (eventData?.merchantTransactionId || eventData?.orderId || eventData?.transactionId)) {
+      // Try to handle as payment success if it looks like a payment completion
+      console.log('Unhandled event type:', eventType);
+      console.log('Event data structure:', JSON.stringify(eventData, null, 2));
+      console.log('Attempting to process as payment success based on data structure');
+      outcome = (await handlePaymentSuccess(eventData, environment, context)) || 'processed';
+    } else {
+      console.log('Unhandled event type:', eventType);
+      outcome = 'ignored';
+    }
+  } catch (error) {
+    // Let PhonePe retries (or an admin replay) process the event again
+    if (idempotencyKey) {
+      releaseWebhookKey(idempotencyKey);
+    }
+    throw error;
+  }
+
+  // An unconfirmed event did nothing, so a genuine delivery of it must still be processed
+  if (outcome === 'unconfirmed' && idempotencyKey) {
+    releaseWebhookKey(idempotencyKey);
+  }
+
+  // Always return 200 OK to acknowledge receipt
+  // PhonePe will retry if it doesn't receive a 200 response
+  return {
+    status: 200,
+    outcome,
+    body: {
+      success: true,
+      message: outcome === 'unconfirmed'
+        ? 'Webhook received but payment not confirmed by PhonePe'
+        : `${policy.label} webhook received and processed`,
+      outcome,
+      eventType,
+      environment
+    }
+  };
+}
+
+/**
+ * Describe a webhook endpoint (GET requests, for webhook verification/testing)
+ */
+export function getPhonePeWebhookInfo(environment, url) {
+  const policy = getPolicy(environment);
+  const currentEnvironment = getPhonePeEnvironment();
+  const hasWebhookCredentials = !!(process.env.PHONEPE_WEBHOOK_USERNAME && process.env.PHONEPE_WEBHOOK_PASSWORD);
+  const isConfigured = (!!process.env.PHONEPE_CLIENT_SECRET || hasWebhookCredentials) && currentEnvironment === environment;
+
+  return NextResponse.json({
+    message: `PhonePe ${policy.label} Webhook Endpoint`,
+    status: isConfigured ? 'active' : 'missing_credentials',
+    environment,
+    currentEnvironment,
+    timestamp: new Date().toISOString(),
+    url,
+    instructions: `This endpoint accepts POST requests from PhonePe ${policy.label.toLowerCase()} webhooks`,
+    strictMode: isStrictMode(environment),
+    authorizationHeaderAuth: hasWebhookCredentials ? 'configured' : 'not_configured',
+    handledEvents: Object.keys(WEBHOOK_EVENT_HANDLERS),
+    requiredEnvVars: [
+      'PHONEPE_CLIENT_ID',
+      'PHONEPE_CLIENT_SECRET',
+      `PHONEPE_ENVIRONMENT (set to ${environment})`,
+      'PHONEPE_CLIENT_INDEX (optional, defaults to 1)',
+      'PHONEPE_WEBHOOK_USERNAME / PHONEPE_WEBHOOK_PASSWORD (recommended)',
+      'PHONEPE_WEBHOOK_STRICT (optional)',
+      'NEXT_PUBLIC_BASE_URL'
+    ]
+  });
+}
+
+/**
+ * Handle subscription redemption order completed event
+ */
+async function handleSubscriptionRedemptionCompleted(data, environment) {
+  console.log(`[${environment}] Subscription Redemption Completed:`, data);
+
+  const orderId = data.orderId || data.merchantTransactionId;
+  const amount = data.amount || data.amountPaid;
+
+  // TODO: Implement your business logic here
+  // Save to database, send emails, etc.
+
+  console.log(`[${environment}] Subscription redemption processed: Order ${orderId}, Amount: ${amount}`);
+}
+
+/**
+ * Unauthenticated order events are not trusted: the order is checked with
+ * PhonePe's getOrderStatus instead. Returns the normalized order status (with
+ * merchantOrderId) when PhonePe reports expectedStatus, otherwise null.
+ */
+async function confirmOrderEvent(data, expectedStatus, environment) {
+  const merchantOrderId = getMerchantTransactionId(data);
+  if (!merchantOrderId) {
+    console.error(`[${environment}] ❌ Unauthenticated webhook without merchantOrderId - cannot confirm ${expectedStatus} status`);
+    return null;
+  }
+
+  const confirmed = normalizePhonePeOrderStatus(await getPhonePeClient().getOrderStatus(merchantOrderId));
+  if (confirmed.status !== expectedStatus) {
+    console.warn(`[${environment}] ⚠️  PhonePe reports ${merchantOrderId} as ${confirmed.providerState} - not marking ${expectedStatus}`);
+    return null;
+  }
+
+  console.log(`[${environment}] ✅ Order ${expectedStatus} confirmed with PhonePe getOrderStatus: ${merchantOrderId}`);
+  return { ...confirmed, merchantOrderId };
+}
+
+/**
+ * Handle payment success event
+ */
+async function handlePaymentSuccess(data, environment, { authenticated = false } = {}) {
+  console.log(`[${environment}] Payment Success:`, JSON.stringify(data, null, 2));
+
+  try {
+    // Never trust an unauthenticated completion event: ask PhonePe for the order status
+    if (!authenticated) {
+      const confirmed = await confirmOrderEvent(data, 'completed', environment);
+      if (!confirmed) {
+        return 'unconfirmed';
+      }
+
+      // Use PhonePe's own order details rather than the unauthenticated body
+      data = {
+        ...data,
+        merchantOrderId: confirmed.merchantOrderId,
+        orderId: confirmed.transactionId,
+        state: confirmed.providerState,
+        amount: confirmed.amount,
+        paymentDetails: confirmed.paymentDetails,
+        metaInfo: confirmed.metaInfo || data.metaInfo
+      };
+    }
+
+    // Extract transaction details - PhonePe may send data in different structures
+    // For checkout.order.completed, data is the payload object
+    // Use orderId (OMO...) as primary transaction ID since that's what user sees on PhonePe screen
+    const transactionId = data.orderId || data.paymentDetails?.[0]?.transactionId || data.transactionId || data.phonepeTransactionId || data.paymentId || data.id;
+    const merchantTransactionId = getMerchantTransactionId(data);
+    const amount = data.amount || data.amountPaid || data.order?.amount || (data.order?.amountPaid ? data.order.amountPaid : null);
+    const paymentId = data.paymentDetails?.[0]?.transactionId || data.paymentId || data.phonepeTransactionId || transactionId;
+    const paymentMode = data.paymentDetails?.[0]?.paymentMode || data.paymentMode || data.paymentMethod || data.payment?.method;
+
+    // Extract customer details from metaInfo (PhonePe UDF fields)
+    const metaInfo = data.metaInfo || {};
+    const customerName = metaInfo.udf1 || data.customerName || data.name;
+    const customerEmail = metaInfo.udf2 || data.customerEmail || data.email;
+    const customerPhone = metaInfo.udf3 || data.customerPhone || data.phone;
+    const serviceName = metaInfo.udf4 || data.serviceName;
+
+    // Extract serviceId and customerMessage from udf5 (format: "serviceId|base64EncodedMessage" or just "serviceId")
+    let serviceId = null;
+    let customerMessageFromMeta = null;
+    if (metaInfo.udf5) {
+      const udf5Parts = metaInfo.udf5.split('|');
+      serviceId = udf5Parts[0] || data.serviceId;
+      if (udf5Parts.length > 1 && udf5Parts[1]) {
+        try {
+          // Decode base64 encoded message
+          customerMessageFromMeta = Buffer.from(udf5Parts[1], 'base64').toString('utf-8');
+          console.log(`[${environment}] ✅ Decoded customerMessage from metaInfo (${customerMessageFromMeta.length} chars)`);
+        } catch (error) {
+          console.warn(`[${environment}] ⚠️  Failed to decode customerMessage from metaInfo:`, error);
+        }
+      }
+    } else {
+      serviceId = data.serviceId;
+    }
+
+    console.log(`[${environment}] Extracted payment details:`, {
+      transactionId,
+      merchantTransactionId,
+      amount,
+      paymentId,
+      paymentMode
+    });
+
+    // Validate required fields
+    if (!merchantTransactionId) {
+      console.error(`[${environment}] ❌ Missing merchantTransactionId in webhook data. Cannot process payment.`);
+      console.error(`[${environment}] Full webhook data:`, JSON.stringify(data, null, 2));
+      return;
+    }
+
+    // Get existing payment record if available
+    let payment = getPayment(merchantTransactionId);
+
+    if (!payment) {
+      console.warn(`[${environment}] ⚠️  No existing payment record found for ${merchantTransactionId}. Creating new record from webhook data.`);
+    } else {
+      console.log(`[${environment}] ✅ Found existing payment record with customerMessage:`, payment.customerMessage ? 'Present' : 'Missing');
+      console.log(`[${environment}] 📧 Existing payment record emailsSent:`, payment.emailsSent || false);
+    }
+
+    // Use customer details from webhook metaInfo, fallback to payment record, then webhook data
+    const finalCustomerName = customerName || payment?.customerName || data.customerName || data.name;
+    const finalCustomerEmail = customerEmail || payment?.customerEmail || data.customerEmail || data.email;
+    const finalCustomerPhone = customerPhone || payment?.customerPhone || data.customerPhone || data.phone;
+    const finalServiceName = serviceName || payment?.serviceName || data.serviceName;
+    const finalServiceId = serviceId || payment?.serviceId || data.serviceId;
+    // Prioritize customerMessage from metaInfo (webhook), then payment record, then webhook data
+    const customerMessage = customerMessageFromMeta || payment?.customerMessage || data.message || '';
+
+    console.log(`[${environment}] 📝 Customer message for email:`, customerMessage ? `Present (${customerMessage.length} chars)` : 'Missing/Empty');
+
+    // Update or create payment record (a refunded payment stays refunded)
+    const saved = savePayment({
+      merchantTransactionId,
+      transactionId,
+      status: 'completed',
+      amount: amount || payment?.amount || null, // Amount in paise (same unit as order creation)
+      serviceId: finalServiceId,
+      serviceName: finalServiceName,
+      customerName: finalCustomerName,
+      customerEmail: finalCustomerEmail,
+      customerPhone: finalCustomerPhone,
+      customerMessage,
+      paymentMode,
+      paymentState: data.state || 'COMPLETED',
+      environment
+    }, { protectedStatuses: REFUND_STATUSES });
+    if (!saved) {
+      console.warn(`[${environment}] ⚠️  Ignoring success event for ${payment.status} payment: ${merchantTransactionId}`);
+      return 'ignored';
+    }
+    payment = saved;
+    console.log(`[${environment}] ✅ Payment record saved: ${merchantTransactionId}`);
+
+    await sendPaymentSuccessEmails(payment);
+
+    await sendPaymentSmsNotifications({
+      amount,
+      transactionId: transactionId || merchantTransactionId,
+      customerName: finalCustomerName,
+      customerEmail: finalCustomerEmail,
+      customerPhone: finalCustomerPhone,
+      serviceName: finalServiceName
+    }, environment);
+
+    console.log(`[${environment}] ✅ Payment successful: Transaction ${transactionId}, Amount: ₹${(amount / 100).toFixed(2)}, Payment ID: ${paymentId}`);
+  } catch (error) {
+    console.error(`[${environment}] ❌ Error handling payment success:`, error);
+    // Rethrow so the event is logged as failed and can be replayed (PhonePe still gets a 200)
+    throw error;
+  }
+}
+
+/**
+ * Format phone numbers to E.164 format (same as contact form)
+ */
+function formatPhoneNumber(phone) {
+  if (!phone) return null;
+  // Remove all spaces, dashes, and parentheses
+  let formatted = phone.replace(/[\s\-\(\)]/g, '');
+
+  // If already has country code, just ensure it has +
+  if (!formatted.startsWith('+')) {
+    // If it's a 10-digit Indian number, add +91
+    if (formatted.length === 10 && /^[6-9]\d{9}$/.test(formatted)) {
+      formatted = '+91' + formatted;
+    } else {
+      // Otherwise just add +
+      formatted = '+' + formatted;
+    }
+  }
+  return formatted;
+}
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Send payment SMS to admin and customer if Twilio is configured (same pattern as contact form)
+ * SMS failures are logged and never fail the webhook.
+ */
+async function sendPaymentSmsNotifications({ amount, transactionId, customerName, customerEmail, customerPhone, serviceName }, environment) {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER || !process.env.MY_PHONE_NUMBER) {
+    console.warn(`[${environment}] ⚠️  SMS notifications skipped: Twilio not fully configured`);
+    return;
+  }
+
+  try {
+    const client = twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+
+    const twilioPhone = formatPhoneNumber(process.env.TWILIO_PHONE_NUMBER);
+    const recipientPhone = formatPhoneNumber(process.env.MY_PHONE_NUMBER);
+
+    if (!E164_PATTERN.test(twilioPhone)) {
+      throw new Error(`Invalid Twilio phone number format: ${twilioPhone}. Must be in E.164 format (e.g., +1234567890)`);
+    }
+    if (!E164_PATTERN.test(recipientPhone)) {
+      throw new Error(`Invalid recipient phone number format: ${recipientPhone}. Must be in E.164 format (e.g., +919876543210)`);
+    }
+
+    const amountInRupees = amount ? (amount / 100).toFixed(2) : '0.00';
+
+    // Send SMS to admin (your number - should always work)
+    const smsMessage = `💰 New Payment Received!\n\nCustomer: ${customerName}\nService: ${serviceName}\nAmount: ₹${amountInRupees}\nTransaction ID: ${transactionId}\n\nContact: ${customerEmail || customerPhone || 'N/A'}`;
+    try {
+      console.log(`[${environment}] 📱 Attempting to send admin SMS to ${recipientPhone}...`);
+      const adminSmsResponse = await client.messages.create({
+        body: smsMessage,
+        from: twilioPhone,
+        to: recipientPhone,
+      });
+      console.log(`[${environment}] ✅ Admin SMS notification sent to ${recipientPhone}`, {
+        sid: adminSmsResponse.sid,
+        status: adminSmsResponse.status
+      });
+    } catch (adminSmsError) {
+      if (adminSmsError.code === 21659 || adminSmsError.message?.includes('not a Twilio phone number')) {
+        console.error(`[${environment}] ❌ SMS Error: The phone number used for TWILIO_PHONE_NUMBER is not a valid Twilio number.`);
+        console.error(`[${environment}] To get a Twilio number: Go to Twilio Console → Phone Numbers → Manage → Buy a number`);
+      } else {
+        console.error(`[${environment}] ❌ Error sending admin SMS:`, adminSmsError.message || adminSmsError, {
+          code: adminSmsError.code,
+          status: adminSmsError.status,
+          moreInfo: adminSmsError.moreInfo
+        });
+      }
+    }
+
+    // Send SMS to customer (if customer phone is available)
+    const formattedCustomerPhone = formatPhoneNumber(customerPhone);
+    if (!formattedCustomerPhone) {
+      console.warn(`[${environment}] ⚠️  Customer SMS skipped: Customer phone not provided`);
+      return;
+    }
+    if (!E164_PATTERN.test(formattedCustomerPhone)) {
+      console.warn(`[${environment}] ⚠️  Customer SMS skipped: Invalid phone number format: ${formattedCustomerPhone}`);
+      return;
+    }
+
+    const customerSmsMessage = `✅ Payment Successful!\n\nDear ${customerName},\n\nYour payment of ₹${amountInRupees} for ${serviceName} has been received.\n\nTransaction ID: ${transactionId}\n\nThank you for your payment!`;
+    try {
+      console.log(`[${environment}] 📱 Attempting to send customer SMS to ${formattedCustomerPhone}...`);
+      const customerSmsResponse = await client.messages.create({
+        body: customerSmsMessage,
+        from: twilioPhone,
+        to: formattedCustomerPhone,
+      });
+      console.log(`[${environment}] ✅ Customer SMS notification sent to ${formattedCustomerPhone}`, {
+        sid: customerSmsResponse.sid,
+        status: customerSmsResponse.status
+      });
+    } catch (customerSmsError) {
+      console.error(`[${environment}] ❌ Error sending customer SMS:`, customerSmsError.message || customerSmsError, {
+        code: customerSmsError.code,
+        status: customerSmsError.status,
+        moreInfo: customerSmsError.moreInfo
+      });
+    }
+  } catch (smsError) {
+    console.error(`[${environment}] ❌ Error in SMS notification setup:`, smsError.message || smsError);
+  }
+}
+
+/**
+ * Handle payment failed event
+ */
+async function handlePaymentFailed(data, environment, { authenticated = false } = {}) {
+  console.log(`[${environment}] Payment Failed:`, data);
+
+  try {
+    // A forged failure must not fail a pending order (or email the customer)
+    if (!authenticated) {
+      const confirmed = await confirmOrderEvent(data, 'failed', environment);
+      if (!confirmed) {
+        return 'unconfirmed';
+      }
+
+      // Only PhonePe's own details, so the failure reason in the email can't be made up
+      data = {
+        merchantOrderId: confirmed.merchantOrderId,
+        state: confirmed.providerState,
+        paymentDetails: confirmed.paymentDetails,
+        errorCode: confirmed.errorCode,
+        detailedErrorCode: confirmed.detailedErrorCode
+      };
+    }
+
+    const merchantTransactionId = getMerchantTransactionId(data);
+    const latestAttempt = data.paymentDetails?.[data.paymentDetails.length - 1];
+    const transactionId = data.transactionId || data.phonepeTransactionId || latestAttempt?.transactionId;
+    const errorCode = data.errorCode || data.detailedErrorCode || latestAttempt?.errorCode;
+    const reason = data.reason || data.failureReason || errorCode || 'Payment failed';
+
+    // A late failure for an earlier attempt must not undo a paid or refunded payment
+    const updated = updatePaymentStatus(merchantTransactionId, 'failed', {
+      transactionId,
+      errorCode,
+      failureReason: reason,
+      paymentState: 'FAILED'
+    }, { protectedStatuses: SETTLED_STATUSES });
+    if (!updated) {
+      console.warn(`[${environment}] ⚠️  Ignoring failed event for unknown or settled payment: ${merchantTransactionId}`);
+      return 'ignored';
+    }
+
+    console.log(`[${environment}] ✅ Payment status updated to failed: ${merchantTransactionId}`);
+
+    // Send failure notification email to customer
+    await sendPaymentFailedEmails(updated, reason);
+
+    console.log(`[${environment}] ✅ Payment failed: Transaction ${transactionId}, Reason: ${reason}`);
+  } catch (error) {
+    console.error(`[${environment}] ❌ Error handling payment failure:`, error);
+    // Rethrow so the event is logged as failed and can be replayed (PhonePe still gets a 200)
+    throw error;
+  }
+}
+
+/**
+ * Handle payment pending event
+ */
+async function handlePaymentPending(data, environment, { authenticated = false } = {}) {
+  console.log(`[${environment}] Payment Pending:`, data);
+
+  try {
+    if (!authenticated) {
+      const confirmed = await confirmOrderEvent(data, 'pending', environment);
+      if (!confirmed) {
+        return 'unconfirmed';
+      }
+      data = { merchantOrderId: confirmed.merchantOrderId, amount: confirmed.amount };
+    }
+
+    const transactionId = data.transactionId || data.phonepeTransactionId;
+    const merchantTransactionId = getMerchantTransactionId(data);
+    const amount = data.amount;
+
+    // Update payment status to pending (never back from paid or refunded)
+    const updated = updatePaymentStatus(merchantTransactionId, 'pending', {
+      transactionId,
+      paymentState: 'PENDING'
+    }, { protectedStatuses: SETTLED_STATUSES });
+    if (!updated) {
+      console.warn(`[${environment}] ⚠️  Ignoring pending event for unknown or settled payment: ${merchantTransactionId}`);
+      return 'ignored';
+    }
+
+    console.log(`[${environment}] ✅ Payment status updated to pending: ${merchantTransactionId}`);
+    console.log(`[${environment}] Payment pending: Transaction ${transactionId}, Amount: ₹${amount ? (amount / 100).toFixed(2) : 'N/A'}`);
+  } catch (error) {
+    console.error(`[${environment}] ❌ Error handling payment pending:`, error);
+    // Rethrow so the event is logged as failed and can be replayed (PhonePe still gets a 200)
+    throw error;
+  }
+}
+
+/**
+ * Refund fields from a PhonePe refund event
+ * merchantRefundId is our refund id; refundId is PhonePe's
+ */
+function getRefundDetails(data) {
+  return {
+    merchantTransactionId: getMerchantTransactionId(data),
+    refundId: data.merchantRefundId || data.refundId,
+    providerRefundId: data.refundId,
+    amount: data.refundAmount || data.amount
+  };
+}
+
+/**
+ * Unauthenticated refund events are not trusted: the refund is checked with
+ * PhonePe's refund status instead. Returns the outcome for the event log.
+ */
+async function confirmRefundEvent({ merchantTransactionId, refundId }, expectedStatus, environment) {
+  const payment = getPayment(merchantTransactionId);
+  if (payment?.refunds?.some(refund => refund.refundId === refundId)) {
+    const updated = await pollRefundStatus(merchantTransactionId);
+    if (updated.refunds.find(refund => refund.refundId === refundId)?.status === expectedStatus) {
+      return 'processed';
+    }
+  }
+  console.warn(`[${environment}] ⚠️  Unauthenticated refund event not confirmed by PhonePe: ${refundId}`);
+  return 'unconfirmed';
+}
+
+/**
+ * Handle refund success event
+ */
+async function handleRefundSuccess(data, environment, { authenticated = false } = {}) {
+  console.log(`[${environment}] Refund Success:`, data);
+
+  try {
+    const { merchantTransactionId, refundId, providerRefundId, amount } = getRefundDetails(data);
+    if (!authenticated) {
+      return await confirmRefundEvent({ merchantTransactionId, refundId }, 'refunded', environment);
+    }
+
+    const result = await applyRefundStatus(merchantTransactionId, refundId, {
+      status: 'refunded',
+      providerState: data.state || 'COMPLETED',
+      providerRefundId,
+      amount
+    });
+
+    if (!result) {
+      console.warn(`[${environment}] ⚠️  Payment record not found for refund: ${merchantTransactionId}`);
+      return 'ignored';
+    }
+    if (result.emailSent === false) {
+      throw new Error(`Refund email could not be sent to ${result.payment.customerEmail}`);
+    }
+
+    console.log(`[${environment}] ✅ Refund processed: ${merchantTransactionId}, Amount: ₹${amount ? (amount / 100).toFixed(2) : 'N/A'}, Refund ID: ${refundId}`);
+  } catch (error) {
+    console.error(`[${environment}] ❌ Error handling refund:`, error);
+    // Rethrow so the event is logged as failed and can be replayed (PhonePe still gets a 200)
+    throw error;
+  }
+}
+
+/**
+ * Handle refund failed event
+ */
+async function handleRefundFailed(data, environment, { authenticated = false } = {}) {
+  console.log(`[${environment}] Refund Failed:`, data);
+
+  try {
+    const { merchantTransactionId, refundId, providerRefundId, amount } = getRefundDetails(data);
+    if (!authenticated) {
+      return await confirmRefundEvent({ merchantTransactionId, refundId }, 'refund_failed', environment);
+    }
+
+    const result = await applyRefundStatus(merchantTransactionId, refundId, {
+      status: 'refund_failed',
+      providerState: data.state || 'FAILED',
+      providerRefundId,
+      amount,
+      error: data.errorCode || data.detailedErrorCode || null
+    });
+
+    if (!result) {
+      console.warn(`[${environment}] ⚠️  Payment record not found for refund: ${merchantTransactionId}`);
+      return 'ignored';
+    }
+
+    console.log(`[${environment}] ⚠️  Refund failed: ${merchantTransactionId}, Refund ID: ${refundId}`);
+  } catch (error) {
+    console.error(`[${environment}] ❌ Error handling refund failure:`, error);
+    throw error;
+  }
+}
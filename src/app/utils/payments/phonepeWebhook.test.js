@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { processPhonePeWebhook } from './phonepeWebhook';
+import { sendPaymentSuccessEmails, sendPaymentFailedEmails } from './paymentNotifications';
+import { savePayment, getPayment } from '../paymentStorage';
+
+/**
+ * Payment status transitions driven by authenticated PhonePe webhooks
+ * Late or duplicate events must never move a paid or refunded payment back.
+ */
+
+vi.mock('./paymentNotifications', () => ({
+  sendPaymentSuccessEmails: vi.fn(),
+  sendPaymentFailedEmails: vi.fn()
+}));
+
+const AUTHORIZATION = crypto.createHash('sha256').update('webhook-user:webhook-pass').digest('hex');
+
+const EVENTS = {
+  completed: 'checkout.order.completed',
+  failed: 'checkout.order.failed',
+  pending: 'checkout.order.pending'
+};
+
+function seedPayment(status) {
+  const merchantTransactionId = crypto.randomUUID();
+  savePayment({
+    merchantTransactionId,
+    provider: 'phonepe',
+    status,
+    amount: 11800,
+    serviceName: 'Frontend Development',
+    customerName: 'Asha Verma',
+    customerEmail: 'asha@example.com'
+  });
+  return merchantTransactionId;
+}
+
+async function sendEvent(merchantTransactionId, state) {
+  const request = new Request('http://localhost/api/phonepe-webhook-sandbox', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: AUTHORIZATION },
+    body: JSON.stringify({
+      event: EVENTS[state],
+      payload: { merchantOrderId: merchantTransactionId, orderId: 'OMO123', state: state.toUpperCase(), amount: 11800 }
+    })
+  });
+  const response = await processPhonePeWebhook(request, 'SANDBOX');
+  return response.json();
+}
+
+beforeEach(() => {
+  vi.stubEnv('PHONEPE_ENVIRONMENT', 'SANDBOX');
+  vi.stubEnv('PHONEPE_WEBHOOK_USERNAME', 'webhook-user');
+  vi.stubEnv('PHONEPE_WEBHOOK_PASSWORD', 'webhook-pass');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.clearAllMocks();
+});
+
+describe('PhonePe webhook status transitions', () => {
+  it('completes a pending payment and sends the success emails', async () => {
+    const id = seedPayment('pending');
+    const result = await sendEvent(id, 'completed');
+
+    expect(result.outcome).toBe('processed');
+    expect(getPayment(id).status).toBe('completed');
+    expect(sendPaymentSuccessEmails).toHaveBeenCalledOnce();
+  });
+
+  it('fails a pending payment and sends the failure email', async () => {
+    const id = seedPayment('pending');
+    await sendEvent(id, 'failed');
+
+    expect(getPayment(id).status).toBe('failed');
+    expect(sendPaymentFailedEmails).toHaveBeenCalledOnce();
+  });
+
+  it('ignores a duplicate delivery of the same event', async () => {
+    const id = seedPayment('pending');
+    await sendEvent(id, 'failed');
+    const result = await sendEvent(id, 'failed');
+
+    expect(result.duplicate).toBe(true);
+    expect(sendPaymentFailedEmails).toHaveBeenCalledOnce();
+  });
+
+  it.each(['completed', 'success', 'refund_pending', 'refunded', 'refund_failed'])(
+    'never moves a %s payment back to failed or pending',
+    async (status) => {
+      const id = seedPayment(status);
+
+      expect((await sendEvent(id, 'failed')).outcome).toBe('ignored');
+      expect((await sendEvent(id, 'pending')).outcome).toBe('ignored');
+      expect(getPayment(id).status).toBe(status);
+      expect(sendPaymentFailedEmails).not.toHaveBeenCalled();
+    }
+  );
+
+  it.each(['refund_pending', 'refunded', 'refund_failed'])(
+    'does not turn a %s payment back into completed',
+    async (status) => {
+      const id = seedPayment(status);
+
+      expect((await sendEvent(id, 'completed')).outcome).toBe('ignored');
+      expect(getPayment(id).status).toBe(status);
+      expect(sendPaymentSuccessEmails).not.toHaveBeenCalled();
+    }
+  );
+});
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import basicInfo from '../../../data/basicInfo.json';
+import { providerError } from './providerError';
+
+/**
+ * Price Catalogue
+ * Order amounts are decided on the server from the services in basicInfo.json;
+ * the browser only says which service it is paying for. Donations are the one
+ * exception: the donor chooses the amount.
+ *
+ * Every order records the catalogue version (a hash of the service prices) and
+ * a snapshot of the price it was charged, so later price edits don't change
+ * what old payment records mean.
+ */
+
+export const DONATION_SERVICE_ID = 'donation';
+
+// Smallest amount the gateways accept (₹1)
+export const MIN_AMOUNT = 100;
+
+const services = basicInfo.services || [];
+
+/**
+ * Short hash of the priced fields of every service; changes whenever a price changes
+ */
+export const CATALOGUE_VERSION = crypto
+  .createHash('sha256')
+  .update(JSON.stringify(services.map(({ id, title, preRegistrationFee, price, originalPrice, priceType }) => (
+    [id, title, preRegistrationFee, price, originalPrice, priceType]
+  ))))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * Find a service by id (accepts the numeric id or its string form)
+ */
+export function getCatalogueService(serviceId) {
+  return services.find(service => String(service.id) === String(serviceId)) || null;
+}
+
+/**
+ * Resolve the amount and price details for an order
+ * @param {object} order - { serviceId, amount? (paise, only used for donations or to detect stale prices) }
+ * @returns {{ amount, serviceId, serviceName, catalogueVersion, priceSnapshot }}
+ * @throws providerError (400 unknown service / invalid donation, 409 amount mismatch)
+ */
+export function priceOrder({ serviceId, amount }) {
+  if (serviceId === DONATION_SERVICE_ID) {
+    if (!Number.isInteger(amount) || amount < MIN_AMOUNT) {
+      throw providerError('Invalid amount', {
+        status: 400,
+        details: `Donation amount must be a whole number of paise, at least ${MIN_AMOUNT}`
+      });
+    }
+    return {
+      amount,
+      serviceId: DONATION_SERVICE_ID,
+      serviceName: 'Donation',
+      catalogueVersion: CATALOGUE_VERSION,
+      priceSnapshot: null
+    };
+  }
+
+  const service = serviceId !== undefined && serviceId !== null ? getCatalogueService(serviceId) : null;
+  if (!service) {
+    throw providerError('Unknown service', {
+      status: 400,
+      details: serviceId ? `No service with id ${serviceId}` : 'serviceId is required'
+    });
+  }
+
+  const catalogueAmount = Math.round(parseFloat(service.preRegistrationFee) * 100);
+  if (!Number.isInteger(catalogueAmount) || catalogueAmount < MIN_AMOUNT) {
+    console.error(`❌ Service ${service.id} has an invalid preRegistrationFee: ${service.preRegistrationFee}`);
+    throw providerError('Service is not available for payment', { status: 400 });
+  }
+
+  // Clients no longer send an amount; one that does must agree with the catalogue
+  if (amount !== undefined && amount !== null && Number(amount) !== catalogueAmount) {
+    console.warn(`⚠️  Price mismatch for service ${service.id}: client sent ${amount}, catalogue has ${catalogueAmount}`);
+    throw providerError('Price mismatch', {
+      status: 409,
+      details: 'The price of this service has changed. Please refresh the page and try again.',
+      expectedAmount: catalogueAmount
+    });
+  }
+
+  return {
+    amount: catalogueAmount,
+    serviceId: service.id,
+    serviceName: service.title,
+    catalogueVersion: CATALOGUE_VERSION,
+    priceSnapshot: {
+      preRegistrationFee: service.preRegistrationFee,
+      price: service.price,
+      originalPrice: service.originalPrice,
+      priceType: service.priceType,
+      currency: 'INR'
+    }
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * Build an Error carrying the HTTP status and response fields for API routes
+ * (same shape routes already return: { error, details, ... })
+ */
+export function providerError(message, { status = 500, ...fields } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.fields = fields;
+  return error;
+}
+
+/**
+ * Convert a provider/SDK error into [body, status] for NextResponse.json
+ */
+export function providerErrorResponse(error, fallbackMessage) {
+  if (error.fields) {
+    return [{ error: error.message, ...error.fields }, error.status];
+  }
+
+  // Errors thrown by gateway SDKs (PhonePe uses httpStatusCode, Razorpay statusCode)
+  const status = error.httpStatusCode || error.statusCode || 500;
+  return [
+    {
+      error: fallbackMessage,
+      details: error.error?.description || error.message || 'An unexpected error occurred'
+    },
+    status >= 400 && status < 600 ? status : 500
+  ];
+}
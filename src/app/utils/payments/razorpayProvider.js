@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import { providerError } from './providerError';
+
+/**
+ * Razorpay Payment Provider (used for donations)
+ *
+ * Environment Variables Required:
+ * - RAZORPAY_KEY_ID: Key ID (also returned to the browser for Razorpay Checkout)
+ * - RAZORPAY_KEY_SECRET: Key Secret
+ * - RAZORPAY_WEBHOOK_SECRET: Webhook secret (only needed for /api/payments/webhook/razorpay)
+ */
+
+let razorpayClient = null;
+
+// Razorpay refund statuses -> refund status
+const REFUND_STATES = {
+  pending: 'refund_pending',
+  processed: 'refunded',
+  failed: 'refund_failed'
+};
+
+function getRazorpayClient() {
+  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    throw providerError('Razorpay keys not configured', {
+      status: 500,
+      details: 'Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in your environment variables.',
+      missingVariables: ['RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET'].filter(name => !process.env[name])
+    });
+  }
+
+  if (!razorpayClient) {
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpayClient;
+}
+
+function safeCompare(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received || '');
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+export const razorpayProvider = {
+  name: 'razorpay',
+
+  /**
+   * Create a Razorpay order; the browser opens Razorpay Checkout with `checkout`
+   */
+  async createOrder({ merchantTransactionId, amount, serviceId, serviceName, customerDetails }) {
+    const order = await getRazorpayClient().orders.create({
+      amount, // amount in paise
+      currency: 'INR',
+      receipt: merchantTransactionId,
+      notes: {
+        merchantTransactionId,
+        serviceId: serviceId || 'donation',
+        serviceName: serviceName || 'Donation',
+        customerName: customerDetails?.name || '',
+        customerEmail: customerDetails?.email || '',
+        customerPhone: customerDetails?.phone || '',
+        customerMessage: customerDetails?.message || ''
+      }
+    });
+
+    return {
+      providerOrderId: order.id,
+      checkout: {
+        key: process.env.RAZORPAY_KEY_ID,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency
+      }
+    };
+  },
+
+  /**
+   * Fetch the order and its payment attempts from Razorpay (never trusts the browser)
+   */
+  async getStatus(payment) {
+    const client = getRazorpayClient();
+    const order = await client.orders.fetch(payment.providerOrderId);
+    const { items: attempts = [] } = await client.orders.fetchPayments(payment.providerOrderId);
+
+    const capturedPayment = attempts.find(attempt => attempt.status === 'captured');
+    const latestAttempt = attempts[0]; // Razorpay returns newest first
+
+    let status = 'pending';
+    if (order.status === 'paid' || capturedPayment) {
+      status = 'completed';
+    } else if (latestAttempt?.status === 'failed') {
+      status = 'failed';
+    }
+
+    const relevantAttempt = capturedPayment || latestAttempt;
+    return {
+      status,
+      providerState: order.status,
+      transactionId: relevantAttempt?.id,
+      amount: order.amount,
+      paymentMode: relevantAttempt?.method,
+      errorCode: relevantAttempt?.error_code || undefined,
+      detailedErrorCode: relevantAttempt?.error_reason || undefined
+    };
+  },
+
+  /**
+   * Verify x-razorpay-signature (HMAC-SHA256 of the raw body with the webhook secret)
+   */
+  verifyWebhook(rawBody, headers) {
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    const signature = headers.get('x-razorpay-signature');
+
+    if (!webhookSecret) {
+      return { valid: false, reason: 'not_configured' };
+    }
+    if (!signature) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+    const valid = safeCompare(expected, signature);
+    return { valid, reason: valid ? 'hmac' : 'invalid_signature' };
+  },
+
+  async refund(payment, { refundId, amount }) {
+    if (!payment.transactionId) {
+      throw providerError('Cannot refund Razorpay order without a captured payment', { status: 400 });
+    }
+
+    const refund = await getRazorpayClient().payments.refund(payment.transactionId, {
+      amount,
+      receipt: refundId
+    });
+
+    return {
+      refundId,
+      providerRefundId: refund.id,
+      amount: refund.amount,
+      state: refund.status,
+      status: REFUND_STATES[refund.status] || 'refund_pending'
+    };
+  },
+
+  /**
+   * A refund whose creation call got no answer has no Razorpay id yet: it is
+   * looked up by its receipt (our refundId) instead. 404 if Razorpay has no such refund.
+   */
+  async getRefundStatus(payment, refund) {
+    const client = getRazorpayClient();
+    let response;
+    if (refund.providerRefundId) {
+      response = await client.payments.fetchRefund(payment.transactionId, refund.providerRefundId);
+    } else {
+      const { items = [] } = await client.payments.fetchMultipleRefund(payment.transactionId);
+      response = items.find(item => item.receipt === refund.refundId);
+      if (!response) {
+        throw providerError('Refund not found', { status: 404, details: `No Razorpay refund with receipt ${refund.refundId}` });
+      }
+    }
+
+    return {
+      status: REFUND_STATES[response.status] || 'refund_pending',
+      providerState: response.status,
+      providerRefundId: response.id,
+      amount: response.amount
+    };
+  }
+};
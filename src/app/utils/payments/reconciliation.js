@@ -0,0 +1,257 @@
+import { getPaymentProvider, DEFAULT_PROVIDER } from './index';
+import { DONATION_SERVICE_ID } from './priceCatalogue';
+import { phonepeProvider } from './phonepeProvider';
+import { sendPaymentSuccessEmails, sendPaymentFailedEmails, sendAbandonedCheckoutReminder } from './paymentNotifications';
+import { getAllPayments, getPayment, updatePaymentStatus, SETTLED_STATUSES } from '../paymentStorage';
+
+/**
+ * Payment Reconciliation
+ *
+ * Payments stay `pending` forever if the gateway's webhook never arrives.
+ * reconcilePayments() walks pending records (and records with an unknown
+ * status), asks the gateway for the real order status (PhonePe getOrderStatus,
+ * Razorpay orders.fetch), stores any change, sends the emails the webhook would
+ * have sent and returns a discrepancy report.
+ *
+ * Completed PhonePe payments whose emails were never sent (e.g. SMTP was down
+ * and the webhook was not replayed) are picked up as well.
+ *
+ * PhonePe service payments still pending after the abandoned-checkout
+ * threshold get one reminder email with a link to retry the payment (see
+ * retryPaymentOrder), unless the customer already retried it.
+ *
+ * Environment Variables:
+ * - ABANDONED_CHECKOUT_MINUTES: Minutes a payment stays pending before the reminder is sent (optional, defaults to 60)
+ *
+ * Run it from POST /api/admin/reconciliation or `npm run payments:reconcile`.
+ */
+
+const KNOWN_STATUSES = ['pending', 'completed', 'success', 'failed', 'refund_pending', 'refunded', 'refund_failed'];
+
+// Records younger than this are probably still in checkout
+const DEFAULT_MIN_AGE_MINUTES = 10;
+
+// Don't chase checkouts older than this with a reminder
+const ABANDONED_CHECKOUT_MAX_AGE_HOURS = 72;
+
+function getAbandonedCheckoutMinutes() {
+  return parseFloat(process.env.ABANDONED_CHECKOUT_MINUTES || '60');
+}
+
+function needsStatusCheck(payment) {
+  return payment.status === 'pending' || !KNOWN_STATUSES.includes(payment.status);
+}
+
+// Only PhonePe service payments send payment emails (donations don't)
+function sendsPaymentEmails(payment) {
+  return (payment.provider || DEFAULT_PROVIDER) === phonepeProvider.name;
+}
+
+function needsEmails(payment) {
+  return sendsPaymentEmails(payment)
+    && ['completed', 'success'].includes(payment.status)
+    && !payment.emailsSent
+    && !!payment.customerEmail;
+}
+
+/**
+ * Send the emails for a settled payment and record the result in the report
+ */
+async function reconcileEmails(payment, report, dryRun) {
+  const isCompleted = ['completed', 'success'].includes(payment.status);
+  const emailType = isCompleted ? 'success' : 'failed';
+  // Field that records the email was sent (see paymentNotifications.js)
+  const sentField = isCompleted ? 'emailsSent' : 'failedEmailSentAt';
+
+  if (dryRun) {
+    report.discrepancies.push({ merchantTransactionId: payment.merchantTransactionId, type: 'missing_emails', emailType, action: 'would_send' });
+    return;
+  }
+
+  try {
+    const sent = isCompleted
+      ? await sendPaymentSuccessEmails(payment)
+      : await sendPaymentFailedEmails(payment, payment.failureReason || payment.errorCode || 'Payment failed');
+    if (sent) {
+      report.emailsSent++;
+      report.discrepancies.push({ merchantTransactionId: payment.merchantTransactionId, type: 'missing_emails', emailType, action: 'emails_sent' });
+    } else if (payment.customerEmail && !getPayment(payment.merchantTransactionId)?.[sentField]) {
+      report.discrepancies.push({ merchantTransactionId: payment.merchantTransactionId, type: 'missing_emails', emailType, action: 'email_failed' });
+    }
+  } catch (error) {
+    report.discrepancies.push({
+      merchantTransactionId: payment.merchantTransactionId,
+      type: 'missing_emails',
+      emailType,
+      action: 'email_failed',
+      details: error.message
+    });
+  }
+}
+
+function isAbandonedCheckout(payment, now) {
+  const ageMinutes = (now - new Date(payment.createdAt).getTime()) / 60000;
+  return payment.status === 'pending'
+    && sendsPaymentEmails(payment)
+    && payment.serviceId !== DONATION_SERVICE_ID
+    && !!payment.customerEmail
+    && !payment.abandonedEmailSentAt
+    && !payment.retriedBy?.length
+    && ageMinutes >= getAbandonedCheckoutMinutes()
+    && ageMinutes <= ABANDONED_CHECKOUT_MAX_AGE_HOURS * 60;
+}
+
+/**
+ * Send the abandoned-checkout reminder for payments that are still pending
+ * (checked after the gateway pass, so orders it settled are skipped)
+ */
+async function reconcileAbandonedCheckouts(report, dryRun) {
+  const now = Date.now();
+  const abandoned = getAllPayments().filter(payment => isAbandonedCheckout(payment, now));
+
+  for (const payment of abandoned) {
+    const { merchantTransactionId } = payment;
+    if (dryRun) {
+      report.discrepancies.push({ merchantTransactionId, type: 'abandoned_checkout', stored: payment.status, action: 'would_send' });
+      continue;
+    }
+
+    try {
+      if (await sendAbandonedCheckoutReminder(payment)) {
+        report.abandonedCheckoutEmails++;
+        report.discrepancies.push({ merchantTransactionId, type: 'abandoned_checkout', stored: payment.status, action: 'emails_sent' });
+      }
+    } catch (error) {
+      report.discrepancies.push({
+        merchantTransactionId,
+        type: 'abandoned_checkout',
+        stored: payment.status,
+        action: 'email_failed',
+        details: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Check one pending/unknown payment with its gateway
+ */
+async function reconcilePayment(payment, report, dryRun) {
+  const { merchantTransactionId } = payment;
+  const provider = getPaymentProvider(payment.provider || DEFAULT_PROVIDER);
+
+  let gatewayStatus;
+  try {
+    gatewayStatus = await provider.getStatus(payment);
+  } catch (error) {
+    const notFound = (error.httpStatusCode || error.statusCode) === 404;
+    report.discrepancies.push({
+      merchantTransactionId,
+      type: notFound ? 'not_found_at_gateway' : 'gateway_error',
+      stored: payment.status,
+      action: 'none',
+      details: error.message
+    });
+    return;
+  }
+
+  if (gatewayStatus.amount && payment.amount && gatewayStatus.amount !== payment.amount) {
+    report.discrepancies.push({
+      merchantTransactionId,
+      type: 'amount_mismatch',
+      stored: payment.amount,
+      gateway: gatewayStatus.amount,
+      action: 'none'
+    });
+  }
+
+  if (gatewayStatus.status === payment.status) {
+    return;
+  }
+
+  if (dryRun) {
+    report.discrepancies.push({ merchantTransactionId, type: 'status_mismatch', stored: payment.status, gateway: gatewayStatus.status, action: 'would_update' });
+    return;
+  }
+
+  // A webhook may have settled the payment while we were asking the gateway
+  const current = getPayment(merchantTransactionId);
+  if (!needsStatusCheck(current)) {
+    return;
+  }
+
+  const updated = updatePaymentStatus(merchantTransactionId, gatewayStatus.status, {
+    transactionId: gatewayStatus.transactionId || payment.transactionId,
+    paymentMode: gatewayStatus.paymentMode || payment.paymentMode,
+    paymentState: gatewayStatus.providerState,
+    errorCode: gatewayStatus.errorCode,
+    reconciledAt: new Date().toISOString()
+  }, { protectedStatuses: SETTLED_STATUSES });
+  if (!updated) {
+    return;
+  }
+  report.updated++;
+  report.discrepancies.push({ merchantTransactionId, type: 'status_mismatch', stored: payment.status, gateway: gatewayStatus.status, action: 'updated' });
+  console.log(`🔁 [${provider.name}] Reconciled ${merchantTransactionId}: ${payment.status} -> ${gatewayStatus.status}`);
+
+  if (sendsPaymentEmails(updated) && ['completed', 'failed'].includes(updated.status)) {
+    await reconcileEmails(updated, report, false);
+  }
+}
+
+/**
+ * Reconcile stored payments with their gateways
+ * @param {object} options
+ * @param {boolean} options.dryRun - Report discrepancies without updating records or sending emails
+ * @param {number} options.minAgeMinutes - Skip records created more recently (default 10)
+ * @param {number} options.limit - Maximum number of records to check (oldest first)
+ * @returns {object} Report: { checked, updated, emailsSent, abandonedCheckoutEmails, discrepancies: [{ merchantTransactionId, type, stored, gateway, action, details }] }
+ */
+export async function reconcilePayments({ dryRun = false, minAgeMinutes = DEFAULT_MIN_AGE_MINUTES, limit } = {}) {
+  const startedAt = new Date();
+  const cutoff = startedAt.getTime() - minAgeMinutes * 60 * 1000;
+
+  const candidates = getAllPayments()
+    .filter(payment => needsStatusCheck(payment) || needsEmails(payment))
+    .filter(payment => !payment.createdAt || new Date(payment.createdAt).getTime() <= cutoff)
+    .reverse()
+    .slice(0, limit || undefined);
+
+  const report = {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    checked: candidates.length,
+    updated: 0,
+    emailsSent: 0,
+    abandonedCheckoutEmails: 0,
+    discrepancies: []
+  };
+
+  console.log(`🔁 Reconciling ${candidates.length} payment(s)${dryRun ? ' (dry run)' : ''}`);
+
+  for (const payment of candidates) {
+    try {
+      if (needsStatusCheck(payment)) {
+        await reconcilePayment(payment, report, dryRun);
+      } else {
+        await reconcileEmails(payment, report, dryRun);
+      }
+    } catch (error) {
+      console.error(`❌ Error reconciling ${payment.merchantTransactionId}:`, error);
+      report.discrepancies.push({
+        merchantTransactionId: payment.merchantTransactionId,
+        type: 'error',
+        stored: payment.status,
+        action: 'none',
+        details: error.message
+      });
+    }
+  }
+
+  await reconcileAbandonedCheckouts(report, dryRun);
+
+  report.finishedAt = new Date().toISOString();
+  console.log(`✅ Reconciliation finished: ${report.checked} checked, ${report.updated} updated, ${report.emailsSent} email(s) sent, ${report.abandonedCheckoutEmails} abandoned checkout reminder(s), ${report.discrepancies.length} discrepancies`);
+  return report;
+}
@@ -0,0 +1,235 @@
+import { randomUUID } from 'crypto';
+import { getPaymentProvider, DEFAULT_PROVIDER } from './index';
+import { providerError } from './providerError';
+import {
+  getPayment,
+  getAllPayments,
+  tryReserveRefund,
+  updatePaymentRefund,
+  tryClaimRefundEmail,
+  getRefundableAmount
+} from '../paymentStorage';
+import { sendRefundEmail } from '../emailService';
+import { renderRefundCreditNote } from '../receipts';
+
+/**
+ * Refunds
+ *
+ * Refunds are stored on the payment record (payment.refunds) and move through
+ * refund_pending -> refunded | refund_failed. The payment's own status follows
+ * its refunds (see getRefundSummary in paymentStorage).
+ *
+ * Refund state changes arrive from three places, all going through applyRefundStatus:
+ * - the gateway's response when the refund is initiated
+ * - polling the gateway (pollRefundStatus / pollPendingRefunds)
+ * - PhonePe refund webhooks
+ *
+ * A refund call that fails without a definite answer (timeout, network error,
+ * 5xx) may still have been accepted by the gateway, so the refund stays
+ * refund_pending - and its amount reserved - until the status check settles it.
+ * Only a rejected request (4xx) marks it refund_failed straight away.
+ *
+ * The customer gets one confirmation email (with a PDF credit note) per completed refund.
+ */
+
+const REFUND_ERRORS = {
+  not_found: ['Payment not found', 404],
+  not_refundable: ['Payment is not refundable', 409],
+  exceeds_refundable_amount: ['Refund amount exceeds the refundable amount', 400]
+};
+
+// A refund the gateway still doesn't know this long after it was requested was never created
+const REFUND_NOT_FOUND_GRACE_MS = 30 * 60 * 1000;
+
+function getErrorStatus(error) {
+  return error.httpStatusCode || error.statusCode || error.status;
+}
+
+/**
+ * Whether a failed refund call definitely created no refund: the gateway
+ * rejected the request (4xx other than a timeout), or our own providerError
+ * stopped it before the gateway was called (e.g. missing credentials)
+ */
+function isDefiniteRejection(error) {
+  if (error.fields) {
+    return true;
+  }
+  const status = getErrorStatus(error);
+  return status >= 400 && status < 500 && status !== 408;
+}
+
+/**
+ * Send the refund confirmation email once per refund
+ * Returns true if sent, false if it failed, null if already sent / not applicable.
+ */
+async function sendRefundConfirmation(payment, refund) {
+  if (!payment.customerEmail || !tryClaimRefundEmail(payment.merchantTransactionId, refund.refundId)) {
+    return null;
+  }
+
+  let creditNote = null;
+  try {
+    creditNote = await renderRefundCreditNote(payment.merchantTransactionId, refund.refundId);
+  } catch (pdfError) {
+    console.warn('⚠️  Credit note generation failed, sending email without PDF attachment:', pdfError.message);
+  }
+
+  const sent = await sendRefundEmail(payment.customerEmail, payment.customerName, {
+    merchantTransactionId: payment.merchantTransactionId,
+    transactionId: payment.transactionId,
+    serviceName: payment.serviceName,
+    paymentAmount: payment.amount,
+    refundId: refund.refundId,
+    refundAmount: refund.amount,
+    reason: refund.reason,
+    creditNote
+  });
+
+  if (!sent) {
+    // Let the next poll or webhook replay try again
+    updatePaymentRefund(payment.merchantTransactionId, refund.refundId, { emailSentAt: null });
+  }
+  return sent;
+}
+
+/**
+ * Record a refund state change and send the confirmation email once it is refunded
+ * @param {object} update - { status, providerState, providerRefundId, amount, error }
+ * @returns {{ payment, refund, emailSent }} or null if the payment is unknown
+ */
+export async function applyRefundStatus(merchantTransactionId, refundId, update) {
+  const payment = updatePaymentRefund(merchantTransactionId, refundId, update);
+  if (!payment) {
+    return null;
+  }
+
+  const refund = payment.refunds.find(item => item.refundId === refundId);
+  const emailSent = refund.status === 'refunded' ? await sendRefundConfirmation(payment, refund) : null;
+
+  return { payment: getPayment(merchantTransactionId) || payment, refund, emailSent };
+}
+
+/**
+ * Initiate a full or partial refund through the payment's gateway
+ * @param {object} options - { amount (paise, defaults to everything still refundable), reason }
+ */
+export async function initiateRefund(merchantTransactionId, { amount, reason } = {}) {
+  if (amount !== undefined && amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+    throw providerError('Invalid refund amount', {
+      status: 400,
+      details: 'Amount must be a positive whole number of paise'
+    });
+  }
+
+  const refundId = randomUUID();
+  const reservation = tryReserveRefund(merchantTransactionId, { refundId, amount, reason });
+  if (!reservation.reserved) {
+    const [message, status] = REFUND_ERRORS[reservation.reason];
+    throw providerError(message, {
+      status,
+      details: reservation.payment
+        ? `Status: ${reservation.payment.status}, refundable: ₹${(getRefundableAmount(reservation.payment) / 100).toFixed(2)}`
+        : undefined
+    });
+  }
+
+  const { payment, refund } = reservation;
+  const provider = getPaymentProvider(payment.provider || DEFAULT_PROVIDER);
+  console.log(`💸 [${provider.name}] Initiating refund ${refundId}: ₹${(refund.amount / 100).toFixed(2)} for ${merchantTransactionId}`);
+
+  let result;
+  try {
+    result = await provider.refund(payment, { refundId, amount: refund.amount });
+  } catch (error) {
+    if (!isDefiniteRejection(error)) {
+      // The gateway may have accepted it: refunding again now could pay out twice
+      console.error(`❌ [${provider.name}] Refund ${refundId} not confirmed, keeping it pending:`, error);
+      updatePaymentRefund(merchantTransactionId, refundId, { error: error.message });
+      throw providerError('Refund not confirmed', {
+        status: 502,
+        details: `The gateway did not answer for refund ${refundId}. It stays pending until the refund status check settles it.`,
+        refundId
+      });
+    }
+
+    console.error(`❌ [${provider.name}] Refund ${refundId} rejected:`, error);
+    updatePaymentRefund(merchantTransactionId, refundId, {
+      status: 'refund_failed',
+      error: error.message
+    });
+    throw error;
+  }
+
+  console.log(`✅ [${provider.name}] Refund ${refundId} accepted: ${result.state}`);
+  return applyRefundStatus(merchantTransactionId, refundId, {
+    status: result.status,
+    providerState: result.state,
+    providerRefundId: result.providerRefundId
+  });
+}
+
+/**
+ * Ask the gateway for the state of every pending refund on a payment
+ * @returns {object|null} The updated payment, or null if it is unknown
+ */
+export async function pollRefundStatus(merchantTransactionId) {
+  const payment = getPayment(merchantTransactionId);
+  if (!payment) {
+    return null;
+  }
+
+  // Retry confirmation emails that could not be sent earlier
+  for (const refund of payment.refunds || []) {
+    if (refund.status === 'refunded' && !refund.emailSentAt) {
+      await sendRefundConfirmation(payment, refund);
+    }
+  }
+
+  const provider = getPaymentProvider(payment.provider || DEFAULT_PROVIDER);
+  const pendingRefunds = (payment.refunds || []).filter(refund => refund.status === 'refund_pending');
+
+  for (const refund of pendingRefunds) {
+    try {
+      const refundStatus = await provider.getRefundStatus(payment, refund);
+      if (refundStatus.status !== refund.status || refundStatus.providerState !== refund.providerState) {
+        await applyRefundStatus(merchantTransactionId, refund.refundId, {
+          status: refundStatus.status,
+          providerState: refundStatus.providerState,
+          providerRefundId: refundStatus.providerRefundId || refund.providerRefundId
+        });
+      }
+    } catch (error) {
+      // A refund call that never reached the gateway: free the amount once it is clearly not coming
+      if (getErrorStatus(error) === 404 && Date.now() - new Date(refund.createdAt).getTime() > REFUND_NOT_FOUND_GRACE_MS) {
+        console.warn(`⚠️  [${provider.name}] Refund ${refund.refundId} unknown to the gateway - marking it failed`);
+        await applyRefundStatus(merchantTransactionId, refund.refundId, {
+          status: 'refund_failed',
+          providerState: 'NOT_FOUND',
+          error: 'Refund not found at the gateway'
+        });
+        continue;
+      }
+      // Keep polling the other refunds; this one stays pending
+      console.error(`❌ [${provider.name}] Could not check refund ${refund.refundId}:`, error.message);
+    }
+  }
+
+  return getPayment(merchantTransactionId);
+}
+
+/**
+ * Poll every payment with a pending refund
+ * @returns {Array<{ merchantTransactionId, status }>}
+ */
+export async function pollPendingRefunds() {
+  const payments = getAllPayments({ status: 'refund_pending' });
+  const results = [];
+
+  for (const payment of payments) {
+    const updated = await pollRefundStatus(payment.merchantTransactionId);
+    results.push({ merchantTransactionId: payment.merchantTransactionId, status: updated?.status });
+  }
+
+  console.log(`🔁 Polled ${payments.length} payment(s) with pending refunds`);
+  return results;
+}
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { initiateRefund, pollRefundStatus } from './refunds';
+import { phonepeProvider } from './phonepeProvider';
+import { sendRefundEmail } from '../emailService';
+import { savePayment, getPayment, getRefundableAmount } from '../paymentStorage';
+
+/**
+ * Refund amount accounting: the refundable amount only comes back when a
+ * refund definitely failed, so a payment is never refunded twice
+ */
+
+vi.mock('../emailService', () => ({
+  sendRefundEmail: vi.fn(async () => true)
+}));
+
+function seedPayment(amount = 10000) {
+  const merchantTransactionId = crypto.randomUUID();
+  savePayment({
+    merchantTransactionId,
+    provider: 'phonepe',
+    status: 'completed',
+    amount,
+    customerName: 'Asha Verma',
+    customerEmail: 'asha@example.com'
+  });
+  return merchantTransactionId;
+}
+
+function gatewayError(message, httpStatusCode) {
+  return Object.assign(new Error(message), { httpStatusCode });
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('initiateRefund', () => {
+  it('refunds part of a payment and keeps the rest refundable', async () => {
+    const id = seedPayment();
+    vi.spyOn(phonepeProvider, 'refund').mockImplementation(async (payment, { refundId, amount }) => (
+      { refundId, providerRefundId: 'PR1', amount, state: 'COMPLETED', status: 'refunded' }
+    ));
+
+    const { payment, emailSent } = await initiateRefund(id, { amount: 4000 });
+
+    expect(payment.status).toBe('refunded');
+    expect(payment.refundedAmount).toBe(4000);
+    expect(getRefundableAmount(payment)).toBe(6000);
+    expect(emailSent).toBe(true);
+    expect(sendRefundEmail).toHaveBeenCalledOnce();
+    const { creditNote } = sendRefundEmail.mock.calls[0][2];
+    expect(creditNote.filename).toBe(`credit_note_${payment.refunds[0].refundId}.pdf`);
+    expect(creditNote.pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('never refunds more than was paid', async () => {
+    const id = seedPayment();
+    vi.spyOn(phonepeProvider, 'refund').mockImplementation(async (payment, { refundId, amount }) => (
+      { refundId, amount, state: 'PENDING', status: 'refund_pending' }
+    ));
+
+    await initiateRefund(id, { amount: 7000 });
+    await expect(initiateRefund(id, { amount: 4000 })).rejects.toMatchObject({ status: 400 });
+    expect(getRefundableAmount(getPayment(id))).toBe(3000);
+  });
+
+  it('frees the amount when the gateway rejects the refund', async () => {
+    const id = seedPayment();
+    vi.spyOn(phonepeProvider, 'refund').mockRejectedValue(gatewayError('Bad request', 400));
+
+    await expect(initiateRefund(id)).rejects.toThrow('Bad request');
+
+    const payment = getPayment(id);
+    expect(payment.refunds[0].status).toBe('refund_failed');
+    expect(getRefundableAmount(payment)).toBe(10000);
+  });
+
+  it.each([
+    ['a timeout', gatewayError('socket hang up')],
+    ['a 5xx', gatewayError('Internal server error', 503)]
+  ])('keeps the refund pending after %s, so it cannot be issued twice', async (label, error) => {
+    const id = seedPayment();
+    const refund = vi.spyOn(phonepeProvider, 'refund').mockRejectedValue(error);
+
+    await expect(initiateRefund(id)).rejects.toMatchObject({ status: 502 });
+
+    const payment = getPayment(id);
+    expect(payment.status).toBe('refund_pending');
+    expect(payment.refunds[0].status).toBe('refund_pending');
+    expect(getRefundableAmount(payment)).toBe(0);
+    await expect(initiateRefund(id)).rejects.toMatchObject({ status: 400 });
+    expect(refund).toHaveBeenCalledOnce();
+  });
+});
+
+describe('pollRefundStatus', () => {
+  async function seedUnconfirmedRefund() {
+    const id = seedPayment();
+    vi.spyOn(phonepeProvider, 'refund').mockRejectedValueOnce(gatewayError('socket hang up'));
+    await expect(initiateRefund(id)).rejects.toMatchObject({ status: 502 });
+    return id;
+  }
+
+  it('settles an unconfirmed refund the gateway did make', async () => {
+    const id = await seedUnconfirmedRefund();
+    vi.spyOn(phonepeProvider, 'getRefundStatus').mockResolvedValue({ status: 'refunded', providerState: 'COMPLETED', amount: 10000 });
+
+    const payment = await pollRefundStatus(id);
+
+    expect(payment.status).toBe('refunded');
+    expect(payment.refundedAmount).toBe(10000);
+    expect(sendRefundEmail).toHaveBeenCalledOnce();
+  });
+
+  it('keeps a refund the gateway does not know yet pending', async () => {
+    const id = await seedUnconfirmedRefund();
+    vi.spyOn(phonepeProvider, 'getRefundStatus').mockRejectedValue(gatewayError('Not found', 404));
+
+    expect((await pollRefundStatus(id)).refunds[0].status).toBe('refund_pending');
+  });
+
+  it('fails a refund the gateway still does not know after the grace period', async () => {
+    const id = await seedUnconfirmedRefund();
+    vi.spyOn(phonepeProvider, 'getRefundStatus').mockRejectedValue(gatewayError('Not found', 404));
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 60 * 1000);
+
+    const payment = await pollRefundStatus(id);
+
+    expect(payment.refunds[0].status).toBe('refund_failed');
+    expect(getRefundableAmount(payment)).toBe(10000);
+  });
+});
@@ -0,0 +1,249 @@
+import gstStates from '../../../data/gstStates.json';
+import { getStorage } from '../storage';
+import { assignPaymentInvoice } from '../paymentStorage';
+import { providerError } from './providerError';
+import { getCatalogueService, DONATION_SERVICE_ID } from './priceCatalogue';
+import { GSTIN_PATTERN } from '../validation/schemas';
+
+/**
+ * GST Tax Invoices
+ *
+ * Completed service payments get a tax invoice instead of a plain receipt:
+ * - Invoice numbers are sequential per financial year (April-March) and never
+ *   repeat: the counter is incremented atomically through the storage adapter
+ *   while the payment is locked for the invoice (e.g. INV/26-27/00001). Only
+ *   SQLite commits both in one transaction; with the JSON adapter a crash
+ *   between the two writes skips a number (it is never reused)
+ * - Service fees are GST-inclusive; the taxable value and tax are worked out
+ *   backwards from the amount paid
+ * - CGST + SGST when the customer is in the seller's state, IGST otherwise.
+ *   The customer's state comes from their GSTIN, else the state chosen at
+ *   checkout, else the seller's state (place of supply for unregistered
+ *   customers without an address)
+ *
+ * The invoice is stored on the payment record (payment.invoice), so it never
+ * changes after it is issued. Donations don't get tax invoices.
+ *
+ * Environment Variables:
+ * - GST_SELLER_GSTIN: Seller GSTIN (tax invoices are only issued when set)
+ * - GST_SELLER_NAME: Seller legal name (optional, defaults to Abhishek Kumar Chaudhary)
+ * - GST_SELLER_ADDRESS: Seller address printed on invoices (optional)
+ * - GST_RATE: GST rate in percent (optional, defaults to 18)
+ * - INVOICE_NUMBER_PREFIX: Invoice number prefix, up to 4 characters (optional, defaults to INV)
+ */
+
+const INVOICE_COUNTERS = 'invoiceCounters';
+const DEFAULT_SAC_CODE = '998314'; // IT design and development services
+
+export function isGstConfigured() {
+  return !!process.env.GST_SELLER_GSTIN?.trim();
+}
+
+function getStateName(stateCode) {
+  return gstStates.find(state => state.code === stateCode)?.name || null;
+}
+
+function getSellerDetails() {
+  const gstin = process.env.GST_SELLER_GSTIN.trim().toUpperCase();
+  const stateCode = gstin.slice(0, 2);
+  return {
+    name: process.env.GST_SELLER_NAME || 'Abhishek Kumar Chaudhary',
+    gstin,
+    address: process.env.GST_SELLER_ADDRESS || null,
+    stateCode,
+    stateName: getStateName(stateCode)
+  };
+}
+
+/**
+ * Validate the optional GSTIN and state entered at checkout
+ * @param {object} customerDetails - { gstin?, state? (GST state code) }
+ * @returns {{ customerGstin, customerStateCode }}
+ * @throws providerError (400) with the offending field
+ */
+export function normalizeCustomerTaxDetails({ gstin, state } = {}) {
+  const customerGstin = typeof gstin === 'string' ? gstin.trim().toUpperCase() : '';
+  if (customerGstin && (!GSTIN_PATTERN.test(customerGstin) || !getStateName(customerGstin.slice(0, 2)))) {
+    throw providerError('Invalid GSTIN', {
+      status: 400,
+      details: 'GSTIN must be 15 characters, e.g. 27ABCDE1234F1Z5',
+      field: 'gstin'
+    });
+  }
+
+  const stateCode = typeof state === 'string' ? state.trim() : '';
+  if (stateCode && !getStateName(stateCode)) {
+    throw providerError('Invalid state', {
+      status: 400,
+      details: `Unknown GST state code: ${stateCode}`,
+      field: 'state'
+    });
+  }
+
+  return {
+    customerGstin: customerGstin || null,
+    // A GSTIN always wins: its first two digits are the registered state
+    customerStateCode: customerGstin ? customerGstin.slice(0, 2) : stateCode || null
+  };
+}
+
+/**
+ * Indian financial year of a date, e.g. '26-27' for 2026-04-01 .. 2027-03-31 (IST)
+ */
+function getFinancialYear(date) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+function allocateInvoiceNumber(financialYear) {
+  const counter = getStorage().upsert(INVOICE_COUNTERS, financialYear, existing => ({
+    ...existing,
+    financialYear,
+    lastNumber: (existing?.lastNumber || 0) + 1
+  }));
+  const prefix = (process.env.INVOICE_NUMBER_PREFIX || 'INV').trim().slice(0, 4);
+  return `${prefix}/${financialYear}/${String(counter.lastNumber).padStart(5, '0')}`;
+}
+
+/**
+ * Split a GST-inclusive amount (paise) into taxable value and tax
+ */
+export function calculateGst(amount, { rate, intraState }) {
+  const taxableAmount = Math.round(amount * 100 / (100 + rate));
+  const totalTax = amount - taxableAmount;
+  const cgst = intraState ? Math.floor(totalTax / 2) : 0;
+  return {
+    taxRate: rate,
+    taxableAmount,
+    cgst,
+    sgst: intraState ? totalTax - cgst : 0,
+    igst: intraState ? 0 : totalTax,
+    totalTax,
+    total: amount
+  };
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function twoDigitWords(number) {
+  if (number < 20) {
+    return ONES[number];
+  }
+  return [TENS[Math.floor(number / 10)], ONES[number % 10]].filter(Boolean).join(' ');
+}
+
+// Indian numbering: crore, lakh, thousand, hundred
+function numberToWords(number) {
+  if (number === 0) {
+    return 'Zero';
+  }
+
+  const parts = [];
+  const crore = Math.floor(number / 10000000);
+  const lakh = Math.floor((number % 10000000) / 100000);
+  const thousand = Math.floor((number % 100000) / 1000);
+  const hundred = Math.floor((number % 1000) / 100);
+  const rest = number % 100;
+
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  if (hundred) parts.push(`${ONES[hundred]} Hundred`);
+  if (rest) parts.push(twoDigitWords(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Amount in words for invoices, e.g. 15050 -> 'Rupees One Hundred Fifty and Fifty Paise Only'
+ * @param {number} amount - Amount in paise
+ */
+export function amountInWords(amount) {
+  const rupees = Math.floor(amount / 100);
+  const paise = amount % 100;
+  return `Rupees ${numberToWords(rupees)}${paise ? ` and ${numberToWords(paise)} Paise` : ''} Only`;
+}
+
+function buildInvoice(payment) {
+  const seller = getSellerDetails();
+  const customerStateCode = payment.customerStateCode || seller.stateCode;
+  const intraState = customerStateCode === seller.stateCode;
+  const issuedAt = new Date();
+  const service = getCatalogueService(payment.serviceId);
+
+  return {
+    invoiceNumber: allocateInvoiceNumber(getFinancialYear(issuedAt)),
+    invoiceDate: issuedAt.toISOString(),
+    seller,
+    customer: {
+      name: payment.customerName || null,
+      email: payment.customerEmail || null,
+      gstin: payment.customerGstin || null,
+      stateCode: customerStateCode,
+      stateName: getStateName(customerStateCode)
+    },
+    placeOfSupply: `${customerStateCode} - ${getStateName(customerStateCode) || 'Unknown'}`,
+    supplyType: intraState ? 'intra_state' : 'inter_state',
+    description: payment.serviceName,
+    sacCode: service?.sacCode || DEFAULT_SAC_CODE,
+    ...calculateGst(payment.amount, { rate: parseFloat(process.env.GST_RATE || '18'), intraState }),
+    amountInWords: amountInWords(payment.amount)
+  };
+}
+
+/**
+ * Issue the tax invoice for a completed service payment (once - later calls
+ * return the stored invoice)
+ * @returns {object|null} The invoice, or null if the payment doesn't get one
+ *   (not completed, a donation, or GST_SELLER_GSTIN is not set)
+ */
+export function issueTaxInvoice(merchantTransactionId) {
+  if (!isGstConfigured()) {
+    return null;
+  }
+
+  const payment = assignPaymentInvoice(merchantTransactionId, existing => (
+    ['completed', 'success'].includes(existing.status) && existing.serviceId !== DONATION_SERVICE_ID
+      ? buildInvoice(existing)
+      : null
+  ));
+
+  if (payment?.invoice) {
+    console.log(`🧾 Tax invoice ${payment.invoice.invoiceNumber} for ${merchantTransactionId}`);
+  }
+  return payment?.invoice || null;
+}
+
+const formatRupees = (paise) => `Rs. ${(paise / 100).toFixed(2)}`;
+
+/**
+ * Label/value rows for rendering an invoice (PDF receipts and emails)
+ * @returns {{ details: Array<{label, value}>, taxes: Array<{label, value}>, amountInWords }}
+ */
+export function getInvoiceRows(invoice) {
+  const halfRate = invoice.taxRate / 2;
+  const details = [
+    { label: 'Invoice No:', value: invoice.invoiceNumber },
+    { label: 'Invoice Date:', value: new Date(invoice.invoiceDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long' }) },
+    { label: 'Seller:', value: invoice.seller.name },
+    { label: 'Seller GSTIN:', value: invoice.seller.gstin },
+    invoice.seller.address && { label: 'Seller Address:', value: invoice.seller.address },
+    invoice.customer.gstin && { label: 'Customer GSTIN:', value: invoice.customer.gstin },
+    { label: 'Place of Supply:', value: invoice.placeOfSupply },
+    { label: 'SAC Code:', value: invoice.sacCode }
+  ].filter(Boolean);
+
+  const taxes = [
+    { label: 'Taxable Value:', value: formatRupees(invoice.taxableAmount) },
+    ...(invoice.supplyType === 'intra_state'
+      ? [
+        { label: `CGST @ ${halfRate}%:`, value: formatRupees(invoice.cgst) },
+        { label: `SGST @ ${halfRate}%:`, value: formatRupees(invoice.sgst) }
+      ]
+      : [{ label: `IGST @ ${invoice.taxRate}%:`, value: formatRupees(invoice.igst) }])
+  ];
+
+  return { details, taxes, amountInWords: invoice.amountInWords };
+}
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { issueTaxInvoice } from './taxInvoice';
+import { savePayment } from '../paymentStorage';
+
+/**
+ * Invoice numbering: consecutive per financial year, one number per payment
+ */
+
+function seedPayment(overrides = {}) {
+  const merchantTransactionId = crypto.randomUUID();
+  savePayment({
+    merchantTransactionId,
+    provider: 'phonepe',
+    status: 'completed',
+    amount: 15000,
+    serviceId: 1,
+    serviceName: 'Frontend Development',
+    customerName: 'Asha Verma',
+    customerEmail: 'asha@example.com',
+    ...overrides
+  });
+  return merchantTransactionId;
+}
+
+const sequenceOf = (invoice) => Number(invoice.invoiceNumber.split('/').pop());
+
+beforeEach(() => {
+  vi.stubEnv('GST_SELLER_GSTIN', '27ABCDE1234F1Z5');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('issueTaxInvoice', () => {
+  it('numbers invoices consecutively and never reuses a number', () => {
+    const first = issueTaxInvoice(seedPayment());
+    const second = issueTaxInvoice(seedPayment());
+    const third = issueTaxInvoice(seedPayment());
+
+    expect(first.invoiceNumber).toMatch(/^INV\/\d{2}-\d{2}\/\d{5}$/);
+    expect([sequenceOf(second), sequenceOf(third)]).toEqual([sequenceOf(first) + 1, sequenceOf(first) + 2]);
+  });
+
+  it('keeps the first invoice of a payment and only uses numbers for invoiced payments', () => {
+    const id = seedPayment();
+    const invoice = issueTaxInvoice(id);
+
+    expect(issueTaxInvoice(id)).toEqual(invoice);
+    expect(issueTaxInvoice(seedPayment({ serviceId: 'donation', serviceName: 'Donation' }))).toBeNull();
+    expect(issueTaxInvoice(seedPayment({ status: 'pending' }))).toBeNull();
+    expect(sequenceOf(issueTaxInvoice(seedPayment()))).toBe(sequenceOf(invoice) + 1);
+  });
+});
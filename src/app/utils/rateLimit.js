@@ -0,0 +1,45 @@
+import { getStorage } from './storage';
+
+/**
+ * Sliding-Window Rate Limits
+ *
+ * Each key (e.g. `ip:203.0.113.7`) keeps the times of its recent requests in
+ * a storage collection, so limits hold across processes. Keys with no request
+ * left in the window are deleted whenever a new request is recorded.
+ *
+ * Used by the admin login, the contact form and the "My orders" link form.
+ */
+
+/**
+ * Record a request for `key` and report whether it is within the limit
+ * A refused request is not recorded.
+ * @param {string} collection - Storage collection holding this limit's keys
+ * @param {object} limit - { maxRequests, windowMs }
+ * @returns {{ allowed: boolean, retryAfterSeconds: number }}
+ */
+export function checkRateLimit(collection, key, { maxRequests, windowMs }) {
+  const storage = getStorage();
+  const now = Date.now();
+  let allowed = true;
+  let retryAfterSeconds = 0;
+
+  storage.deleteWhere(collection, record => !(record.requests || []).some(at => at > now - windowMs));
+  storage.upsert(collection, key, existing => {
+    const requests = (existing?.requests || []).filter(at => at > now - windowMs);
+    if (requests.length >= maxRequests) {
+      allowed = false;
+      retryAfterSeconds = Math.ceil((requests[0] + windowMs - now) / 1000);
+      return { ...existing, requests };
+    }
+    return { ...existing, requests: [...requests, now] };
+  });
+
+  return { allowed, retryAfterSeconds };
+}
+
+/**
+ * Forget the requests recorded for `key` (e.g. after a successful login)
+ */
+export function clearRateLimit(collection, key) {
+  getStorage().deleteWhere(collection, record => record.id === key);
+}
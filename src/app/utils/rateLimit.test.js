@@ -0,0 +1,42 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { checkRateLimit, clearRateLimit } from './rateLimit';
+import { getStorage } from './storage';
+
+const LIMIT = { maxRequests: 2, windowMs: 60 * 1000 };
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('checkRateLimit', () => {
+  it('refuses requests over the limit until the oldest one leaves the window', () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+    expect(checkRateLimit('testLimits', 'ip:a', LIMIT).allowed).toBe(true);
+    vi.advanceTimersByTime(10 * 1000);
+    expect(checkRateLimit('testLimits', 'ip:a', LIMIT).allowed).toBe(true);
+    expect(checkRateLimit('testLimits', 'ip:a', LIMIT)).toEqual({ allowed: false, retryAfterSeconds: 50 });
+
+    vi.advanceTimersByTime(50 * 1000);
+    expect(checkRateLimit('testLimits', 'ip:a', LIMIT).allowed).toBe(true);
+  });
+
+  it('deletes keys with no request left in the window', () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    checkRateLimit('prunedLimits', 'ip:old', LIMIT);
+
+    vi.advanceTimersByTime(LIMIT.windowMs + 1);
+    checkRateLimit('prunedLimits', 'ip:new', LIMIT);
+
+    expect(getStorage().get('prunedLimits', 'ip:old')).toBeNull();
+    expect(getStorage().get('prunedLimits', 'ip:new').requests).toHaveLength(1);
+  });
+
+  it('starts a key over once it is cleared', () => {
+    checkRateLimit('clearedLimits', 'user:admin', LIMIT);
+    checkRateLimit('clearedLimits', 'user:admin', LIMIT);
+    clearRateLimit('clearedLimits', 'user:admin');
+
+    expect(checkRateLimit('clearedLimits', 'user:admin', LIMIT).allowed).toBe(true);
+  });
+});
@@ -0,0 +1,346 @@
+import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import { RECEIPT_TEMPLATE } from './template';
+import { drawLogo } from './logo';
+import { drawQrCode } from './qrCode';
+import {
+  createReceiptId,
+  createReceiptToken,
+  getReceiptDownloadUrl,
+  getReceiptVerificationUrl,
+  isReceiptLinkConfigured,
+  verifyReceiptToken
+} from './receiptLinks';
+import { getInvoiceRows, issueTaxInvoice } from '../payments/taxInvoice';
+import { providerError } from '../payments/providerError';
+import { getPayment, assignPaymentReceiptId, assignPaymentReceiptToken } from '../paymentStorage';
+
+/**
+ * Receipt Renderer
+ * The one place payment receipts, GST tax invoices and refund credit notes
+ * are drawn (pdf-lib, serverless-friendly). Used for the email attachments
+ * and the receipt download endpoint, so they always look the same.
+ */
+
+// Payments that were paid, including ones refunded since (the receipt shows the current status)
+const RECEIPT_STATUSES = ['completed', 'success', 'refund_pending', 'refunded', 'refund_failed'];
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+// Standard PDF fonts only cover WinAnsi; swap the rupee sign and drop anything else they can't draw
+function toPdfText(value) {
+  return String(value ?? '')
+    .replace(/₹\s?/g, 'Rs. ')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/gu, '?');
+}
+
+const formatRupees = (paise) => `Rs. ${((paise || 0) / 100).toFixed(2)}`;
+
+const formatReceiptDate = (value) => new Date(value).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'long',
+  timeStyle: 'short'
+});
+
+/**
+ * Render a payment receipt, or a tax invoice when the payment has one, or a
+ * credit note when `creditNote` is given
+ * @param {object} receipt
+ * @param {string} receipt.customerName
+ * @param {string} receipt.serviceName
+ * @param {string} receipt.transactionId - Gateway transaction / order ID
+ * @param {string} receipt.merchantTransactionId
+ * @param {number} receipt.amount - Amount paid in paise
+ * @param {string} receipt.paymentDate - Display date
+ * @param {object} receipt.discount - { couponCode, originalAmount, discountAmount } in paise (optional)
+ * @param {object} receipt.invoice - Stored tax invoice (optional, see payments/taxInvoice.js)
+ * @param {string} receipt.customerMessage - Project details (optional)
+ * @param {string} receipt.status - Payment status label (optional, defaults to COMPLETED)
+ * @param {object} receipt.verification - { receiptId, url } for the verification QR code (optional)
+ * @param {object} receipt.creditNote - { refundId, amount, reason, date } for a refund (optional, amount in paise)
+ * @param {object} template - Defaults to RECEIPT_TEMPLATE
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function renderReceiptPDF(receipt, template = RECEIPT_TEMPLATE) {
+  const { customerName, serviceName, transactionId, merchantTransactionId, amount, paymentDate, discount, invoice, customerMessage, status = 'COMPLETED', verification, creditNote } = receipt;
+  const invoiceRows = invoice && !creditNote ? getInvoiceRows(invoice) : null;
+  const { margin, fontSizes } = template;
+  const colors = Object.fromEntries(Object.entries(template.colors).map(([name, hex]) => [name, hexToRgb(hex)]));
+
+  const pdfDoc = await PDFDocument.create();
+  const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  let page = pdfDoc.addPage();
+  const { width, height } = page.getSize();
+  let yPos = height - 40;
+
+  const drawText = (text, { x, size, font = regularFont, color = colors.text, align = 'left' }) => {
+    const safeText = toPdfText(text);
+    const textWidth = font.widthOfTextAtSize(safeText, size);
+    const left = align === 'right' ? width - margin - textWidth : align === 'center' ? (width - textWidth) / 2 : x;
+    page.drawText(safeText, { x: left, y: yPos, size, font, color });
+  };
+
+  const drawDivider = (color, thickness) => {
+    page.drawLine({ start: { x: margin, y: yPos }, end: { x: width - margin, y: yPos }, thickness, color });
+  };
+
+  const drawRow = ({ label, value }, { valueColor = colors.text } = {}) => {
+    drawText(label, { x: margin, size: fontSizes.body, font: boldFont, color: colors.muted });
+    drawText(value || 'N/A', { size: fontSizes.body, color: valueColor, align: 'right' });
+    yPos -= 20;
+  };
+
+  // Header: logo and brand on the left, document title on the right
+  let logoHeight = 0;
+  try {
+    logoHeight = drawLogo(page, { logoPath: template.logoPath, x: margin, top: yPos, width: template.logoWidth }).height;
+  } catch (logoError) {
+    console.warn('⚠️  Could not draw receipt logo:', logoError.message);
+  }
+  const brandX = margin + (logoHeight ? template.logoWidth + 12 : 0);
+  const headerTop = yPos;
+
+  yPos = headerTop - 20;
+  drawText(template.brandName, { x: brandX, size: fontSizes.brand, font: boldFont, color: colors.primary });
+  yPos -= 14;
+  drawText(template.website, { x: brandX, size: fontSizes.small, color: colors.muted });
+  yPos -= 12;
+  drawText(template.supportEmail, { x: brandX, size: fontSizes.small, color: colors.muted });
+
+  yPos = headerTop - 22;
+  const title = creditNote ? template.titles.creditNote : invoiceRows ? template.titles.invoice : template.titles.receipt;
+  drawText(title, { size: fontSizes.title, font: boldFont, color: colors.primary, align: 'right' });
+  yPos -= 16;
+  drawText(creditNote ? template.creditNoteSubtitle : template.subtitle, { size: fontSizes.small + 1, color: colors.muted, align: 'right' });
+
+  yPos = Math.min(yPos, headerTop - logoHeight) - 20;
+  drawDivider(colors.primary, 2);
+  yPos -= 30;
+
+  // Details
+  if (creditNote) {
+    drawRow({ label: 'Credit Note No.:', value: creditNote.refundId });
+    drawRow({ label: 'Credit Note Date:', value: creditNote.date });
+    if (invoice) {
+      drawRow({ label: 'Original Invoice No.:', value: invoice.invoiceNumber });
+    }
+  }
+  for (const row of invoiceRows?.details || []) {
+    drawRow(row);
+  }
+  drawRow({ label: 'Customer Name:', value: customerName });
+  drawRow({ label: 'Service:', value: serviceName });
+  drawRow({ label: creditNote ? 'Original Transaction ID:' : 'Transaction ID:', value: transactionId || merchantTransactionId });
+  drawRow({ label: 'Merchant Order ID:', value: merchantTransactionId });
+  drawRow({ label: 'Payment Date:', value: paymentDate });
+
+  if (creditNote) {
+    drawRow({ label: 'Amount Paid:', value: formatRupees(amount) });
+    if (creditNote.reason) {
+      drawRow({ label: 'Reason:', value: creditNote.reason.length > 60 ? `${creditNote.reason.slice(0, 57)}...` : creditNote.reason });
+    }
+  } else {
+    drawRow({ label: 'Payment Status:', value: status }, { valueColor: colors.success });
+  }
+
+  if (discount && !creditNote) {
+    drawRow({ label: 'Pre-Registration Fee:', value: formatRupees(discount.originalAmount) });
+    drawRow({ label: `Discount (${discount.couponCode}):`, value: `- ${formatRupees(discount.discountAmount)}` }, { valueColor: colors.success });
+  }
+  for (const row of invoiceRows?.taxes || []) {
+    drawRow(row);
+  }
+
+  // Total
+  yPos -= 10;
+  drawDivider(colors.divider, 1);
+  yPos -= 25;
+  drawText(creditNote ? 'Amount Refunded:' : 'Total Amount Paid:', { x: margin, size: fontSizes.total, font: boldFont, color: colors.primary });
+  drawText(formatRupees(creditNote ? creditNote.amount : amount), { size: fontSizes.total, font: boldFont, color: colors.primary, align: 'right' });
+  if (invoiceRows) {
+    yPos -= 20;
+    drawText(invoiceRows.amountInWords, { x: margin, size: fontSizes.small + 1, color: colors.muted });
+  }
+  yPos -= 40;
+
+  // Verification QR code with the link spelled out beside it
+  if (verification) {
+    const qrSize = template.qrSize;
+    const textX = margin + qrSize + 15;
+    const qrTop = yPos;
+    drawQrCode(page, { text: verification.url, x: margin, y: qrTop - qrSize, size: qrSize, color: colors.text });
+    yPos -= 14;
+    drawText('Verify this receipt', { x: textX, size: fontSizes.body, font: boldFont, color: colors.primary });
+    yPos -= 16;
+    drawText('Scan the code or visit:', { x: textX, size: fontSizes.small, color: colors.muted });
+    yPos -= 13;
+    drawText(verification.url, { x: textX, size: fontSizes.small, color: colors.text });
+    yPos -= 13;
+    drawText(`Receipt ID: ${verification.receiptId}`, { x: textX, size: fontSizes.small, color: colors.muted });
+    yPos = qrTop - qrSize - 30;
+  }
+
+  // Project details, wrapped to the page width (continues on a new page if needed)
+  if (customerMessage?.trim()) {
+    drawDivider(colors.primary, 2);
+    yPos -= 30;
+    drawText('Project Details', { x: margin, size: fontSizes.heading, font: boldFont, color: colors.primary });
+    yPos -= 20;
+
+    const maxWidth = width - margin * 2;
+    const drawLine = (line) => {
+      if (yPos < margin + 40) {
+        page = pdfDoc.addPage();
+        yPos = height - margin;
+      }
+      drawText(line, { x: margin, size: fontSizes.body });
+      yPos -= 15;
+    };
+
+    for (const paragraph of customerMessage.replace(/\r/g, '').split('\n').map(toPdfText)) {
+      let currentLine = '';
+      for (const word of paragraph.split(' ')) {
+        const testLine = currentLine ? `${currentLine} ${word}` : word;
+        if (regularFont.widthOfTextAtSize(testLine, fontSizes.body) > maxWidth && currentLine) {
+          drawLine(currentLine);
+          currentLine = word;
+        } else {
+          currentLine = testLine;
+        }
+      }
+      drawLine(currentLine);
+    }
+  }
+
+  // Footer on the last page
+  yPos = margin + 15;
+  for (const line of creditNote ? template.creditNoteFooter : template.footer) {
+    drawText(line, { size: fontSizes.small, color: colors.muted, align: 'center' });
+    yPos -= 15;
+  }
+
+  if (creditNote) {
+    pdfDoc.setTitle(`Credit Note ${creditNote.refundId}`);
+    pdfDoc.setSubject('Refund Credit Note');
+  } else {
+    pdfDoc.setTitle(invoice ? `Tax Invoice ${invoice.invoiceNumber}` : 'Payment Receipt');
+    pdfDoc.setSubject('Pre-Registration Payment Receipt');
+  }
+  pdfDoc.setAuthor(template.brandName);
+
+  return pdfDoc.save();
+}
+
+/**
+ * Whether a receipt can be issued for the payment (it has been paid)
+ */
+export function isReceiptAvailable(payment) {
+  return RECEIPT_STATUSES.includes(payment?.status);
+}
+
+/**
+ * Render the receipt for a stored payment
+ * Everything printed comes from the payment record; the payment gets its
+ * receipt ID (and tax invoice, when applicable) the first time this runs.
+ * @param {string} merchantTransactionId
+ * @param {string} baseUrl - Public base URL for the verification link
+ * @returns {Promise<{ pdf: Buffer, filename: string, payment: object }>}
+ * @throws 404 if the payment is unknown, 409 if it hasn't been paid
+ */
+export async function renderPaymentReceipt(merchantTransactionId, baseUrl) {
+  const stored = getPayment(merchantTransactionId);
+  if (!stored) {
+    throw providerError('Payment not found', { status: 404 });
+  }
+  if (!isReceiptAvailable(stored)) {
+    throw providerError('Receipt not available', {
+      status: 409,
+      details: 'A receipt is issued once the payment has completed.'
+    });
+  }
+
+  issueTaxInvoice(merchantTransactionId);
+  const payment = assignPaymentReceiptId(merchantTransactionId, createReceiptId());
+  const { receiptId, transactionId, invoice, discountAmount } = payment;
+
+  const pdf = Buffer.from(await renderReceiptPDF({
+    customerName: payment.customerName,
+    serviceName: payment.serviceName,
+    transactionId: transactionId || merchantTransactionId,
+    merchantTransactionId,
+    amount: payment.amount,
+    paymentDate: formatReceiptDate(payment.completedAt || payment.updatedAt || payment.createdAt),
+    discount: discountAmount ? { couponCode: payment.couponCode, originalAmount: payment.originalAmount, discountAmount } : null,
+    invoice,
+    customerMessage: payment.customerMessage,
+    status: ['completed', 'success'].includes(payment.status) ? 'COMPLETED' : payment.status.toUpperCase().replace(/_/g, ' '),
+    verification: { receiptId, url: getReceiptVerificationUrl(receiptId, baseUrl) }
+  }));
+
+  return { pdf, filename: getReceiptFilename({ invoice, transactionId, merchantTransactionId }), payment };
+}
+
+/**
+ * Render the credit note for a stored refund
+ * Printed from the payment and refund records, so a resent email carries the
+ * same document.
+ * @returns {Promise<{ pdf: Buffer, filename: string }>}
+ * @throws 404 if the payment or refund is unknown
+ */
+export async function renderRefundCreditNote(merchantTransactionId, refundId) {
+  const payment = getPayment(merchantTransactionId);
+  const refund = payment?.refunds?.find(item => item.refundId === refundId);
+  if (!refund) {
+    throw providerError('Refund not found', { status: 404 });
+  }
+
+  const pdf = Buffer.from(await renderReceiptPDF({
+    customerName: payment.customerName,
+    serviceName: payment.serviceName,
+    transactionId: payment.transactionId || merchantTransactionId,
+    merchantTransactionId,
+    amount: payment.amount,
+    paymentDate: formatReceiptDate(payment.completedAt || payment.createdAt),
+    invoice: payment.invoice,
+    creditNote: {
+      refundId,
+      amount: refund.amount,
+      reason: refund.reason,
+      date: formatReceiptDate(refund.updatedAt || refund.createdAt)
+    }
+  }));
+
+  return { pdf, filename: `credit_note_${refundId}.pdf` };
+}
+
+/**
+ * The receipt download link of a paid payment, signed once and then reused
+ * The first call (normally the confirmation email) stores the token on the
+ * payment; the success page and status checks get the same link, so it
+ * expires RECEIPT_LINK_TTL_DAYS after it was first issued.
+ * @returns {string|null} null when the payment isn't paid, links aren't configured or the link has expired
+ */
+export function getPaymentReceiptUrl(merchantTransactionId, baseUrl) {
+  if (!isReceiptLinkConfigured() || !isReceiptAvailable(getPayment(merchantTransactionId))) {
+    return null;
+  }
+
+  const { receiptToken } = assignPaymentReceiptToken(merchantTransactionId, createReceiptToken(merchantTransactionId));
+  if (verifyReceiptToken(receiptToken) !== merchantTransactionId) {
+    return null;
+  }
+  return getReceiptDownloadUrl(merchantTransactionId, baseUrl, receiptToken);
+}
+
+/**
+ * Download filename for a receipt / invoice
+ */
+export function getReceiptFilename({ invoice, transactionId, merchantTransactionId }) {
+  return invoice
+    ? `invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`
+    : `receipt_${transactionId || merchantTransactionId}.pdf`;
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { PDFArray, PDFDocument, decodePDFRawStream } from 'pdf-lib';
+import { renderReceiptPDF } from './index';
+
+/**
+ * Snapshot tests for the text printed on receipts, tax invoices and credit notes
+ * The fixtures are fixed, so any change to the wording, order or values of
+ * the PDF shows up as a snapshot diff (update with `npx vitest run -u`).
+ */
+
+const PAYMENT = {
+  customerName: 'Asha Verma',
+  serviceName: 'Frontend Development',
+  transactionId: 'OMO2501011200000000000001',
+  merchantTransactionId: '3f2c9a1e-5b7d-4c8e-9f10-2a3b4c5d6e7f',
+  amount: 11800,
+  paymentDate: '1 January 2026 at 12:00 pm',
+  discount: { couponCode: 'LAUNCH20', originalAmount: 15000, discountAmount: 3200 },
+  customerMessage: 'A portfolio site with a blog and a contact form.\nBudget: ₹15,000 ✨',
+  verification: { receiptId: 'RCPT-7K3M9Q2X', url: 'https://abhishek-chaudhary.com/verify/RCPT-7K3M9Q2X' }
+};
+
+const INVOICE = {
+  invoiceNumber: 'INV/25-26/00042',
+  invoiceDate: '2026-01-01T06:30:00.000Z',
+  seller: { name: 'Abhishek Kumar Chaudhary', gstin: '27ABCDE1234F1Z5', address: 'Pune, Maharashtra' },
+  customer: { gstin: '27PQRST5678K1Z2' },
+  placeOfSupply: 'Maharashtra (27)',
+  sacCode: '998314',
+  supplyType: 'intra_state',
+  taxRate: 18,
+  taxableAmount: 10000,
+  cgst: 900,
+  sgst: 900,
+  igst: 0,
+  amountInWords: 'Rupees One Hundred Eighteen Only'
+};
+
+/**
+ * Text drawn on each page, one line per text operator, in drawing order
+ * (pdf-lib writes standard-font text as hex strings: <...> Tj)
+ */
+async function extractPdfText(bytes) {
+  const pdf = await PDFDocument.load(bytes);
+  return pdf.getPages().map(page => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => pdf.context.lookup(ref))
+      : [contents];
+    const operators = streams
+      .map(stream => Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1'))
+      .join('\n');
+    return [...operators.matchAll(/<([0-9A-Fa-f]*)>\s*Tj/g)]
+      .map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1'))
+      .join('\n');
+  });
+}
+
+describe('renderReceiptPDF', () => {
+  it('prints a payment receipt with discount, verification link and project details', async () => {
+    const pages = await extractPdfText(await renderReceiptPDF(PAYMENT));
+    expect(pages).toMatchSnapshot();
+  });
+
+  it('prints a tax invoice', async () => {
+    const pages = await extractPdfText(await renderReceiptPDF({ ...PAYMENT, discount: null, invoice: INVOICE }));
+    expect(pages).toMatchSnapshot();
+  });
+
+  it('prints the status of a refunded payment', async () => {
+    const [page] = await extractPdfText(await renderReceiptPDF({ ...PAYMENT, status: 'REFUNDED', customerMessage: '' }));
+    expect(page).toContain('REFUNDED');
+    expect(page).not.toContain('Project Details');
+  });
+
+  it('prints a credit note for a refund against a tax invoice', async () => {
+    const pages = await extractPdfText(await renderReceiptPDF({
+      ...PAYMENT,
+      discount: null,
+      invoice: INVOICE,
+      customerMessage: '',
+      verification: null,
+      creditNote: { refundId: 'RFND-9X2K4M', amount: 5900, reason: 'Project cancelled by the customer', date: '5 January 2026 at 3:30 pm' }
+    }));
+    expect(pages).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import {
+  rgb,
+  drawSvgPath,
+  drawEllipse,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+  PDFOperator,
+  PDFOperatorNames
+} from 'pdf-lib';
+
+/**
+ * Logo Drawing
+ * pdf-lib can't embed SVG images, so the logo's shapes (paths, circles and
+ * ellipses inside its clip path) are read from the SVG once and drawn as
+ * vector operators. Group transforms are not supported - the logo doesn't use
+ * them for its illustration.
+ */
+
+let cachedLogo = null;
+
+const attribute = (element, name) => element.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+function parseFill(style) {
+  const hex = style?.match(/fill:#([0-9a-f]{3}|[0-9a-f]{6})\b/i)?.[1];
+  if (!hex) {
+    return rgb(0, 0, 0);
+  }
+  const full = hex.length === 3 ? hex.split('').map(char => char + char).join('') : hex;
+  const value = parseInt(full, 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+/**
+ * Read the viewport (clip rectangle) and shapes from the logo SVG
+ */
+function loadLogo(logoPath) {
+  if (cachedLogo?.logoPath === logoPath) {
+    return cachedLogo;
+  }
+
+  const svg = fs.readFileSync(logoPath, 'utf8');
+  const clipRect = svg.match(/<clipPath[^>]*>\s*<rect([^>]*)\/>/);
+  const clipStart = svg.indexOf('clip-path="url(#');
+  if (!clipRect || clipStart === -1) {
+    throw new Error(`Logo has no clip path: ${logoPath}`);
+  }
+
+  const viewBox = {
+    x: parseFloat(attribute(clipRect[1], 'x')),
+    y: parseFloat(attribute(clipRect[1], 'y')),
+    width: parseFloat(attribute(clipRect[1], 'width')),
+    height: parseFloat(attribute(clipRect[1], 'height'))
+  };
+
+  const shapes = [];
+  for (const [element, tag] of svg.slice(clipStart).matchAll(/<(path|circle|ellipse)\b[^>]*\/>/g)) {
+    const style = attribute(element, 'style');
+    const color = parseFill(style);
+    if (tag === 'path') {
+      // The SVG root sets fill-rule:evenodd; paths can override it
+      const evenOdd = !/fill-rule:nonzero/.test(style || '');
+      shapes.push({ type: 'path', d: attribute(element, 'd'), color, evenOdd });
+    } else {
+      const radius = parseFloat(attribute(element, 'r'));
+      shapes.push({
+        type: 'ellipse',
+        cx: parseFloat(attribute(element, 'cx')),
+        cy: parseFloat(attribute(element, 'cy')),
+        rx: tag === 'circle' ? radius : parseFloat(attribute(element, 'rx')),
+        ry: tag === 'circle' ? radius : parseFloat(attribute(element, 'ry')),
+        color
+      });
+    }
+  }
+
+  cachedLogo = { logoPath, viewBox, shapes };
+  return cachedLogo;
+}
+
+/**
+ * Draw the logo with its top-left corner at (x, top)
+ * @returns {{ width, height }} Size of the drawn logo in points
+ */
+export function drawLogo(page, { logoPath, x, top, width }) {
+  const { viewBox, shapes } = loadLogo(logoPath);
+  const scale = width / viewBox.width;
+  const height = viewBox.height * scale;
+
+  // Where SVG (0, 0) lands on the page (pdf-lib flips the SVG y axis)
+  const originX = x - viewBox.x * scale;
+  const originY = top + viewBox.y * scale;
+
+  const operators = [
+    pushGraphicsState(),
+    rectangle(x, top - height, width, height),
+    clip(),
+    endPath()
+  ];
+
+  for (const shape of shapes) {
+    if (shape.type === 'path') {
+      const pathOperators = drawSvgPath(shape.d, { x: originX, y: originY, scale, color: shape.color, borderWidth: 0 });
+      operators.push(...(shape.evenOdd
+        ? pathOperators.map(operator => (operator.toString() === PDFOperatorNames.FillNonZero ? PDFOperator.of(PDFOperatorNames.FillEvenOdd) : operator))
+        : pathOperators));
+    } else {
+      operators.push(...drawEllipse({
+        x: originX + shape.cx * scale,
+        y: originY - shape.cy * scale,
+        xScale: shape.rx * scale,
+        yScale: shape.ry * scale,
+        color: shape.color,
+        borderWidth: 0
+      }));
+    }
+  }
+
+  operators.push(popGraphicsState());
+  page.pushOperators(...operators);
+  return { width, height };
+}
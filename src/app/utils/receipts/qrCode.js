@@ -0,0 +1,30 @@
+import QRCode from 'qrcode';
+
+/**
+ * QR Code Drawing
+ * Draws a QR code as vector squares (one per dark module), so it stays sharp
+ * at any zoom and when printed.
+ */
+
+/**
+ * Draw a QR code for text with its bottom-left corner at (x, y)
+ * @param {object} options - { text, x, y, size (points), color }
+ */
+export function drawQrCode(page, { text, x, y, size, color }) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const moduleSize = size / modules.size;
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        page.drawRectangle({
+          x: x + col * moduleSize,
+          y: y + size - (row + 1) * moduleSize,
+          width: moduleSize,
+          height: moduleSize,
+          color
+        });
+      }
+    }
+  }
+}
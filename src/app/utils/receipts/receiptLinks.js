@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+
+/**
+ * Receipt Links
+ * Receipts are only rendered from the stored payment record. Customers reach
+ * them through signed, expiring download links (the token names the payment,
+ * so nothing on the receipt comes from the caller), and every receipt carries
+ * a QR code to the public verification page for its receipt ID.
+ *
+ * Environment Variables:
+ * - RECEIPT_LINK_SECRET: Secret used to sign download links (at least 32 characters)
+ * - RECEIPT_LINK_TTL_DAYS: How long a download link stays valid (optional, defaults to 30)
+ */
+
+function getLinkSecret() {
+  const secret = process.env.RECEIPT_LINK_SECRET;
+  if (!secret || secret.length < 32) {
+    return null;
+  }
+  return secret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getLinkSecret()).update(value).digest('base64url');
+}
+
+function safeCompare(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received || '');
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Check whether receipt download links can be signed
+ */
+export function isReceiptLinkConfigured() {
+  return !!getLinkSecret();
+}
+
+/**
+ * Create a signed download token for a payment's receipt
+ */
+export function createReceiptToken(merchantTransactionId) {
+  const ttlDays = parseFloat(process.env.RECEIPT_LINK_TTL_DAYS || '30');
+  const payload = {
+    sub: merchantTransactionId,
+    exp: Date.now() + ttlDays * 24 * 60 * 60 * 1000
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verify a download token and return the merchantTransactionId it was issued for,
+ * or null if it is invalid or has expired
+ */
+export function verifyReceiptToken(token) {
+  if (typeof token !== 'string' || !getLinkSecret()) {
+    return null;
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature || !safeCompare(sign(encoded), signature)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!payload.sub || !payload.exp || payload.exp < Date.now()) {
+      return null;
+    }
+    return payload.sub;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Signed download link for a payment's receipt (null when links aren't configured)
+ * @param {string} token - An already issued token (optional, defaults to a new one)
+ */
+export function getReceiptDownloadUrl(merchantTransactionId, baseUrl, token) {
+  if (!getLinkSecret()) {
+    console.warn('⚠️  RECEIPT_LINK_SECRET not configured. Receipt download links are disabled.');
+    return null;
+  }
+  return `${baseUrl}/api/generate-receipt-pdf?token=${token || createReceiptToken(merchantTransactionId)}`;
+}
+
+/**
+ * Public verification page printed (as a QR code) on the receipt
+ */
+export function getReceiptVerificationUrl(receiptId, baseUrl) {
+  return `${baseUrl}/verify/${encodeURIComponent(receiptId)}`;
+}
+
+/**
+ * Random receipt ID: printed on the receipt and used to verify it, so it must not be guessable
+ */
+export function createReceiptId() {
+  return crypto.randomBytes(8).toString('hex').toUpperCase();
+}
@@ -0,0 +1,54 @@
+import path from 'path';
+
+/**
+ * Receipt Template
+ * Branding and layout settings shared by every receipt / tax invoice PDF.
+ * Colours are hex strings; the primary colour matches the site and emails.
+ */
+export const RECEIPT_TEMPLATE = {
+  brandName: 'Abhishek Kumar Chaudhary',
+  website: 'abhishek-chaudhary.com',
+  supportEmail: 'support@abhishek-chaudhary.com',
+
+  // Drawn as vector shapes (see ./logo.js); only the illustration inside the
+  // SVG's clip path is used - the name is printed next to it as text
+  logoPath: path.join(process.cwd(), 'public', 'abhishekportfoliologowithwhitebg.svg'),
+  logoWidth: 70,
+
+  colors: {
+    primary: '#667eea',
+    success: '#10b981',
+    text: '#333333',
+    muted: '#666666',
+    divider: '#e5e5e5'
+  },
+
+  margin: 50,
+  qrSize: 80,
+  fontSizes: {
+    title: 20,
+    brand: 14,
+    heading: 14,
+    body: 11,
+    total: 16,
+    small: 9
+  },
+
+  titles: {
+    receipt: 'PAYMENT RECEIPT',
+    invoice: 'TAX INVOICE',
+    creditNote: 'CREDIT NOTE'
+  },
+  subtitle: 'Pre-Registration Payment Confirmation',
+  footer: [
+    'This is a computer-generated receipt.',
+    'For any queries, please contact: support@abhishek-chaudhary.com'
+  ],
+
+  // Credit notes (refunds) use the same layout with their own wording
+  creditNoteSubtitle: 'Refund Confirmation',
+  creditNoteFooter: [
+    'This is a computer-generated credit note.',
+    'For any queries, please contact: support@abhishek-chaudhary.com'
+  ]
+};
@@ -0,0 +1,50 @@
+import { getPaymentByReceiptId } from '../paymentStorage';
+
+/**
+ * Receipt Verification
+ * Public confirmation that a receipt is genuine (the /verify/<receiptId> page
+ * and API). Only what is already printed on the receipt is shown, with the
+ * customer's name masked and no contact details or transaction IDs.
+ */
+
+const STATUS_LABELS = {
+  completed: 'Paid',
+  success: 'Paid',
+  refund_pending: 'Paid (refund in progress)',
+  refunded: 'Refunded',
+  refund_failed: 'Paid'
+};
+
+/**
+ * Mask a name to the initial of each word ("Asha Verma" -> "A*** V***")
+ */
+export function maskName(name) {
+  return (name || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `${word[0].toUpperCase()}***`)
+    .join(' ');
+}
+
+/**
+ * Redacted confirmation for a receipt ID, or null if no receipt has that ID
+ */
+export function getReceiptVerification(receiptId) {
+  const payment = getPaymentByReceiptId(receiptId);
+  if (!payment) {
+    return null;
+  }
+
+  return {
+    authentic: true,
+    receiptId: payment.receiptId,
+    invoiceNumber: payment.invoice?.invoiceNumber || null,
+    serviceName: payment.serviceName || null,
+    amount: payment.amount,
+    paidAt: payment.completedAt || payment.updatedAt || payment.createdAt,
+    status: payment.status,
+    statusLabel: STATUS_LABELS[payment.status] || payment.status,
+    customerName: maskName(payment.customerName) || null
+  };
+}
@@ -0,0 +1,83 @@
+import twilio from 'twilio';
+
+/**
+ * SMS Notifications (Twilio)
+ *
+ * Environment Variables:
+ * - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN: Twilio credentials
+ * - TWILIO_PHONE_NUMBER: A number you own in Twilio, in E.164 format (e.g. +1234567890)
+ * - MY_PHONE_NUMBER: Where notifications are sent, in E.164 format (e.g. +919876543210)
+ *
+ * SMS is skipped when any of them is missing.
+ */
+
+function isSmsConfigured() {
+  return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER && process.env.MY_PHONE_NUMBER);
+}
+
+// Format phone numbers to E.164 format (remove spaces, ensure + prefix)
+function formatPhoneNumber(phone) {
+  if (!phone) return null;
+  // Remove all spaces, dashes, and parentheses
+  let formatted = phone.replace(/[\s\-\(\)]/g, '');
+  // Ensure it starts with +
+  if (!formatted.startsWith('+')) {
+    formatted = '+' + formatted;
+  }
+  return formatted;
+}
+
+/**
+ * Text the owner about a new contact message
+ * Never throws: SMS is a nice-to-have next to the inbox and the email.
+ * @returns {boolean} true if the SMS was sent
+ */
+export async function sendContactSms({ messageId, name, email, phone, subject, message }) {
+  if (!isSmsConfigured()) {
+    return false;
+  }
+
+  try {
+    const client = twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+
+    const twilioPhone = formatPhoneNumber(process.env.TWILIO_PHONE_NUMBER);
+    const recipientPhone = formatPhoneNumber(process.env.MY_PHONE_NUMBER);
+
+    if (!twilioPhone || !recipientPhone) {
+      throw new Error('Invalid phone number format');
+    }
+
+    // Validate phone number format (basic check)
+    if (!/^\+[1-9]\d{1,14}$/.test(twilioPhone)) {
+      throw new Error(`Invalid Twilio phone number format: ${twilioPhone}. Must be in E.164 format (e.g., +1234567890)`);
+    }
+
+    if (!/^\+[1-9]\d{1,14}$/.test(recipientPhone)) {
+      throw new Error(`Invalid recipient phone number format: ${recipientPhone}. Must be in E.164 format (e.g., +919876543210)`);
+    }
+
+    const smsMessage = `New contact form submission [${messageId}] from ${name} (${email}). Phone: ${phone || 'Not provided'}. Subject: ${subject}. Message: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`;
+
+    await client.messages.create({
+      body: smsMessage,
+      from: twilioPhone,
+      to: recipientPhone,
+    });
+
+    console.log('SMS sent successfully to', recipientPhone);
+    return true;
+  } catch (smsError) {
+    if (smsError.code === 21659 || smsError.message?.includes('not a Twilio phone number')) {
+      console.error('SMS Error: The phone number used for TWILIO_PHONE_NUMBER is not a valid Twilio number.');
+      console.error('Please ensure you are using a phone number you own in your Twilio account.');
+      console.error('To get a Twilio number: Go to Twilio Console → Phone Numbers → Manage → Buy a number');
+      console.error('Current TWILIO_PHONE_NUMBER:', process.env.TWILIO_PHONE_NUMBER);
+    } else {
+      console.error('Error sending SMS:', smsError.message || smsError);
+    }
+    return false;
+  }
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeEach, describe, expect, it } from 'vitest';
+import { createMemoryAdapter } from './memoryAdapter';
+import { createJsonFileAdapter } from './jsonFileAdapter';
+import { createSqliteAdapter } from './sqliteAdapter';
+
+/**
+ * The storage adapter contract (see ./index.js), run against every adapter
+ * The json and sqlite adapters write to a temporary directory.
+ */
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-adapters-'));
+let locationCount = 0;
+
+// Each factory opens the adapter stored at `location` (a fresh one per test)
+const adapters = {
+  memory: () => createMemoryAdapter(),
+  json: (location) => createJsonFileAdapter({ baseDir: location }),
+  sqlite: (location) => createSqliteAdapter({ dbPath: `${location}.sqlite` })
+};
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe.each(Object.entries(adapters))('%s adapter', (name, createAdapter) => {
+  let location;
+  let storage;
+
+  beforeEach(() => {
+    location = path.join(tempDir, `${name}-${++locationCount}`);
+    storage = createAdapter(location);
+    storage.upsert('payments', 'p1', () => ({ status: 'pending', amount: 15000 }));
+    storage.upsert('payments', 'p2', () => ({ status: 'failed', amount: 9900 }));
+  });
+
+  describe('compareAndSet', () => {
+    it('merges the patch when every expected field matches', () => {
+      const updated = storage.compareAndSet('payments', 'p1', { status: 'pending' }, { status: 'completed' });
+
+      expect(updated).toEqual({ id: 'p1', status: 'completed', amount: 15000 });
+      expect(storage.get('payments', 'p1')).toEqual(updated);
+    });
+
+    it('leaves the record alone when another writer got there first', () => {
+      storage.compareAndSet('payments', 'p1', { status: 'pending' }, { status: 'completed' });
+
+      expect(storage.compareAndSet('payments', 'p1', { status: 'pending' }, { status: 'failed' })).toBeNull();
+      expect(storage.get('payments', 'p1').status).toBe('completed');
+    });
+
+    it('compares missing fields as null', () => {
+      expect(storage.compareAndSet('payments', 'p1', { emailsSentAt: null }, { emailsSentAt: 'now' })).toMatchObject({ emailsSentAt: 'now' });
+      expect(storage.compareAndSet('payments', 'p1', { emailsSentAt: null }, { emailsSentAt: 'again' })).toBeNull();
+    });
+
+    it('returns null for a missing record without creating it', () => {
+      expect(storage.compareAndSet('payments', 'missing', {}, { status: 'completed' })).toBeNull();
+      expect(storage.get('payments', 'missing')).toBeNull();
+    });
+  });
+
+  describe('deleteWhere', () => {
+    it('removes matching records and returns how many were removed', () => {
+      expect(storage.deleteWhere('payments', record => record.status === 'failed')).toBe(1);
+
+      expect(storage.load('payments').map(record => record.id)).toEqual(['p1']);
+      expect(storage.get('payments', 'p2')).toBeNull();
+    });
+
+    it('returns 0 when nothing matches or the collection does not exist', () => {
+      expect(storage.deleteWhere('payments', () => false)).toBe(0);
+      expect(storage.deleteWhere('unknownCollection', () => true)).toBe(0);
+      expect(storage.load('payments')).toHaveLength(2);
+    });
+  });
+
+  if (name !== 'memory') {
+    it('keeps the changes for the next adapter on the same files', () => {
+      storage.compareAndSet('payments', 'p1', { status: 'pending' }, { status: 'completed' });
+      storage.deleteWhere('payments', record => record.id === 'p2');
+
+      expect(createAdapter(location).load('payments')).toEqual([{ id: 'p1', status: 'completed', amount: 15000 }]);
+    });
+  }
+});
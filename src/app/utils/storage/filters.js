@@ -0,0 +1,24 @@
+/**
+ * Shared filter helpers for storage adapters
+ * Filters are plain equality matches on top-level record fields.
+ * Empty values (undefined, null, '') are ignored so callers can pass
+ * optional query params straight through.
+ */
+
+export function activeFilters(filters = {}) {
+  return Object.entries(filters).filter(
+    ([, value]) => value !== undefined && value !== null && value !== ''
+  );
+}
+
+export function matchesFilters(record, filters = {}) {
+  return activeFilters(filters).every(([key, value]) => record[key] === value);
+}
+
+/**
+ * Compare-and-set check: every expected field must equal the stored value.
+ * Fields missing from the record compare as null.
+ */
+export function matchesExpected(record, expected = {}) {
+  return Object.entries(expected).every(([key, value]) => (record[key] ?? null) === value);
+}
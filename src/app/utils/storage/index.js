@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryAdapter } from './memoryAdapter';
+import { createJsonFileAdapter } from './jsonFileAdapter';
+import { createSqliteAdapter } from './sqliteAdapter';
+
+/**
+ * Storage Adapter Selection
+ *
+ * Every adapter implements the same synchronous interface over named
+ * collections (e.g. 'payments'); records are plain objects keyed by `id`:
+ * - load(collection): all records in the collection
+ * - get(collection, id): a single record or null
+ * - upsert(collection, id, update): stores update(existingOrNull) and returns it
+ * - compareAndSet(collection, id, expected, patch): merges patch into the record
+ *   only if every `expected` field still matches (missing fields compare as
+ *   null). Returns the updated record, or null if the record is missing or
+ *   another writer got there first. Atomic across processes for the json and
+ *   sqlite adapters.
+ * - query(collection, filters): records whose fields equal the given filters
+ * - deleteWhere(collection, predicate): removes the records for which
+ *   predicate(record) is true and returns how many were removed. The predicate
+ *   runs under the same lock/transaction as the delete.
+ *
+ * Environment Variables:
+ * - STORAGE_ADAPTER: 'sqlite', 'json' or 'memory'. When unset, file storage is
+ *   used locally and in-memory storage on read-only (serverless) filesystems.
+ * - SQLITE_DB_PATH: Database file for the sqlite adapter (optional)
+ */
+
+const adapterFactories = {
+  sqlite: createSqliteAdapter,
+  json: createJsonFileAdapter,
+  memory: createMemoryAdapter
+};
+
+// Check if we're in a serverless environment (read-only filesystem)
+// Vercel sets VERCEL=1, and filesystem is read-only except /tmp
+export const isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME || (() => {
+  // Try to detect read-only filesystem
+  try {
+    const testDir = path.join(process.cwd(), 'data');
+    if (!fs.existsSync(testDir)) {
+      try {
+        fs.mkdirSync(testDir, { recursive: true });
+        fs.rmdirSync(testDir);
+        return false; // Can write
+      } catch {
+        return true; // Cannot write, likely serverless
+      }
+    }
+    return false; // Directory exists, assume we can write
+  } catch {
+    return true; // Error accessing filesystem, likely serverless
+  }
+})();
+
+let storage = null;
+
+function resolveAdapterName() {
+  const configured = process.env.STORAGE_ADAPTER?.trim().toLowerCase();
+  if (configured) {
+    if (!adapterFactories[configured]) {
+      throw new Error(`Unknown STORAGE_ADAPTER "${configured}". Expected one of: ${Object.keys(adapterFactories).join(', ')}`);
+    }
+    return configured;
+  }
+  return isServerless ? 'memory' : 'json';
+}
+
+/**
+ * Get the configured storage adapter (created once per process)
+ */
+export function getStorage() {
+  if (!storage) {
+    const adapterName = resolveAdapterName();
+    storage = adapterFactories[adapterName]();
+
+    if (adapterName === 'memory') {
+      console.warn('📦 Using in-memory storage - records will NOT survive restarts. Set STORAGE_ADAPTER=sqlite for durable storage.');
+    } else {
+      console.log(`💾 Using ${adapterName} storage adapter`);
+    }
+  }
+  return storage;
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { matchesFilters, matchesExpected } from './filters';
+
+/**
+ * JSON File Storage Adapter
+ * Stores each collection as an array in data/<collection>/<collection>.json
+ * (e.g. data/payments/payments.json), which keeps the existing payment file
+ * readable and diffable during local development.
+ *
+ * Writes take an exclusive lock file (<collection>.json.lock) shared by every
+ * Node process on the machine, re-read the file under the lock and replace it
+ * with an atomic rename, so concurrent writers never lose each other's updates
+ * and readers never see a half-written file.
+ */
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 20;
+
+// Synchronous sleep so the adapter interface can stay synchronous
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Break locks left behind by a crashed process
+    try {
+      const { mtimeMs } = fs.statSync(lockPath);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+        console.warn(`⚠️  Removing stale storage lock: ${lockPath}`);
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch {
+      continue; // Lock was released between openSync and statSync
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for storage lock: ${lockPath}`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockPath) {
+  fs.rmSync(lockPath, { force: true });
+}
+
+export function createJsonFileAdapter({ baseDir = path.join(process.cwd(), 'data') } = {}) {
+  function collectionFile(collection) {
+    return path.join(baseDir, collection, `${collection}.json`);
+  }
+
+  function readCollection(collection) {
+    const filePath = collectionFile(collection);
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    const data = fs.readFileSync(filePath, 'utf8');
+    return data.trim() ? JSON.parse(data) : [];
+  }
+
+  function writeCollection(collection, records) {
+    const filePath = collectionFile(collection);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Run a read-modify-write cycle while holding the collection's lock file
+  function withCollectionLock(collection, fn) {
+    const filePath = collectionFile(collection);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const lockPath = `${filePath}.lock`;
+    acquireLock(lockPath);
+    try {
+      return fn(readCollection(collection));
+    } finally {
+      releaseLock(lockPath);
+    }
+  }
+
+  return {
+    name: 'json',
+
+    load(collection) {
+      return readCollection(collection);
+    },
+
+    get(collection, id) {
+      return readCollection(collection).find(record => record.id === id) || null;
+    },
+
+    upsert(collection, id, update) {
+      return withCollectionLock(collection, records => {
+        const index = records.findIndex(record => record.id === id);
+        const existing = index >= 0 ? records[index] : null;
+        const next = { ...update(existing), id };
+
+        if (index >= 0) {
+          records[index] = next;
+        } else {
+          records.push(next);
+        }
+
+        writeCollection(collection, records);
+        return next;
+      });
+    },
+
+    compareAndSet(collection, id, expected, patch) {
+      return withCollectionLock(collection, records => {
+        const index = records.findIndex(record => record.id === id);
+        if (index < 0 || !matchesExpected(records[index], expected)) {
+          return null;
+        }
+
+        const next = { ...records[index], ...patch, id };
+        records[index] = next;
+        writeCollection(collection, records);
+        return next;
+      });
+    },
+
+    query(collection, filters = {}) {
+      return readCollection(collection).filter(record => matchesFilters(record, filters));
+    },
+
+    deleteWhere(collection, predicate) {
+      if (!fs.existsSync(collectionFile(collection))) {
+        return 0;
+      }
+      return withCollectionLock(collection, records => {
+        const kept = records.filter(record => !predicate(record));
+        if (kept.length !== records.length) {
+          writeCollection(collection, kept);
+        }
+        return records.length - kept.length;
+      });
+    }
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps records in module-level Maps. Nothing survives a restart or a new
+ * serverless invocation, so this is only meant for local testing or as the
+ * last-resort default on read-only filesystems.
+ */
+
+import { matchesFilters, matchesExpected } from './filters';
+
+export function createMemoryAdapter() {
+  const collections = new Map();
+
+  function getCollection(collection) {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  }
+
+  return {
+    name: 'memory',
+
+    load(collection) {
+      return Array.from(getCollection(collection).values());
+    },
+
+    get(collection, id) {
+      return getCollection(collection).get(id) || null;
+    },
+
+    upsert(collection, id, update) {
+      const records = getCollection(collection);
+      const existing = records.get(id) || null;
+      const next = { ...update(existing), id };
+      records.set(id, next);
+      return next;
+    },
+
+    compareAndSet(collection, id, expected, patch) {
+      const records = getCollection(collection);
+      const existing = records.get(id);
+      if (!existing || !matchesExpected(existing, expected)) {
+        return null;
+      }
+      const next = { ...existing, ...patch, id };
+      records.set(id, next);
+      return next;
+    },
+
+    query(collection, filters = {}) {
+      return this.load(collection).filter(record => matchesFilters(record, filters));
+    },
+
+    deleteWhere(collection, predicate) {
+      const records = getCollection(collection);
+      let deleted = 0;
+      for (const [id, record] of records) {
+        if (predicate(record)) {
+          records.delete(id);
+          deleted++;
+        }
+      }
+      return deleted;
+    }
+  };
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { activeFilters, matchesExpected } from './filters';
+
+/**
+ * SQLite Storage Adapter (better-sqlite3)
+ * Stores every collection in a single `records` table as JSON documents keyed
+ * by (collection, id). Upserts run inside an IMMEDIATE transaction, so
+ * concurrent writers - including separate Node processes sharing the same
+ * database file - are serialized by SQLite instead of overwriting each other.
+ * compareAndSet reads, checks and writes inside the same transaction, so only
+ * one caller can win; the patch is a shallow merge, as in the other adapters.
+ *
+ * Environment Variables:
+ * - SQLITE_DB_PATH: Database file path (defaults to data/storage.sqlite)
+ */
+
+const FIELD_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+export function createSqliteAdapter({ dbPath = process.env.SQLITE_DB_PATH || path.join(process.cwd(), 'data', 'storage.sqlite') } = {}) {
+  // Loaded lazily so the native module is only required when SQLite is selected
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const selectAll = db.prepare('SELECT data FROM records WHERE collection = ?');
+  const selectOne = db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?');
+  const upsertOne = db.prepare(`
+    INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+  `);
+  const deleteOne = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?');
+
+  function fieldPath(key) {
+    if (!FIELD_NAME_PATTERN.test(key)) {
+      throw new Error(`Invalid field name: ${key}`);
+    }
+    return `'$.${key}'`;
+  }
+
+  // JSON booleans come back from json_extract as 1/0
+  const toSqlValue = value => (typeof value === 'boolean' ? Number(value) : value);
+
+  const parseRow = row => (row ? JSON.parse(row.data) : null);
+
+  const upsertTransaction = db.transaction((collection, id, update) => {
+    const existing = parseRow(selectOne.get(collection, id));
+    const next = { ...update(existing), id };
+    upsertOne.run(collection, id, JSON.stringify(next));
+    return next;
+  });
+
+  const compareAndSetTransaction = db.transaction((collection, id, expected, patch) => {
+    const existing = parseRow(selectOne.get(collection, id));
+    if (!existing || !matchesExpected(existing, expected)) {
+      return null;
+    }
+    const next = { ...existing, ...patch, id };
+    upsertOne.run(collection, id, JSON.stringify(next));
+    return next;
+  });
+
+  const deleteWhereTransaction = db.transaction((collection, predicate) => {
+    const matching = selectAll.all(collection).map(parseRow).filter(predicate);
+    for (const record of matching) {
+      deleteOne.run(collection, record.id);
+    }
+    return matching.length;
+  });
+
+  return {
+    name: 'sqlite',
+
+    load(collection) {
+      return selectAll.all(collection).map(parseRow);
+    },
+
+    get(collection, id) {
+      return parseRow(selectOne.get(collection, id));
+    },
+
+    upsert(collection, id, update) {
+      return upsertTransaction.immediate(collection, String(id), update);
+    },
+
+    compareAndSet(collection, id, expected, patch) {
+      return compareAndSetTransaction.immediate(collection, String(id), expected, patch);
+    },
+
+    deleteWhere(collection, predicate) {
+      return deleteWhereTransaction.immediate(collection, predicate);
+    },
+
+    query(collection, filters = {}) {
+      const conditions = ['collection = ?'];
+      const params = [collection];
+
+      for (const [key, value] of activeFilters(filters)) {
+        conditions.push(`json_extract(data, ${fieldPath(key)}) = ?`);
+        params.push(toSqlValue(value));
+      }
+
+      return db
+        .prepare(`SELECT data FROM records WHERE ${conditions.join(' AND ')}`)
+        .all(...params)
+        .map(parseRow);
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import { providerError } from '../payments/providerError';
+
+/**
+ * Request Validation
+ *
+ * Routes describe their input with a declarative schema (see ./schemas.js)
+ * and parse it with parseJsonBody / parseSearchParams. Invalid input throws a
+ * 400 providerError, so routes answer with the usual providerErrorResponse:
+ *
+ *   { error: 'Invalid request data', details: 'Email is required', field: 'email',
+ *     fields: { email: 'Email is required', 'customerDetails.phone': '...' } }
+ *
+ * `field` / `details` name the first problem; `fields` lists every problem by
+ * field path. The module has no server-only imports, so the client forms use
+ * the same schemas (validate) for inline errors.
+ *
+ * Field rules:
+ * - type: 'string' | 'integer' | 'boolean' | 'object', or an array of them
+ * - required: true, or a function of the whole input object
+ * - label: Name used in messages (defaults to the field name)
+ * - strings (trimmed unless trim: false): minLength, maxLength, pattern, format: 'email', enum, transform: 'uppercase' | 'lowercase'
+ * - integers: min, max
+ * - objects: schema (nested fields are reported as `parent.child`)
+ * - message: Replaces the pattern / format / enum message
+ */
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+/**
+ * Check one field; returns [value, errors]
+ */
+function validateField(rule, rawValue, input, path) {
+  const label = rule.label || path.split('.').pop();
+  let value = typeof rawValue === 'string' && rule.trim !== false ? rawValue.trim() : rawValue;
+
+  const required = typeof rule.required === 'function' ? rule.required(input) : !!rule.required;
+  if (isEmpty(value)) {
+    return required ? [undefined, { [path]: `${label} is required` }] : [undefined, {}];
+  }
+
+  const types = [].concat(rule.type || 'string');
+  if (!types.some(type => matchesType(value, type))) {
+    const expected = types.map(type => (type === 'integer' ? 'a whole number' : type === 'object' ? 'an object' : `a ${type}`)).join(' or ');
+    return [undefined, { [path]: `${label} must be ${expected}` }];
+  }
+
+  if (typeof value === 'string') {
+    if (rule.transform === 'uppercase') value = value.toUpperCase();
+    if (rule.transform === 'lowercase') value = value.toLowerCase();
+    if (rule.minLength && value.length < rule.minLength) {
+      return [undefined, { [path]: `${label} must be at least ${rule.minLength} characters` }];
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return [undefined, { [path]: `${label} must be at most ${rule.maxLength} characters` }];
+    }
+    if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      return [undefined, { [path]: rule.message || 'Please enter a valid email address' }];
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return [undefined, { [path]: rule.message || `${label} is not valid` }];
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [undefined, { [path]: rule.message || `${label} must be one of: ${rule.enum.join(', ')}` }];
+  }
+
+  if (Number.isInteger(value)) {
+    if (rule.min !== undefined && value < rule.min) {
+      return [undefined, { [path]: `${label} must be at least ${rule.min}` }];
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return [undefined, { [path]: `${label} must be at most ${rule.max}` }];
+    }
+  }
+
+  if (rule.schema && matchesType(value, 'object')) {
+    const nested = validateObject(rule.schema, value, `${path}.`);
+    return [nested.value, nested.errors];
+  }
+
+  return [value, {}];
+}
+
+function validateObject(schema, input, prefix = '') {
+  const source = matchesType(input, 'object') ? input : {};
+  const value = {};
+  let errors = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const [fieldValue, fieldErrors] = validateField(rule, source[name], source, `${prefix}${name}`);
+    if (fieldValue !== undefined) {
+      value[name] = fieldValue;
+    }
+    errors = { ...errors, ...fieldErrors };
+  }
+  return { value, errors };
+}
+
+/**
+ * Validate input against a schema
+ * @returns {object} { value, errors } - value holds only the schema's fields (trimmed / transformed);
+ *   errors maps field paths to messages and is empty when the input is valid
+ */
+export function validate(schema, input) {
+  return validateObject(schema, input);
+}
+
+/**
+ * The 400 error for a set of field errors
+ */
+export function validationError(errors) {
+  const [field, details] = Object.entries(errors)[0] || [undefined, 'Request body is not valid'];
+  return providerError('Invalid request data', { status: 400, details, field, fields: errors });
+}
+
+/**
+ * Validate input and return the cleaned value
+ * @throws 400 with field-level messages when the input is invalid
+ */
+export function assertValid(schema, input) {
+  const { value, errors } = validate(schema, input);
+  if (Object.keys(errors).length) {
+    throw validationError(errors);
+  }
+  return value;
+}
+
+/**
+ * Parse a JSON string (e.g. a webhook body read with request.text())
+ * @throws 400 when it isn't valid JSON
+ */
+export function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw providerError('Invalid request data', { status: 400, details: 'Request body must be valid JSON' });
+  }
+}
+
+/**
+ * Read and validate a route's JSON body
+ * @throws 400 for invalid JSON or invalid fields
+ */
+export async function parseJsonBody(request, schema) {
+  return assertValid(schema, parseJson(await request.text()));
+}
+
+/**
+ * Validate a route's query string (all values are strings)
+ * @throws 400 for invalid fields
+ */
+export function parseSearchParams(request, schema) {
+  const { searchParams } = new URL(request.url);
+  return assertValid(schema, Object.fromEntries(searchParams));
+}
@@ -0,0 +1,119 @@
+/**
+ * Input schemas for the API routes and client forms (see ./index.js for the rules)
+ */
+
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// 10-15 digits, optionally with a leading + and spaces, dashes or brackets
+const PHONE_PATTERN = /^\+?(?:[\s\-()]*\d){10,15}[\s\-()]*$/;
+
+export const MESSAGE_STATUSES = ['new', 'read', 'replied', 'quarantined'];
+
+// Same value as DONATION_SERVICE_ID in ../payments/priceCatalogue.js (not imported: this module is shared with the browser)
+const DONATION_SERVICE_ID = 'donation';
+
+const transactionId = { type: 'string', required: true, maxLength: 100, label: 'Transaction ID' };
+
+/**
+ * Contact form: POST /api/send
+ * challenge / nonce / website are the spam checks (see ../contactSpam.js)
+ */
+export const contactSchema = {
+  name: { type: 'string', required: true, maxLength: 100, label: 'Name' },
+  email: { type: 'string', required: true, maxLength: 254, format: 'email', label: 'Email' },
+  phone: { type: 'string', maxLength: 20, pattern: PHONE_PATTERN, label: 'Phone', message: 'Please enter a valid phone number' },
+  subject: { type: 'string', required: true, maxLength: 200, label: 'Subject' },
+  message: { type: 'string', required: true, maxLength: 5000, label: 'Message' },
+  challenge: { type: 'string', maxLength: 300 },
+  nonce: { type: 'string', maxLength: 20 },
+  website: { type: 'string', trim: false, maxLength: 500 }
+};
+
+/**
+ * Customer details entered in the checkout modal
+ */
+export const customerDetailsSchema = {
+  name: { type: 'string', required: true, maxLength: 100, label: 'Name' },
+  email: { type: 'string', required: true, maxLength: 254, format: 'email', label: 'Email' },
+  phone: { type: 'string', required: true, maxLength: 20, pattern: PHONE_PATTERN, label: 'Phone', message: 'Please enter a valid phone number' },
+  message: { type: 'string', maxLength: 2000, label: 'Message' },
+  gstin: { type: 'string', transform: 'uppercase', pattern: GSTIN_PATTERN, label: 'GSTIN', message: 'Please enter a valid 15-character GSTIN, or leave it empty' },
+  state: { type: 'string', maxLength: 2, label: 'State' }
+};
+
+/**
+ * Checkout: POST /api/payments (and the legacy /api/create-phonepe-order)
+ * Donations only need an amount; service orders need the customer's details.
+ */
+export const checkoutSchema = {
+  provider: { type: 'string', enum: ['phonepe', 'razorpay'], label: 'Provider' },
+  serviceId: { type: ['string', 'integer'], required: true, label: 'Service' },
+  amount: { type: 'integer', min: 1, label: 'Amount' },
+  couponCode: { type: 'string', maxLength: 40, label: 'Coupon code' },
+  customerDetails: {
+    type: 'object',
+    required: (input) => input.serviceId !== DONATION_SERVICE_ID,
+    schema: customerDetailsSchema,
+    label: 'Customer information'
+  }
+};
+
+/**
+ * Coupon preview: POST /api/payments/coupon
+ */
+export const couponPreviewSchema = {
+  couponCode: { type: 'string', required: true, maxLength: 40, label: 'Coupon code' },
+  serviceId: { type: ['string', 'integer'], required: true, label: 'Service' },
+  email: { type: 'string', maxLength: 254, label: 'Email' }
+};
+
+/**
+ * Payment verification / status / retry: { merchantTransactionId }
+ */
+export const transactionSchema = {
+  merchantTransactionId: transactionId
+};
+
+/**
+ * Receipt download: GET /api/generate-receipt-pdf?token=...
+ */
+export const receiptSchema = {
+  token: { type: 'string', required: true, maxLength: 1000, label: 'Receipt token' }
+};
+
+/**
+ * My orders: POST /api/orders/link and POST /api/orders
+ */
+export const orderLinkSchema = {
+  email: { type: 'string', required: true, maxLength: 254, format: 'email', label: 'Email' }
+};
+
+export const orderTokenSchema = {
+  token: { type: 'string', required: true, maxLength: 200, label: 'Token' }
+};
+
+/**
+ * Admin login: POST /api/admin/login
+ */
+export const adminLoginSchema = {
+  username: { type: 'string', required: true, maxLength: 200, label: 'Username' },
+  password: { type: 'string', required: true, maxLength: 1000, trim: false, label: 'Password' }
+};
+
+/**
+ * Admin inbox: PATCH /api/admin/messages/{messageId} and POST .../reply
+ */
+export const messageStatusSchema = {
+  status: { type: 'string', required: true, enum: MESSAGE_STATUSES, label: 'Status' }
+};
+
+export const messageReplySchema = {
+  body: { type: 'string', required: true, maxLength: 10000, label: 'Reply' }
+};
+
+/**
+ * Admin refund: POST /api/admin/payments/{merchantTransactionId}/refunds
+ */
+export const refundSchema = {
+  amount: { type: 'integer', min: 1, label: 'Amount' },
+  reason: { type: 'string', maxLength: 500, label: 'Reason' }
+};
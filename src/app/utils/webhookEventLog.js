@@ -0,0 +1,110 @@
+import { randomUUID } from 'crypto';
+import { getStorage } from './storage';
+
+/**
+ * Webhook Event Log
+ * Stores every incoming webhook (raw body, headers, signature result and
+ * processing outcome) through the configured storage adapter, so failed
+ * events can be inspected and replayed from /api/admin/webhook-events.
+ *
+ * Logging never breaks webhook processing: storage errors are logged and
+ * the webhook carries on without an event id.
+ *
+ * Credential headers (Authorization, x-verify...) are never stored: only
+ * whether they were present. The signature result is stored instead.
+ */
+
+const WEBHOOK_EVENTS = 'webhookEvents';
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'x-verify', 'cookie'];
+const REDACTED = '[redacted]';
+
+/**
+ * Headers with credential values replaced by '[redacted]'
+ */
+export function redactWebhookHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => (
+    [name, CREDENTIAL_HEADERS.includes(name.toLowerCase()) ? REDACTED : value]
+  )));
+}
+
+/**
+ * Record a webhook as soon as it is received (outcome: 'received')
+ * @returns {object|null} The stored event, or null if it could not be saved
+ */
+export function recordWebhookEvent({ provider, environment, url, body, headers, replayOf }) {
+  try {
+    const id = randomUUID();
+    const event = getStorage().upsert(WEBHOOK_EVENTS, id, () => ({
+      id,
+      provider,
+      environment,
+      url,
+      body,
+      headers: redactWebhookHeaders(headers),
+      replayOf: replayOf || null,
+      outcome: 'received',
+      receivedAt: new Date().toISOString()
+    }));
+    console.log(`🗂️  Webhook event recorded: ${id}`);
+    return event;
+  } catch (error) {
+    console.error('❌ Error recording webhook event:', error);
+    return null;
+  }
+}
+
+/**
+ * Merge processing details (signature, eventType, outcome, error...) into an event
+ */
+export function updateWebhookEvent(eventId, details) {
+  if (!eventId) {
+    return null;
+  }
+
+  try {
+    return getStorage().upsert(WEBHOOK_EVENTS, eventId, existing => ({
+      ...existing,
+      ...details,
+      updatedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('❌ Error updating webhook event:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a webhook event by ID
+ * Headers are redacted again, for events logged before redaction was added.
+ */
+export function getWebhookEvent(eventId) {
+  try {
+    const event = getStorage().get(WEBHOOK_EVENTS, eventId);
+    return event && { ...event, headers: redactWebhookHeaders(event.headers) };
+  } catch (error) {
+    console.error('❌ Error getting webhook event:', error);
+    return null;
+  }
+}
+
+/**
+ * Get webhook events (with optional filters), newest first
+ */
+export function getWebhookEvents(filters = {}) {
+  try {
+    const events = getStorage().query(WEBHOOK_EVENTS, {
+      provider: filters.provider,
+      environment: filters.environment,
+      eventType: filters.eventType,
+      outcome: filters.outcome,
+      merchantTransactionId: filters.merchantTransactionId
+    });
+
+    events.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+
+    return events;
+  } catch (error) {
+    console.error('❌ Error getting webhook events:', error);
+    return [];
+  }
+}
@@ -0,0 +1,84 @@
+import Link from 'next/link';
+import { getReceiptVerification } from '../../utils/receipts/verification';
+
+export const metadata = {
+  title: 'Verify Receipt',
+  robots: { index: false, follow: false }
+};
+
+// Always read the current payment record (status can change after a refund)
+export const dynamic = 'force-dynamic';
+
+export default async function VerifyReceiptPage({ params }) {
+  const { receiptId } = await params;
+  const verification = getReceiptVerification(receiptId);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-8 text-center">
+        {verification ? (
+          <>
+            <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-10 h-10 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+              </svg>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Genuine Receipt</h2>
+            <p className="text-gray-600 mb-4">
+              This receipt was issued by Abhishek Kumar Chaudhary for the payment below.
+            </p>
+            <div className="bg-gray-50 rounded-lg p-4 mb-4 text-left">
+              <p className="text-sm text-gray-600">
+                <span className="font-semibold">Receipt ID:</span> {verification.receiptId}
+              </p>
+              {verification.invoiceNumber && (
+                <p className="text-sm text-gray-600 mt-2">
+                  <span className="font-semibold">Invoice No.:</span> {verification.invoiceNumber}
+                </p>
+              )}
+              {verification.customerName && (
+                <p className="text-sm text-gray-600 mt-2">
+                  <span className="font-semibold">Customer:</span> {verification.customerName}
+                </p>
+              )}
+              {verification.serviceName && (
+                <p className="text-sm text-gray-600 mt-2">
+                  <span className="font-semibold">Service:</span> {verification.serviceName}
+                </p>
+              )}
+              <p className="text-sm text-gray-600 mt-2">
+                <span className="font-semibold">Amount:</span> ₹{(verification.amount / 100).toFixed(2)}
+              </p>
+              <p className="text-sm text-gray-600 mt-2">
+                <span className="font-semibold">Date:</span>{' '}
+                {new Date(verification.paidAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'long', timeStyle: 'short' })}
+              </p>
+              <p className="text-sm text-gray-600 mt-2">
+                <span className="font-semibold">Status:</span> {verification.statusLabel}
+              </p>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-10 h-10 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Receipt Not Found</h2>
+            <p className="text-gray-600 mb-4">
+              No payment matches this receipt ID. The receipt may not be genuine - please contact{' '}
+              <a href="mailto:support@abhishek-chaudhary.com" className="text-indigo-600 hover:underline">support@abhishek-chaudhary.com</a>.
+            </p>
+          </>
+        )}
+        <Link
+          href="/"
+          className="block w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+        >
+          Return to Home
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    // Tests never touch data/: every storage call goes to the in-memory adapter
+    env: { STORAGE_ADAPTER: 'memory' }
+  }
+});